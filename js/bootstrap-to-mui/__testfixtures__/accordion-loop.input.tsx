@@ -0,0 +1,24 @@
+import { Accordion } from 'react-bootstrap';
+
+export function Groups({ groups }) {
+  return (
+    <div>
+      {groups.map(group => (
+        <Accordion key={group.id} defaultActiveKey="0">
+          <Accordion.Item eventKey="0">
+            <Accordion.Header>{group.title}</Accordion.Header>
+            <Accordion.Body>{group.body}</Accordion.Body>
+          </Accordion.Item>
+        </Accordion>
+      ))}
+      {groups.map(group => (
+        <Accordion key={group.id} alwaysOpen>
+          <Accordion.Item eventKey="0">
+            <Accordion.Header>{group.title}</Accordion.Header>
+            <Accordion.Body>{group.body}</Accordion.Body>
+          </Accordion.Item>
+        </Accordion>
+      ))}
+    </div>
+  );
+}
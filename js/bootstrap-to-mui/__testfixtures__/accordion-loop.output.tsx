@@ -0,0 +1,31 @@
+import { Accordion as BsAccordion } from 'react-bootstrap';
+
+import Accordion from '@mui/material/Accordion';
+import Box from '@mui/material/Box';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import AccordionSummary from '@mui/material/AccordionSummary';
+import AccordionDetails from '@mui/material/AccordionDetails';
+
+export function Groups({ groups }) {
+  return (
+    <div>
+      {groups.map(group => (
+        /* TODO(bootstrap-to-mui): Accordion dentro de un callback: su estado no puede declararse en el componente sin que lo compartan todas las instancias; extraerlo a un componente propio. Props originales: key={group.id} defaultActiveKey="0" */
+        <BsAccordion key={group.id} defaultActiveKey="0">
+          <BsAccordion.Item eventKey="0">
+            <BsAccordion.Header>{group.title}</BsAccordion.Header>
+            <BsAccordion.Body>{group.body}</BsAccordion.Body>
+          </BsAccordion.Item>
+        </BsAccordion>
+      ))}
+      {groups.map(group => (
+        <Box key={group.id}>
+          <Accordion>
+            <AccordionSummary expandIcon={<ExpandMoreIcon />}>{group.title}</AccordionSummary>
+            <AccordionDetails>{group.body}</AccordionDetails>
+          </Accordion>
+        </Box>
+      ))}
+    </div>
+  );
+}
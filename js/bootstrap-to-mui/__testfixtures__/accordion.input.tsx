@@ -0,0 +1,26 @@
+import { Accordion } from 'react-bootstrap';
+
+export function Faq({ items }) {
+  return (
+    <>
+      <Accordion defaultActiveKey="0">
+        <Accordion.Item eventKey="0">
+          <Accordion.Header>Envíos</Accordion.Header>
+          <Accordion.Body>Entrega en 48 horas.</Accordion.Body>
+        </Accordion.Item>
+        <Accordion.Item eventKey="1">
+          <Accordion.Header>Devoluciones</Accordion.Header>
+          <Accordion.Body>30 días.</Accordion.Body>
+        </Accordion.Item>
+      </Accordion>
+      <Accordion alwaysOpen flush defaultActiveKey={['a']}>
+        {items.map(item => (
+          <Accordion.Item key={item.id} eventKey={item.id}>
+            <Accordion.Header>{item.title}</Accordion.Header>
+            <Accordion.Body>{item.body}</Accordion.Body>
+          </Accordion.Item>
+        ))}
+      </Accordion>
+    </>
+  );
+}
@@ -0,0 +1,36 @@
+import { useState } from 'react';
+import Accordion from '@mui/material/Accordion';
+import Box from '@mui/material/Box';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import AccordionSummary from '@mui/material/AccordionSummary';
+import AccordionDetails from '@mui/material/AccordionDetails';
+
+export function Faq({ items }) {
+  const [expanded, setExpanded] = useState('0');
+  return (
+    <>
+      <Box>
+        <Accordion
+          expanded={expanded === '0'}
+          onChange={(event, isExpanded) => setExpanded(isExpanded ? '0' : null)}>
+          <AccordionSummary expandIcon={<ExpandMoreIcon />}>Envíos</AccordionSummary>
+          <AccordionDetails>Entrega en 48 horas.</AccordionDetails>
+        </Accordion>
+        <Accordion
+          expanded={expanded === '1'}
+          onChange={(event, isExpanded) => setExpanded(isExpanded ? '1' : null)}>
+          <AccordionSummary expandIcon={<ExpandMoreIcon />}>Devoluciones</AccordionSummary>
+          <AccordionDetails>30 días.</AccordionDetails>
+        </Accordion>
+      </Box>
+      <Box>
+        {items.map(item => (
+          <Accordion key={item.id} disableGutters square elevation={0}>
+            <AccordionSummary expandIcon={<ExpandMoreIcon />}>{item.title}</AccordionSummary>
+            <AccordionDetails>{item.body}</AccordionDetails>
+          </Accordion>
+        ))}
+      </Box>
+    </>
+  );
+}
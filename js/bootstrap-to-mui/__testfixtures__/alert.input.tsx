@@ -0,0 +1,12 @@
+import { Alert } from 'react-bootstrap';
+
+export function Messages({ error, kind, onClose }) {
+  return (
+    <>
+      <Alert variant="danger" dismissible onClose={onClose}>{error}</Alert>
+      <Alert>Sin variant</Alert>
+      <Alert variant={error ? 'danger' : 'success'}>Estado</Alert>
+      <Alert variant={kind} className="mb-3">Dinámico</Alert>
+    </>
+  );
+}
@@ -0,0 +1,15 @@
+import Alert from '@mui/material/Alert';
+import { bsVariantToSeverity } from '../src/utils/bsVariantToMui';
+
+export function Messages({ error, kind, onClose }) {
+  return (
+    <>
+      <Alert onClose={onClose} severity='error'>{error}</Alert>
+      <Alert severity='info'>Sin variant</Alert>
+      <Alert severity={error ? 'error' : 'success'}>Estado</Alert>
+      <Alert severity={bsVariantToSeverity(kind)} sx={{
+        mb: 2
+      }}>Dinámico</Alert>
+    </>
+  );
+}
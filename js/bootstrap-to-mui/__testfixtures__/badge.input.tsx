@@ -0,0 +1,11 @@
+import { Badge } from 'react-bootstrap';
+
+export function Labels({ count }) {
+  return (
+    <>
+      <Badge bg="success">Activo</Badge>
+      <Badge pill bg="danger">{count}</Badge>
+      <Badge>Nuevo</Badge>
+    </>
+  );
+}
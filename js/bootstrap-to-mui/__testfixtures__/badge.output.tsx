@@ -0,0 +1,11 @@
+import Chip from '@mui/material/Chip';
+
+export function Labels({ count }) {
+  return (
+    <>
+      <Chip color='success' label='Activo' size='small' />
+      <Chip color='error' label={count} size='small' />
+      <Chip label='Nuevo' size='small' />
+    </>
+  );
+}
@@ -0,0 +1,13 @@
+import { Button } from 'react-bootstrap';
+import clsx from 'clsx';
+
+export function Toolbar({ big, danger, compact, onClick }) {
+  return (
+    <>
+      <Button className={clsx('btn-outline-danger', big && 'btn-lg')}>Borrar</Button>
+      <Button className={clsx('me-2', danger ? 'btn-danger' : 'btn-secondary')}>Enviar</Button>
+      <Button className={clsx('btn-sm', compact ? '' : 'btn-lg')} onClick={onClick}>Abrir</Button>
+      <Button className={clsx(big && 'btn-lg fw-bold')}>Mixto</Button>
+    </>
+  );
+}
@@ -0,0 +1,29 @@
+import clsx from 'clsx';
+import Button from '@mui/material/Button';
+
+export function Toolbar({ big, danger, compact, onClick }) {
+  return (
+    <>
+      <Button variant='outlined' color='error' size={big ? 'large' : 'medium'}>Borrar</Button>
+      <Button
+        variant='contained'
+        color={danger ? 'error' : 'secondary'}
+        sx={{
+          mr: 1
+        }}>Enviar</Button>
+      <Button
+        onClick={onClick}
+        variant='contained'
+        color='primary'
+        size={!compact ? 'large' : 'small'}>Abrir</Button>
+      {/* TODO(bootstrap-to-mui): className con clases btn-* dinámicas: pasarlas a variant/size. Props originales: className={clsx(big && 'btn-lg fw-bold')} */}
+      <Button
+        className={clsx(big && 'btn-lg')}
+        variant='contained'
+        color='primary'
+        sx={[big && {
+          fontWeight: 'bold'
+        }]}>Mixto</Button>
+    </>
+  );
+}
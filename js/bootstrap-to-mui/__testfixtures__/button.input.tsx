@@ -0,0 +1,15 @@
+import { Button } from 'react-bootstrap';
+import clsx from 'clsx';
+
+export function Actions({ onSave, variant, pressed }) {
+  return (
+    <>
+      <Button variant="outline-danger" size="sm" onClick={onSave}>Borrar</Button>
+      <Button className="btn btn-success btn-lg mb-3">Guardar</Button>
+      <Button className={clsx('btn-sm', 'me-2')} block>Enviar</Button>
+      <Button as="a" href="/ayuda" variant="link">Ayuda</Button>
+      <Button variant={variant} active={pressed}>Dinámico</Button>
+      <Button className="btn-close" aria-label="Cerrar" />
+    </>
+  );
+}
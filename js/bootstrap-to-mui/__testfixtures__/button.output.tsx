@@ -0,0 +1,37 @@
+import Button from '@mui/material/Button';
+import { bsVariantToMui } from '../src/utils/bsVariantToMui';
+import CloseIcon from '@mui/icons-material/Close';
+import IconButton from '@mui/material/IconButton';
+
+export function Actions({ onSave, variant, pressed }) {
+  return (
+    <>
+      <Button size='small' onClick={onSave} variant='outlined' color='error'>Borrar</Button>
+      <Button
+        variant='contained'
+        color='success'
+        size='large'
+        sx={{
+          mb: 2
+        }}>Guardar</Button>
+      <Button
+        variant='contained'
+        color='primary'
+        size='small'
+        fullWidth
+        sx={{
+          mr: 1
+        }}>Enviar</Button>
+      <Button href="/ayuda" variant='text' color='primary' component="a">Ayuda</Button>
+      <Button
+        {...bsVariantToMui(variant)}
+        aria-pressed={pressed}
+        sx={{
+          '&[aria-pressed="true"]': {
+            bgcolor: 'action.selected'
+          }
+        }}>Dinámico</Button>
+      <IconButton aria-label="Cerrar"><CloseIcon /></IconButton>
+    </>
+  );
+}
@@ -0,0 +1,16 @@
+import { Card, Button } from 'react-bootstrap';
+
+export function Product({ product }) {
+  return (
+    <Card bg="light" border="primary" className="shadow-sm">
+      <Card.Img variant="top" src={product.image} />
+      <Card.Header>Destacado</Card.Header>
+      <Card.Body>
+        <Card.Title>{product.name}</Card.Title>
+        <Card.Text>{product.description}</Card.Text>
+        <Button variant="primary">Comprar</Button>
+      </Card.Body>
+      <Card.Footer className="text-muted">Actualizado hoy</Card.Footer>
+    </Card>
+  );
+}
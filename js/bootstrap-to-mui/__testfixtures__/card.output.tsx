@@ -0,0 +1,31 @@
+import Card from '@mui/material/Card';
+import CardMedia from '@mui/material/CardMedia';
+import CardHeader from '@mui/material/CardHeader';
+import CardContent from '@mui/material/CardContent';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import CardActions from '@mui/material/CardActions';
+
+export function Product({ product }) {
+  return (
+    <Card
+      sx={{
+        bgcolor: 'grey.100',
+        border: 1,
+        borderColor: 'primary.main',
+        boxShadow: 1
+      }}>
+      <CardMedia src={product.image} component='img' />
+      <CardHeader title='Destacado' />
+      <CardContent>
+        <Typography variant='h5' component='div'>{product.name}</Typography>
+        <Typography variant='body2' color='text.secondary'>{product.description}</Typography>
+        <Button variant='contained' color='primary'>Comprar</Button>
+      </CardContent>
+      {/* TODO(bootstrap-to-mui): CardActions está pensado para botones; revisar el contenido del pie. Props originales: className="text-muted" */}
+      <CardActions sx={{
+        color: 'text.secondary'
+      }}>Actualizado hoy</CardActions>
+    </Card>
+  );
+}
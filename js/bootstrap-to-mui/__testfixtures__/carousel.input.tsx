@@ -0,0 +1,16 @@
+import { Carousel } from 'react-bootstrap';
+
+export function Gallery({ slides }) {
+  return (
+    <Carousel interval={3000} fade>
+      {slides.map(slide => (
+        <Carousel.Item key={slide.id}>
+          <img className="d-block w-100" src={slide.src} alt={slide.alt} />
+          <Carousel.Caption>
+            <h3>{slide.title}</h3>
+          </Carousel.Caption>
+        </Carousel.Item>
+      ))}
+    </Carousel>
+  );
+}
@@ -0,0 +1,12 @@
+import { Card } from 'react-bootstrap';
+import clsx from 'clsx';
+
+export function Tile({ active, hidden, size, children }) {
+  return (
+    <>
+      <Card className={`shadow-sm ${size} mb-3`}>{children}</Card>
+      <Card className={clsx('p-2', 'tile', active && 'border-primary', { 'd-none': hidden })}>{children}</Card>
+      <Card className={clsx('mt-2', hidden ? 'opacity-50' : 'opacity-100')}>{children}</Card>
+    </>
+  );
+}
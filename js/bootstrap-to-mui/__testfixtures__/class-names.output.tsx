@@ -0,0 +1,30 @@
+import Card from '@mui/material/Card';
+
+export function Tile({ active, hidden, size, children }) {
+  return (
+    <>
+      <Card
+        className={`${size}`}
+        sx={{
+          boxShadow: 1,
+          mb: 2
+        }}>{children}</Card>
+      <Card
+        className='tile'
+        sx={[{
+          p: 1
+        }, active && {
+          borderColor: 'primary.main'
+        }, hidden && {
+          display: 'none'
+        }]}>{children}</Card>
+      <Card sx={[{
+        mt: 1
+      }, hidden ? {
+        opacity: 0.5
+      } : {
+        opacity: 1
+      }]}>{children}</Card>
+    </>
+  );
+}
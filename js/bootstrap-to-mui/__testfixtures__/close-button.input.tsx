@@ -0,0 +1,10 @@
+import { CloseButton } from 'react-bootstrap';
+
+export function Dismiss({ onHide }) {
+  return (
+    <>
+      <CloseButton onClick={onHide} />
+      <CloseButton variant="white" aria-label="Ocultar" disabled />
+    </>
+  );
+}
@@ -0,0 +1,11 @@
+import CloseIcon from '@mui/icons-material/Close';
+import IconButton from '@mui/material/IconButton';
+
+export function Dismiss({ onHide }) {
+  return (
+    <>
+      <IconButton onClick={onHide} aria-label='close'><CloseIcon /></IconButton>
+      <IconButton aria-label="Ocultar" disabled><CloseIcon /></IconButton>
+    </>
+  );
+}
@@ -0,0 +1,11 @@
+import { Container } from 'react-bootstrap';
+
+export function Layout({ children }) {
+  return (
+    <>
+      <Container className="py-4">{children}</Container>
+      <Container fluid>{children}</Container>
+      <Container fluid="md">{children}</Container>
+    </>
+  );
+}
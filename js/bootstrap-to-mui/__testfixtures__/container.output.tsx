@@ -0,0 +1,13 @@
+import Container from '@mui/material/Container';
+
+export function Layout({ children }) {
+  return (
+    <>
+      <Container sx={{
+        py: 3
+      }}>{children}</Container>
+      <Container maxWidth={false}>{children}</Container>
+      <Container maxWidth={false}>{children}</Container>
+    </>
+  );
+}
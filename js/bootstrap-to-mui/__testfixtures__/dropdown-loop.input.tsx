@@ -0,0 +1,19 @@
+import { Button, Dropdown } from 'react-bootstrap';
+
+export function Rows({ rows, onAction }) {
+  return (
+    <ul>
+      {rows.map(row => (
+        <li key={row.id}>
+          <Dropdown onSelect={key => onAction(row, key)}>
+            <Dropdown.Toggle variant="light">{row.name}</Dropdown.Toggle>
+            <Dropdown.Menu>
+              <Dropdown.Item eventKey="edit">Editar</Dropdown.Item>
+            </Dropdown.Menu>
+          </Dropdown>
+          <Button variant="link">Ver</Button>
+        </li>
+      ))}
+    </ul>
+  );
+}
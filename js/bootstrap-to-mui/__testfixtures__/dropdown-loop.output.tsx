@@ -0,0 +1,22 @@
+import { Dropdown } from 'react-bootstrap';
+
+import Button from '@mui/material/Button';
+
+export function Rows({ rows, onAction }) {
+  return (
+    <ul>
+      {rows.map(row => (
+        <li key={row.id}>
+          {/* TODO(bootstrap-to-mui): Dropdown dentro de un callback: su estado no puede declararse en el componente sin que lo compartan todas las instancias; extraerlo a un componente propio. Props originales: onSelect={key => onAction(row, key)} */}
+          <Dropdown onSelect={key => onAction(row, key)}>
+            <Dropdown.Toggle variant="light">{row.name}</Dropdown.Toggle>
+            <Dropdown.Menu>
+              <Dropdown.Item eventKey="edit">Editar</Dropdown.Item>
+            </Dropdown.Menu>
+          </Dropdown>
+          <Button variant='text' color='primary'>Ver</Button>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,20 @@
+import { Dropdown, DropdownButton } from 'react-bootstrap';
+
+export function Menus({ onSelect }) {
+  return (
+    <>
+      <Dropdown onSelect={onSelect}>
+        <Dropdown.Toggle variant="success">Acciones</Dropdown.Toggle>
+        <Dropdown.Menu>
+          <Dropdown.Item eventKey="edit">Editar</Dropdown.Item>
+          <Dropdown.Item href="#/copy" active>Copiar</Dropdown.Item>
+          <Dropdown.Divider />
+          <Dropdown.Item eventKey="delete">Borrar</Dropdown.Item>
+        </Dropdown.Menu>
+      </Dropdown>
+      <DropdownButton title="Más" variant="secondary">
+        <Dropdown.Item onClick={() => console.log('a')}>Una</Dropdown.Item>
+      </DropdownButton>
+    </>
+  );
+}
@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import ArrowDropDownIcon from '@mui/icons-material/ArrowDropDown';
+import Button from '@mui/material/Button';
+import MenuItem from '@mui/material/MenuItem';
+import Divider from '@mui/material/Divider';
+import Menu from '@mui/material/Menu';
+import Box from '@mui/material/Box';
+
+export function Menus({ onSelect }) {
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [menuAnchor2, setMenuAnchor2] = useState(null);
+  return (
+    <>
+      <Box>
+        <Button
+          onClick={event => setMenuAnchor(event.currentTarget)}
+          aria-haspopup='true'
+          endIcon={<ArrowDropDownIcon />}
+          variant='contained'
+          color='success'>Acciones</Button>
+        <Menu
+          anchorEl={menuAnchor}
+          open={Boolean(menuAnchor)}
+          onClose={() => setMenuAnchor(null)}>
+          <MenuItem onClick={event => {
+            onSelect("edit", event);
+            setMenuAnchor(null);
+          }}>Editar</MenuItem>
+          <MenuItem
+            href="#/copy"
+            component='a'
+            selected
+            onClick={event => {
+              onSelect("#/copy", event);
+              setMenuAnchor(null);
+            }}>Copiar</MenuItem>
+          <Divider />
+          <MenuItem onClick={event => {
+            onSelect("delete", event);
+            setMenuAnchor(null);
+          }}>Borrar</MenuItem>
+        </Menu>
+      </Box>
+      <Box>
+        <Button
+          onClick={event => setMenuAnchor2(event.currentTarget)}
+          aria-haspopup='true'
+          endIcon={<ArrowDropDownIcon />}
+          variant='contained'
+          color='secondary'>Más</Button>
+        <Menu
+          anchorEl={menuAnchor2}
+          open={Boolean(menuAnchor2)}
+          onClose={() => setMenuAnchor2(null)}>
+          <MenuItem onClick={event => {
+            console.log('a');
+            setMenuAnchor2(null);
+          }}>Una</MenuItem>
+        </Menu>
+      </Box>
+    </>
+  );
+}
@@ -0,0 +1,27 @@
+import { Form, InputGroup, FloatingLabel } from 'react-bootstrap';
+
+export function Signup({ email, setEmail, invalid }) {
+  return (
+    <Form>
+      <Form.Group className="mb-3" controlId="email">
+        <Form.Label>Correo</Form.Label>
+        <Form.Control type="email" value={email} onChange={e => setEmail(e.target.value)} isInvalid={invalid} />
+        <Form.Control.Feedback type="invalid">Correo no válido</Form.Control.Feedback>
+      </Form.Group>
+      <FloatingLabel label="Comentarios">
+        <Form.Control as="textarea" rows={3} />
+      </FloatingLabel>
+      <Form.Select>
+        <option value="a">A</option>
+        <option value="b">B</option>
+      </Form.Select>
+      <InputGroup>
+        <InputGroup.Text>@</InputGroup.Text>
+        <Form.Control placeholder="usuario" />
+      </InputGroup>
+      <Form.Check type="checkbox" label="Acepto" />
+      <Form.Switch label="Avisos" />
+      <Form.Range min={0} max={10} />
+    </Form>
+  );
+}
@@ -0,0 +1,43 @@
+import Box from '@mui/material/Box';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import InputAdornment from '@mui/material/InputAdornment';
+import Checkbox from '@mui/material/Checkbox';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import Switch from '@mui/material/Switch';
+import Slider from '@mui/material/Slider';
+
+export function Signup({ email, setEmail, invalid }) {
+  return (
+    <Box component='form'>
+      <Box
+        sx={{
+          mb: 2
+        }}>
+        <TextField
+          type="email"
+          value={email}
+          onChange={e => setEmail(e.target.value)}
+          error={invalid}
+          id="email"
+          label='Correo'
+          helperText={invalid ? 'Correo no válido' : undefined}
+          fullWidth />
+      </Box>
+      <TextField rows={3} multiline label="Comentarios" fullWidth />
+      <TextField select fullWidth>
+        <MenuItem value="a">A</MenuItem>
+        <MenuItem value="b">B</MenuItem>
+      </TextField>
+      <TextField
+        placeholder="usuario"
+        InputProps={{
+          startAdornment: <InputAdornment position='start'>@</InputAdornment>
+        }}
+        fullWidth />
+      <FormControlLabel control={<Checkbox />} label="Acepto" />
+      <FormControlLabel control={<Switch />} label="Avisos" />
+      <Slider min={0} max={10} />
+    </Box>
+  );
+}
@@ -0,0 +1,11 @@
+import { Row, Col } from 'react-bootstrap';
+
+export function Columns() {
+  return (
+    <Row className="g-2">
+      <Col xs={12} md={{ span: 6, offset: 3 }}>Uno</Col>
+      <Col xs>Dos</Col>
+      <Col className="col-md-auto">Tres</Col>
+    </Row>
+  );
+}
@@ -0,0 +1,19 @@
+import GridLegacy from '@mui/material/GridLegacy';
+
+export function Columns() {
+  return (
+    <GridLegacy container spacing={1}>
+      <GridLegacy
+        item
+        xs={12}
+        md={6}
+        sx={{
+          ml: {
+            md: '25%'
+          }
+        }}>Uno</GridLegacy>
+      <GridLegacy item xs>Dos</GridLegacy>
+      <GridLegacy item md='auto'>Tres</GridLegacy>
+    </GridLegacy>
+  );
+}
@@ -0,0 +1,18 @@
+import Grid from '@mui/material/Grid2';
+
+export function Columns() {
+  return (
+    <Grid container spacing={1}>
+      <Grid offset={{
+        md: 3
+      }} size={{
+        xs: 12,
+        md: 6
+      }}>Uno</Grid>
+      <Grid size='grow'>Dos</Grid>
+      <Grid size={{
+        md: 'auto'
+      }}>Tres</Grid>
+    </Grid>
+  );
+}
@@ -0,0 +1,16 @@
+import { Row, Col } from 'react-bootstrap';
+
+export function Columns() {
+  return (
+    <>
+      <Row className="g-3">
+        <Col xs={12} md={6}>Uno</Col>
+        <Col md={{ span: 4, offset: 2 }}>Dos</Col>
+      </Row>
+      <Row xs={1} md={3}>
+        <Col>A</Col>
+        <Col className="col-lg-2">B</Col>
+      </Row>
+    </>
+  );
+}
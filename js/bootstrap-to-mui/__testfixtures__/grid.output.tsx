@@ -0,0 +1,27 @@
+import Grid from '@mui/material/Grid';
+
+export function Columns() {
+  return (
+    <>
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={6}>Uno</Grid>
+        <Grid
+          item
+          md={4}
+          sx={{
+            ml: {
+              md: '16.6667%'
+            }
+          }}>Dos</Grid>
+      </Grid>
+      <Grid container columns={{
+        xs: 1,
+        md: 3
+      }}>
+        <Grid item xs={1}>A</Grid>
+        {/* TODO(bootstrap-to-mui): Col con tamaño propio dentro de una Row con columnas por fila: revisar su ancho. Props originales: className="col-lg-2" */}
+        <Grid item lg={2}>B</Grid>
+      </Grid>
+    </>
+  );
+}
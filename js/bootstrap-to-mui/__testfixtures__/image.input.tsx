@@ -0,0 +1,17 @@
+import { Image, Figure, Ratio } from 'react-bootstrap';
+
+export function Media({ src, round }) {
+  return (
+    <>
+      <Image src={src} fluid rounded />
+      <Image src={src} thumbnail roundedCircle={round} />
+      <Figure>
+        <Figure.Image src={src} />
+        <Figure.Caption>Pie de foto</Figure.Caption>
+      </Figure>
+      <Ratio aspectRatio="16x9">
+        <iframe src="https://example.com" title="Vídeo" />
+      </Ratio>
+    </>
+  );
+}
@@ -0,0 +1,58 @@
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+
+export function Media({ src, round }) {
+  return (
+    <>
+      <Box src={src} sx={{
+        maxWidth: '100%',
+        height: 'auto',
+        borderRadius: 1.5
+      }} component='img' />
+      <Box src={src} sx={[{
+        p: 0.5,
+        bgcolor: 'background.paper',
+        border: 1,
+        borderColor: 'divider',
+        borderRadius: 1.5,
+        maxWidth: '100%',
+        height: 'auto'
+      }, round && {
+        borderRadius: '50%'
+      }]} component='img' />
+      <Box
+        component='figure'
+        sx={{
+          display: 'inline-block',
+          mx: 0,
+          mt: 0,
+          mb: 2
+        }}>
+        <Box
+          src={src}
+          component='img'
+          sx={{
+            mb: 1,
+            lineHeight: 1
+          }} />
+        <Typography variant='caption' component='figcaption' color='text.secondary'>Pie de foto</Typography>
+      </Box>
+      <Box sx={{
+        position: 'relative',
+        width: '100%',
+
+        '& > *': {
+          position: 'absolute',
+          top: 0,
+          left: 0,
+          width: '100%',
+          height: '100%'
+        },
+
+        aspectRatio: '16 / 9'
+      }}>
+        <iframe src="https://example.com" title="Vídeo" />
+      </Box>
+    </>
+  );
+}
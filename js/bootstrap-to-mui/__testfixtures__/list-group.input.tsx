@@ -0,0 +1,20 @@
+import { ListGroup } from 'react-bootstrap';
+
+export function Items({ items, selectedId, busy }) {
+  return (
+    <>
+      <ListGroup>
+        <ListGroup.Item active>Primero</ListGroup.Item>
+        <ListGroup.Item variant="warning">Aviso</ListGroup.Item>
+        <ListGroup.Item disabled={busy}>Último</ListGroup.Item>
+      </ListGroup>
+      <ListGroup variant="flush" horizontal="md">
+        {items.map(item => (
+          <ListGroup.Item key={item.id} action active={item.id === selectedId} href={item.url}>
+            {item.name}
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+    </>
+  );
+}
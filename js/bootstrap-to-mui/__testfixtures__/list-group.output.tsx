@@ -0,0 +1,49 @@
+import ListItemText from '@mui/material/ListItemText';
+import ListItem from '@mui/material/ListItem';
+import List from '@mui/material/List';
+import ListItemButton from '@mui/material/ListItemButton';
+
+export function Items({ items, selectedId, busy }) {
+  return (
+    <>
+      <List
+        sx={{
+          py: 0,
+          border: 1,
+          borderColor: 'divider',
+          borderRadius: 1.5
+        }}>
+        <ListItem
+          sx={{
+            bgcolor: 'primary.main',
+            color: 'primary.contrastText'
+          }}
+          divider><ListItemText primary='Primero' /></ListItem>
+        <ListItem
+          sx={{
+            bgcolor: 'warning.light',
+            color: 'warning.contrastText'
+          }}
+          divider><ListItemText primary='Aviso' /></ListItem>
+        <ListItem sx={[busy && {
+          color: 'text.disabled',
+          pointerEvents: 'none'
+        }]}><ListItemText primary='Último' /></ListItem>
+      </List>
+      <List
+        sx={{
+          py: 0,
+          display: 'flex',
+
+          flexDirection: {
+            xs: 'column',
+            md: 'row'
+          }
+        }}>
+        {items.map(item => (
+          <ListItemButton key={item.id} href={item.url} component='a' selected={item.id === selectedId}><ListItemText primary={item.name} /></ListItemButton>
+        ))}
+      </List>
+    </>
+  );
+}
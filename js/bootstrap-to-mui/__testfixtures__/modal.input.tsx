@@ -0,0 +1,16 @@
+import { Modal, Button } from 'react-bootstrap';
+
+export function Confirm({ show, onHide, onConfirm }) {
+  return (
+    <Modal show={show} onHide={onHide} size="lg" centered keyboard={false}>
+      <Modal.Header closeButton>
+        <Modal.Title>Confirmar</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>¿Seguro?</Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>Cancelar</Button>
+        <Button onClick={onConfirm}>Aceptar</Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
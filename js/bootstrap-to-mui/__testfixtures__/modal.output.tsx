@@ -0,0 +1,21 @@
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Button from '@mui/material/Button';
+
+export function Confirm({ show, onHide, onConfirm }) {
+  return (
+    <Dialog open={show} onClose={onHide} maxWidth='md' fullWidth disableEscapeKeyDown>
+      {/* TODO(bootstrap-to-mui): closeButton: DialogTitle no incluye botón de cierre; añadir un IconButton. Props originales: closeButton */}
+      <DialogTitle>
+        Confirmar
+      </DialogTitle>
+      <DialogContent>¿Seguro?</DialogContent>
+      <DialogActions>
+        <Button onClick={onHide} variant='contained' color='secondary'>Cancelar</Button>
+        <Button onClick={onConfirm} variant='contained' color='primary'>Aceptar</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,17 @@
+import { Navbar, Nav } from 'react-bootstrap';
+
+export function Sections({ sections }) {
+  return (
+    <>
+      {sections.map(section => (
+        <Navbar key={section.id} expand="md">
+          <Navbar.Brand>{section.title}</Navbar.Brand>
+          <Navbar.Toggle />
+          <Navbar.Collapse>
+            <Nav.Link href={section.href}>Abrir</Nav.Link>
+          </Navbar.Collapse>
+        </Navbar>
+      ))}
+    </>
+  );
+}
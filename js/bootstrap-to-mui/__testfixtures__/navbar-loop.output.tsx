@@ -0,0 +1,21 @@
+import { Navbar } from 'react-bootstrap';
+
+import Button from '@mui/material/Button';
+
+export function Sections({ sections }) {
+  return (
+    <>
+      {sections.map(section => (
+        /* TODO(bootstrap-to-mui): Navbar dentro de un callback: su estado no puede declararse en el componente sin que lo compartan todas las instancias; extraerlo a un componente propio. Props originales: key={section.id} expand="md" */
+        <Navbar key={section.id} expand="md">
+          <Navbar.Brand>{section.title}</Navbar.Brand>
+          <Navbar.Toggle />
+          <Navbar.Collapse>
+            {/* TODO(bootstrap-to-mui): El estado activo (active/eventKey) no se traslada. Props originales: href={section.href} */}
+            <Button href={section.href} color='inherit'>Abrir</Button>
+          </Navbar.Collapse>
+        </Navbar>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,95 @@
+import Typography from '@mui/material/Typography';
+import { useState } from 'react';
+import MenuIcon from '@mui/icons-material/Menu';
+import IconButton from '@mui/material/IconButton';
+import Box from '@mui/material/Box';
+import Drawer from '@mui/material/Drawer';
+import Button from '@mui/material/Button';
+import Toolbar from '@mui/material/Toolbar';
+import AppBar from '@mui/material/AppBar';
+import Container from '@mui/material/Container';
+
+export function Header() {
+  const [navOpen, setNavOpen] = useState(false);
+  return (
+    <AppBar
+      position='sticky'
+      sx={{
+        bgcolor: 'grey.900'
+      }}>
+      <Container><Toolbar>
+          <Typography
+            href="/"
+            component='a'
+            variant='h6'
+            sx={{
+              color: 'inherit',
+              textDecoration: 'none'
+            }}>Tienda</Typography>
+          <IconButton
+            aria-controls="main-nav"
+            onClick={() => setNavOpen(true)}
+            sx={{
+              display: {
+                lg: 'none'
+              }
+            }}
+            color='inherit'
+            aria-label='open navigation'><MenuIcon /></IconButton>
+          <Box
+            id="main-nav"
+            sx={{
+              display: {
+                xs: 'none',
+                lg: 'flex'
+              },
+
+              flexGrow: 1,
+              alignItems: 'center'
+            }}>
+            {/* TODO(bootstrap-to-mui): Nav pasa a ser un contenedor <nav> sin estilos de pestañas ni pills. Props originales: className="me-auto" */}
+            <Box
+              component='nav'
+              sx={{
+                mr: 'auto'
+              }}>
+              {/* TODO(bootstrap-to-mui): El estado activo (active/eventKey) no se traslada. Props originales: href="/productos" */}
+              <Button href="/productos" color='inherit'>Productos</Button>
+              {/* TODO(bootstrap-to-mui): El estado activo (active/eventKey) no se traslada. Props originales: href="/contacto" */}
+              <Button href="/contacto" color='inherit'>Contacto</Button>
+            </Box>
+          </Box>
+          <Drawer
+            open={navOpen}
+            onClose={() => setNavOpen(false)}
+            sx={{
+              display: {
+                lg: 'none'
+              }
+            }}>
+            <Box
+              onClick={event => event.target.closest('a, [role="menuitem"]') && setNavOpen(false)}
+              sx={{
+                width: 250,
+                p: 2
+              }}>
+              {/* TODO(bootstrap-to-mui): Nav pasa a ser un contenedor <nav> sin estilos de pestañas ni pills. Props originales: className='me-auto' */}
+              <Box
+                sx={{
+                  display: 'flex',
+                  flexDirection: 'column',
+                  alignItems: 'flex-start',
+                  mr: 'auto'
+                }}
+                component='nav'>
+                {/* TODO(bootstrap-to-mui): El estado activo (active/eventKey) no se traslada. Props originales: href='/productos' */}
+                <Button href='/productos' color='inherit'>Productos</Button>
+                {/* TODO(bootstrap-to-mui): El estado activo (active/eventKey) no se traslada. Props originales: href='/contacto' */}
+                <Button href='/contacto' color='inherit'>Contacto</Button>
+              </Box>
+            </Box>
+          </Drawer>
+        </Toolbar></Container>
+    </AppBar>
+  );
+}
@@ -0,0 +1,12 @@
+import { Offcanvas } from 'react-bootstrap';
+
+export function Filters({ show, onHide }) {
+  return (
+    <Offcanvas show={show} onHide={onHide} placement="end" backdrop="static">
+      <Offcanvas.Header closeButton>
+        <Offcanvas.Title>Filtros</Offcanvas.Title>
+      </Offcanvas.Header>
+      <Offcanvas.Body>Contenido</Offcanvas.Body>
+    </Offcanvas>
+  );
+}
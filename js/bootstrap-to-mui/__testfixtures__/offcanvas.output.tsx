@@ -0,0 +1,36 @@
+import IconButton from '@mui/material/IconButton';
+import CloseIcon from '@mui/icons-material/Close';
+import Box from '@mui/material/Box';
+import Drawer from '@mui/material/Drawer';
+import Typography from '@mui/material/Typography';
+
+export function Filters({ show, onHide }) {
+  return (
+    <Drawer open={show} onClose={(event, reason) => {
+      if (reason !== 'backdropClick') {
+        onHide(event);
+      }
+    }} anchor='right' sx={{
+      '& .MuiDrawer-paper': {
+        width: 400,
+        maxWidth: '100%'
+      }
+    }}>
+      <Box sx={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        p: 2
+      }}>
+        <Typography variant='h6' component='div'>Filtros</Typography>
+        <IconButton aria-label='close' onClick={onHide}><CloseIcon /></IconButton>
+      </Box>
+      <Box
+        sx={{
+          p: 2,
+          flexGrow: 1,
+          overflowY: 'auto'
+        }}>Contenido</Box>
+    </Drawer>
+  );
+}
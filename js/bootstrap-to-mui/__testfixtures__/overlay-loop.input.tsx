@@ -0,0 +1,25 @@
+import { OverlayTrigger, Tooltip, Popover, Button } from 'react-bootstrap';
+
+export function Users({ users }) {
+  return (
+    <ul>
+      {users.map(user => (
+        <li key={user.id}>
+          <OverlayTrigger
+            trigger="click"
+            overlay={
+              <Popover id={`user-${user.id}`}>
+                <Popover.Body>{user.email}</Popover.Body>
+              </Popover>
+            }
+          >
+            <Button variant="link">{user.name}</Button>
+          </OverlayTrigger>
+          <OverlayTrigger overlay={<Tooltip>{user.role}</Tooltip>}>
+            <span>?</span>
+          </OverlayTrigger>
+        </li>
+      ))}
+    </ul>
+  );
+}
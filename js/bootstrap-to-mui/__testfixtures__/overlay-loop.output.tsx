@@ -0,0 +1,29 @@
+import { OverlayTrigger, Popover } from 'react-bootstrap';
+
+import Button from '@mui/material/Button';
+import Tooltip from '@mui/material/Tooltip';
+
+export function Users({ users }) {
+  return (
+    <ul>
+      {users.map(user => (
+        <li key={user.id}>
+          {/* TODO(bootstrap-to-mui): OverlayTrigger dentro de un callback: su estado no puede declararse en el componente sin que lo compartan todas las instancias; extraerlo a un componente propio. Props originales: trigger="click" overlay={ <Popover id={`user-${user.id}`}> <Popover.Body>{user.email}</Popover.Body> </Popover> } */}
+          <OverlayTrigger
+            trigger="click"
+            overlay={
+              <Popover id={`user-${user.id}`}>
+                <Popover.Body>{user.email}</Popover.Body>
+              </Popover>
+            }
+          >
+            <Button variant='text' color='primary'>{user.name}</Button>
+          </OverlayTrigger>
+          <Tooltip title={user.role} placement='top' arrow>
+            <span>?</span>
+          </Tooltip>
+        </li>
+      ))}
+    </ul>
+  );
+}
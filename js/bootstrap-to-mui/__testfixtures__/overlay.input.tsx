@@ -0,0 +1,24 @@
+import { OverlayTrigger, Tooltip, Popover, Button } from 'react-bootstrap';
+
+const popover = (
+  <Popover id="info">
+    <Popover.Header as="h3">Información</Popover.Header>
+    <Popover.Body>Detalles del pedido.</Popover.Body>
+  </Popover>
+);
+
+export function Hints({ tip }) {
+  return (
+    <>
+      <OverlayTrigger placement="right" overlay={<Tooltip id="tip">{tip}</Tooltip>}>
+        <Button variant="secondary">Pasa el ratón</Button>
+      </OverlayTrigger>
+      <OverlayTrigger trigger="click" placement="bottom" overlay={popover}>
+        <Button>Ver detalles</Button>
+      </OverlayTrigger>
+      <OverlayTrigger overlay={<Tooltip>{tip}</Tooltip>}>
+        {({ ref, ...triggerHandler }) => <span ref={ref} {...triggerHandler}>?</span>}
+      </OverlayTrigger>
+    </>
+  );
+}
@@ -0,0 +1,56 @@
+import { OverlayTrigger, Tooltip as BsTooltip } from 'react-bootstrap';
+
+import Typography from '@mui/material/Typography';
+import Tooltip from '@mui/material/Tooltip';
+import Button from '@mui/material/Button';
+import { useState } from 'react';
+import Popover from '@mui/material/Popover';
+
+export function Hints({ tip }) {
+  const [popoverAnchor, setPopoverAnchor] = useState(null);
+  return (
+    <>
+      <Tooltip title={tip} id="tip" placement='right' arrow>
+        <Button variant='contained' color='secondary'>Pasa el ratón</Button>
+      </Tooltip>
+      <Button
+        onClick={event => setPopoverAnchor(event.currentTarget)}
+        variant='contained'
+        color='primary'>Ver detalles</Button>
+      <Popover
+        id="info"
+        anchorOrigin={{
+          vertical: 'bottom',
+          horizontal: 'center'
+        }}
+        transformOrigin={{
+          vertical: 'top',
+          horizontal: 'center'
+        }}
+        open={Boolean(popoverAnchor)}
+        anchorEl={popoverAnchor}
+        onClose={() => setPopoverAnchor(null)}>
+        <Typography
+          component="h3"
+          variant='subtitle2'
+          sx={{
+            px: 2,
+            py: 1,
+            bgcolor: 'grey.100',
+            borderBottom: 1,
+            borderColor: 'divider'
+          }}>Información</Typography>
+        <Typography
+          variant='body2'
+          component='div'
+          sx={{
+            p: 2
+          }}>Detalles del pedido.</Typography>
+      </Popover>
+      {/* TODO(bootstrap-to-mui): OverlayTrigger sin un único elemento hijo: envolverlo en un Tooltip o Popover de MUI a mano. Props originales: overlay={<Tooltip>{tip}</Tooltip>} */}
+      <OverlayTrigger overlay={<BsTooltip>{tip}</BsTooltip>}>
+        {({ ref, ...triggerHandler }) => <span ref={ref} {...triggerHandler}>?</span>}
+      </OverlayTrigger>
+    </>
+  );
+}
@@ -0,0 +1,25 @@
+import { Pagination } from 'react-bootstrap';
+
+export function Pages({ total, page, go }) {
+  return (
+    <>
+      <Pagination>
+        {Array.from({ length: total }, (_, i) => i).map(n => (
+          <Pagination.Item key={n} active={n === page} onClick={() => go(n)}>{n + 1}</Pagination.Item>
+        ))}
+      </Pagination>
+      <Pagination>
+        <Pagination.Prev />
+        {Array.from({ length: total }).map((_, i) => (
+          <Pagination.Item key={i} active={i + 1 === page} onClick={() => go(i + 1)}>{i + 1}</Pagination.Item>
+        ))}
+        <Pagination.Next />
+      </Pagination>
+      <Pagination>
+        {Array.from({ length: total }, (_, i) => i + 1).map(n => (
+          <Pagination.Item key={n} active={n === page} onClick={() => go(n)}>{n}</Pagination.Item>
+        ))}
+      </Pagination>
+    </>
+  );
+}
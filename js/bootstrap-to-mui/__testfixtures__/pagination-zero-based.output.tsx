@@ -0,0 +1,29 @@
+import Box from '@mui/material/Box';
+import PaginationItem from '@mui/material/PaginationItem';
+import Pagination from '@mui/material/Pagination';
+
+export function Pages({ total, page, go }) {
+  return (
+    <>
+      {/* TODO(bootstrap-to-mui): Las páginas de Array.from no van de 1 a length: se conservan como PaginationItem */}
+      <Box
+        component='nav'
+        sx={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: 0.5
+        }}>
+        {Array.from({ length: total }, (_, i) => i).map(n => (
+          <PaginationItem key={n} onClick={() => go(n)} selected={n === page} page={n + 1} />
+        ))}
+      </Box>
+      <Pagination count={total} page={page} onChange={(event, value) => go(value)} />
+      <Pagination
+        count={total}
+        page={page}
+        onChange={(event, value) => go(value)}
+        hidePrevButton
+        hideNextButton />
+    </>
+  );
+}
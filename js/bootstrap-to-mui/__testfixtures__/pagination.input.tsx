@@ -0,0 +1,21 @@
+import { Pagination } from 'react-bootstrap';
+
+export function Pages({ pages, page, setPage }) {
+  return (
+    <>
+      <Pagination>
+        <Pagination.Prev />
+        {pages.map(n => (
+          <Pagination.Item key={n} active={n === page} onClick={() => setPage(n)}>{n}</Pagination.Item>
+        ))}
+        <Pagination.Next />
+      </Pagination>
+      <Pagination size="sm">
+        <Pagination.First />
+        <Pagination.Item>{1}</Pagination.Item>
+        <Pagination.Ellipsis />
+        <Pagination.Last />
+      </Pagination>
+    </>
+  );
+}
@@ -0,0 +1,27 @@
+import Pagination from '@mui/material/Pagination';
+import Box from '@mui/material/Box';
+import PaginationItem from '@mui/material/PaginationItem';
+
+export function Pages({ pages, page, setPage }) {
+  return (
+    <>
+      {/* TODO(bootstrap-to-mui): count se deduce de la longitud de la lista: comprobar que las páginas van de 1 a count */}
+      <Pagination
+        count={pages.length}
+        page={page}
+        onChange={(event, value) => setPage(value)} />
+      <Box
+        component='nav'
+        sx={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: 0.5
+        }}>
+        <PaginationItem size='small' type='first' />
+        <PaginationItem size='small' page={1} />
+        <PaginationItem size='small' type='start-ellipsis' />
+        <PaginationItem size='small' type='last' />
+      </Box>
+    </>
+  );
+}
@@ -0,0 +1,16 @@
+import { ProgressBar } from 'react-bootstrap';
+
+export function Upload({ percent, busy, fancy }) {
+  return (
+    <div>
+      <ProgressBar now={percent} striped={fancy} animated={busy} />
+      <ProgressBar now={percent} striped />
+      <div>
+        <ProgressBar>
+          <ProgressBar striped variant="success" now={percent} key="done" />
+          <ProgressBar variant="danger" now={100 - percent} key="left" />
+        </ProgressBar>
+      </div>
+    </div>
+  );
+}
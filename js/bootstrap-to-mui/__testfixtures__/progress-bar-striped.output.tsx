@@ -0,0 +1,30 @@
+import LinearProgress from '@mui/material/LinearProgress';
+import Box from '@mui/material/Box';
+
+export function Upload({ percent, busy, fancy }) {
+  return (
+    <div>
+      <LinearProgress variant='determinate' value={percent} />
+      <LinearProgress variant='determinate' value={percent} />
+      <div>
+        {/* TODO(bootstrap-to-mui): Barras apiladas compuestas con un Box por segmento: revisar alturas, esquinas y etiquetas */}
+        <Box
+          sx={{
+            display: 'flex',
+            width: '100%'
+          }}>
+          <Box
+            key='done'
+            sx={{
+              width: `${percent}%`
+            }}><LinearProgress variant='determinate' value={100} color='success' /></Box>
+          <Box
+            key='left'
+            sx={{
+              width: `${100 - percent}%`
+            }}><LinearProgress variant='determinate' value={100} color='error' /></Box>
+        </Box>
+      </div>
+    </div>
+  );
+}
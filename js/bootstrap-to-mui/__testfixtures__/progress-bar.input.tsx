@@ -0,0 +1,15 @@
+import { ProgressBar } from 'react-bootstrap';
+
+export function Progress({ done, total }) {
+  return (
+    <>
+      <ProgressBar now={60} variant="success" label="60%" />
+      <ProgressBar now={done} min={0} max={total} />
+      <ProgressBar animated now={100} />
+      <ProgressBar>
+        <ProgressBar variant="success" now={35} key={1} />
+        <ProgressBar variant="warning" now={20} key={2} />
+      </ProgressBar>
+    </>
+  );
+}
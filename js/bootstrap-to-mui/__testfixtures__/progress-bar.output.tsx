@@ -0,0 +1,41 @@
+import LinearProgress from '@mui/material/LinearProgress';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+
+export function Progress({ done, total }) {
+  return (
+    <>
+      <Box
+        sx={{
+          display: 'flex',
+          alignItems: 'center'
+        }}>
+        <Box
+          sx={{
+            flexGrow: 1,
+            mr: 1
+          }}><LinearProgress variant='determinate' value={60} color='success' /></Box>
+        <Typography variant='body2' color='text.secondary'>60%</Typography>
+      </Box>
+      <LinearProgress variant='determinate' value={done * 100 / total} />
+      <LinearProgress variant='indeterminate' />
+      {/* TODO(bootstrap-to-mui): Barras apiladas compuestas con un Box por segmento: revisar alturas, esquinas y etiquetas */}
+      <Box
+        sx={{
+          display: 'flex',
+          width: '100%'
+        }}>
+        <Box
+          key={1}
+          sx={{
+            width: '35%'
+          }}><LinearProgress variant='determinate' value={100} color='success' /></Box>
+        <Box
+          key={2}
+          sx={{
+            width: '20%'
+          }}><LinearProgress variant='determinate' value={100} color='warning' /></Box>
+      </Box>
+    </>
+  );
+}
@@ -0,0 +1,9 @@
+import { Card } from 'react-bootstrap';
+
+export function Panel({ children }) {
+  return (
+    <Card className="d-none d-md-block mb-2 mb-lg-4 text-center text-md-start px-xxl-5 custom">
+      {children}
+    </Card>
+  );
+}
@@ -0,0 +1,30 @@
+import Card from '@mui/material/Card';
+
+export function Panel({ children }) {
+  return (
+    <Card
+      className='custom'
+      sx={{
+        display: {
+          xs: 'none',
+          md: 'block'
+        },
+
+        mb: {
+          xs: 1,
+          lg: 3
+        },
+
+        textAlign: {
+          xs: 'center',
+          md: 'left'
+        },
+
+        px: {
+          xl: 6
+        }
+      }}>
+      {children}
+    </Card>
+  );
+}
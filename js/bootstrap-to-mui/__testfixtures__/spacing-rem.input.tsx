@@ -0,0 +1,9 @@
+import { Stack, Card } from 'react-bootstrap';
+
+export function Spaced({ children }) {
+  return (
+    <Stack gap={3}>
+      <Card className="mb-5 p-2 mt-n1 mx-auto">{children}</Card>
+    </Stack>
+  );
+}
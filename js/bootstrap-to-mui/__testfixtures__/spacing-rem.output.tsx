@@ -0,0 +1,15 @@
+import Stack from '@mui/material/Stack';
+import Card from '@mui/material/Card';
+
+export function Spaced({ children }) {
+  return (
+    <Stack spacing='1rem'>
+      <Card sx={{
+        mb: '3rem',
+        p: '0.5rem',
+        mt: '-0.25rem',
+        mx: 'auto'
+      }}>{children}</Card>
+    </Stack>
+  );
+}
@@ -0,0 +1,10 @@
+import { Spinner } from 'react-bootstrap';
+
+export function Loading() {
+  return (
+    <>
+      <Spinner animation="border" variant="primary" />
+      <Spinner animation="grow" size="sm" />
+    </>
+  );
+}
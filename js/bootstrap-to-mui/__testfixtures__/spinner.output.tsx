@@ -0,0 +1,10 @@
+import CircularProgress from '@mui/material/CircularProgress';
+
+export function Loading() {
+  return (
+    <>
+      <CircularProgress color='primary' />
+      <CircularProgress size={16} />
+    </>
+  );
+}
@@ -0,0 +1,10 @@
+import { Stack } from 'react-bootstrap';
+
+export function Toolbar({ children }) {
+  return (
+    <>
+      <Stack direction="horizontal" gap={3}>{children}</Stack>
+      <Stack gap={2} className="mt-3">{children}</Stack>
+    </>
+  );
+}
@@ -0,0 +1,17 @@
+import Stack from '@mui/material/Stack';
+
+export function Toolbar({ children }) {
+  return (
+    <>
+      <Stack
+        direction='row'
+        sx={{
+          alignItems: 'center'
+        }}
+        spacing={2}>{children}</Stack>
+      <Stack spacing={1} sx={{
+        mt: 2
+      }}>{children}</Stack>
+    </>
+  );
+}
@@ -0,0 +1,22 @@
+import { Table } from 'react-bootstrap';
+
+export function Orders({ orders }) {
+  return (
+    <Table striped bordered hover size="sm" responsive>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Cliente</th>
+        </tr>
+      </thead>
+      <tbody>
+        {orders.map(order => (
+          <tr key={order.id}>
+            <th>{order.id}</th>
+            <td>{order.customer}</td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+}
@@ -0,0 +1,40 @@
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TableCell from '@mui/material/TableCell';
+import TableBody from '@mui/material/TableBody';
+import Table from '@mui/material/Table';
+import TableContainer from '@mui/material/TableContainer';
+
+export function Orders({ orders }) {
+  return (
+    <TableContainer>
+      <Table
+        size='small'
+        sx={{
+          '& th, & td': {
+            border: 1,
+            borderColor: 'divider'
+          },
+
+          '& tbody tr:nth-of-type(odd)': {
+            bgcolor: 'action.hover'
+          }
+        }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>#</TableCell>
+            <TableCell>Cliente</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {orders.map(order => (
+            <TableRow key={order.id} hover>
+              <TableCell component='th'>{order.id}</TableCell>
+              <TableCell>{order.customer}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
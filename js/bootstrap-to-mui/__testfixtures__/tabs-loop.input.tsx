@@ -0,0 +1,19 @@
+import { Tabs, Tab } from 'react-bootstrap';
+
+export function Sections({ sections, current, onSelect }) {
+  return (
+    <>
+      {sections.map(section => (
+        <Tabs key={section.id} defaultActiveKey="info">
+          <Tab eventKey="info" title="Información">{section.info}</Tab>
+          <Tab eventKey="notes" title="Notas">{section.notes}</Tab>
+        </Tabs>
+      ))}
+      {sections.map(section => (
+        <Tabs activeKey={current} onSelect={onSelect}>
+          <Tab eventKey="info" title="Información">{section.info}</Tab>
+        </Tabs>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,27 @@
+import { Tabs as BsTabs, Tab as BsTab } from 'react-bootstrap';
+
+import Box from '@mui/material/Box';
+import Tab from '@mui/material/Tab';
+import Tabs from '@mui/material/Tabs';
+
+export function Sections({ sections, current, onSelect }) {
+  return (
+    <>
+      {sections.map(section => (
+        /* TODO(bootstrap-to-mui): Tabs dentro de un callback: su estado no puede declararse en el componente sin que lo compartan todas las instancias; extraerlo a un componente propio. Props originales: key={section.id} defaultActiveKey="info" */
+        <BsTabs key={section.id} defaultActiveKey="info">
+          <BsTab eventKey="info" title="Información">{section.info}</BsTab>
+          <BsTab eventKey="notes" title="Notas">{section.notes}</BsTab>
+        </BsTabs>
+      ))}
+      {sections.map(section => (
+        <>
+          <Tabs value={current} onChange={(event, key) => onSelect(key, event)}>
+            <Tab label="Información" value="info" />
+          </Tabs>
+          <Box role='tabpanel' hidden={current !== 'info'}>{section.info}</Box>
+        </>
+      ))}
+    </>
+  );
+}
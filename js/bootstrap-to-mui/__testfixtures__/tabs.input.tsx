@@ -0,0 +1,16 @@
+import { Tabs, Tab } from 'react-bootstrap';
+
+export function Settings({ tab, setTab }) {
+  return (
+    <>
+      <Tabs defaultActiveKey="profile" onSelect={key => console.log(key)}>
+        <Tab eventKey="profile" title="Perfil">Datos del perfil</Tab>
+        <Tab eventKey="security" title="Seguridad">Contraseña</Tab>
+      </Tabs>
+      <Tabs activeKey={tab} onSelect={k => setTab(k)} mountOnEnter>
+        <Tab eventKey="a" title="A">Contenido A</Tab>
+        <Tab eventKey="b" title="B">Contenido B</Tab>
+      </Tabs>
+    </>
+  );
+}
@@ -0,0 +1,27 @@
+import { useState } from 'react';
+import Box from '@mui/material/Box';
+import Tab from '@mui/material/Tab';
+import Tabs from '@mui/material/Tabs';
+
+export function Settings({ tab, setTab }) {
+  const [activeTab, setActiveTab] = useState("profile");
+  return (
+    <>
+      <Tabs value={activeTab} onChange={(event, key) => {
+        setActiveTab(key);
+        console.log(key);
+      }}>
+        <Tab label="Perfil" value="profile" />
+        <Tab label="Seguridad" value="security" />
+      </Tabs>
+      <Box role='tabpanel' hidden={activeTab !== 'profile'}>Datos del perfil</Box>
+      <Box role='tabpanel' hidden={activeTab !== 'security'}>Contraseña</Box>
+      <Tabs value={tab} onChange={(event, k) => setTab(k)}>
+        <Tab label="A" value="a" />
+        <Tab label="B" value="b" />
+      </Tabs>
+      {tab === 'a' && <Box role='tabpanel'>Contenido A</Box>}
+      {tab === 'b' && <Box role='tabpanel'>Contenido B</Box>}
+    </>
+  );
+}
@@ -0,0 +1,14 @@
+import { Toast, ToastContainer } from 'react-bootstrap';
+
+export function Notice({ show, onClose }) {
+  return (
+    <ToastContainer position="bottom-end">
+      <Toast show={show} onClose={onClose} autohide delay={3000} bg="success">
+        <Toast.Header>
+          <strong className="me-auto">Guardado</strong>
+        </Toast.Header>
+        <Toast.Body>Los cambios se han guardado.</Toast.Body>
+      </Toast>
+    </ToastContainer>
+  );
+}
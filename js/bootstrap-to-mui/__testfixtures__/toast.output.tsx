@@ -0,0 +1,33 @@
+import AlertTitle from '@mui/material/AlertTitle';
+import Alert from '@mui/material/Alert';
+import Snackbar from '@mui/material/Snackbar';
+
+export function Notice({ show, onClose }) {
+  return (
+    <Snackbar
+      open={show}
+      autoHideDuration={3000}
+      onClose={(event, reason) => {
+        if (reason === 'timeout') {
+          onClose(event);
+        }
+      }}
+      anchorOrigin={{
+        vertical: 'bottom',
+        horizontal: 'right'
+      }}>
+      <Alert
+        severity='success'
+        variant='filled'
+        onClose={onClose}
+        sx={{
+          width: '100%'
+        }}>
+        <AlertTitle>
+          <strong className="me-auto">Guardado</strong>
+        </AlertTitle>
+        Los cambios se han guardado.
+      </Alert>
+    </Snackbar>
+  );
+}
@@ -0,0 +1,9 @@
+import { Modal } from 'react-bootstrap';
+
+export function Quiet({ show }) {
+  return (
+    <Modal show={show}>
+      <Modal.Header closeButton>Título</Modal.Header>
+    </Modal>
+  );
+}
@@ -0,0 +1,10 @@
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+
+export function Quiet({ show }) {
+  return (
+    <Dialog open={show}>
+      <DialogTitle>Título</DialogTitle>
+    </Dialog>
+  );
+}
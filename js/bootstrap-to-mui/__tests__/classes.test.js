@@ -0,0 +1,60 @@
+/**
+ * Catálogo de utilidades de lib/classes.js: el `sx` de cada clase de
+ * CLASSNAME_TO_SX y de una muestra de cada regla de PATTERN_RULES.
+ */
+
+const { CLASSNAME_TO_SX, PATTERN_RULES, extractSxFromClasses } = require('../lib/classes');
+const { createSpacing } = require('../lib/spacing');
+
+const SPACING_PREFIXES = [
+  'm', 'mt', 'mb', 'ms', 'me', 'ml', 'mr', 'mx', 'my',
+  'p', 'pt', 'pb', 'ps', 'pe', 'pl', 'pr', 'px', 'py',
+  'gap', 'row-gap', 'column-gap',
+];
+const MARGIN_PREFIXES = SPACING_PREFIXES.filter(prefix => prefix.startsWith('m'));
+
+const PATTERN_SAMPLES = [
+  ...SPACING_PREFIXES.flatMap(prefix => [0, 1, 2, 3, 4, 5].map(n => `${prefix}-${n}`)),
+  ...MARGIN_PREFIXES.map(prefix => `${prefix}-auto`),
+  ...MARGIN_PREFIXES.flatMap(prefix => [1, 3, 5].map(n => `${prefix}-n${n}`)),
+  'col',
+  'col-auto',
+  ...Array.from({ length: 12 }, (_, i) => `col-${i + 1}`),
+];
+
+const RESPONSIVE_SAMPLES = ['mb-lg-4', 'px-md-0', 'd-md-none', 'd-sm-flex', 'text-xl-center', 'col-md-6', 'mx-xxl-auto'];
+
+describe('CLASSNAME_TO_SX', () => {
+  test.each(Object.keys(CLASSNAME_TO_SX))('%s', className => {
+    const { sxObj, remainingClass } = extractSxFromClasses(className);
+    expect(remainingClass).toBe('');
+    expect(sxObj).toMatchSnapshot();
+  });
+});
+
+describe('PATTERN_RULES', () => {
+  test('cada regla tiene alguna muestra', () => {
+    PATTERN_RULES.forEach(rule => {
+      expect(PATTERN_SAMPLES.some(sample => rule.re.test(sample))).toBe(true);
+    });
+  });
+
+  test.each(PATTERN_SAMPLES)('%s', className => {
+    const { sxObj, remainingClass } = extractSxFromClasses(className);
+    expect(remainingClass).toBe('');
+    expect(sxObj).toMatchSnapshot();
+  });
+
+  test.each(PATTERN_SAMPLES.filter(sample => /^(m|p|gap|row-gap|column-gap)/.test(sample)))(
+    '%s con --spacing=rem',
+    className => {
+      expect(extractSxFromClasses(className, createSpacing(null, { spacing: 'rem' })).sxObj).toMatchSnapshot();
+    }
+  );
+});
+
+describe('utilidades con breakpoint', () => {
+  test.each(RESPONSIVE_SAMPLES)('%s', className => {
+    expect(extractSxFromClasses(className).sxObj).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Casos de las reglas: cada __testfixtures__/<caso>.input.tsx se transforma
+ * con index.js y se compara con <caso>.output.tsx. Los casos se nombran por
+ * la regla (`dropdown`) o la regla y la situación (`dropdown-loop`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defineTest } = require('jscodeshift/src/testUtils');
+
+const FIXTURES_DIR = path.join(__dirname, '..', '__testfixtures__');
+
+// Con `dry` no se escriben el Carousel ni bsVariantToMui; las rutas fijas
+// hacen que sus importaciones no dependan del directorio de trabajo
+const OPTIONS = {
+  dry: true,
+  carouselPath: path.join(__dirname, '..', 'src/components/Carousel.jsx'),
+  variantHelperPath: path.join(__dirname, '..', 'src/utils/bsVariantToMui.js'),
+};
+
+// Opciones de línea de comandos de los casos que las necesitan
+const FIXTURE_OPTIONS = {
+  'grid-mui7': { muiVersion: '7' },
+  'grid-v2': { grid: 'v2' },
+  'spacing-rem': { spacing: 'rem' },
+  'todo-off': { todo: false },
+};
+
+fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.input.tsx'))
+  .map(file => file.replace(/\.input\.tsx$/, ''))
+  .forEach(fixture => {
+    defineTest(__dirname, 'index', { ...OPTIONS, ...FIXTURE_OPTIONS[fixture] }, fixture, { parser: 'tsx' });
+  });
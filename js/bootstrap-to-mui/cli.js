@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Punto de entrada de línea de comandos del codemod.
+ *
+ * Uso:
+ *   node js/bootstrap-to-mui/cli.js [opciones] <rutas...>
+ *
+ * Ejecuta `index.js` con el ejecutable de jscodeshift sobre las rutas
+ * indicadas, con el parser `tsx` y las extensiones js/jsx/ts/tsx por defecto.
+ * Las opciones `--clave=valor` y `--flag` se pasan a jscodeshift y a la
+ * transformación (por ejemplo `--dry --print --table-paper`).
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const DEFAULTS = {
+  parser: 'tsx',
+  extensions: 'js,jsx,ts,tsx',
+  ignorePattern: '**/node_modules/**',
+  verbose: 0,
+};
+
+// Opciones booleanas del propio jscodeshift: se pasan sin valor (`--dry`,
+// `--no-babel`). Las demás van como `--clave=valor`, también las de la
+// transformación, porque jscodeshift no admite flags que no conoce.
+const JSCODESHIFT_FLAGS = {
+  dry: 'dry',
+  print: 'print',
+  babel: 'babel',
+  gitignore: 'gitignore',
+  runInBand: 'run-in-band',
+  silent: 'silent',
+  failOnError: 'fail-on-error',
+  stdin: 'stdin',
+};
+
+function parseArgs(argv) {
+  const options = {};
+  const paths = [];
+  argv.forEach(arg => {
+    const m = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (!m) {
+      paths.push(arg);
+      return;
+    }
+    const key = m[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    options[key] = m[2] === undefined ? true : m[2];
+  });
+  return { options, paths };
+}
+
+/**
+ * Argumentos de línea de comandos de jscodeshift para `options`.
+ */
+function jscodeshiftArgs(options) {
+  const args = [];
+  Object.entries(options).forEach(([key, value]) => {
+    const flag = JSCODESHIFT_FLAGS[key];
+    if (flag) {
+      const enabled = value !== false && value !== 'false';
+      if (enabled) args.push(`--${flag}`);
+      else if (key === 'babel') args.push('--no-babel');
+      return;
+    }
+    const name = key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+    args.push(`--${name}=${value}`);
+  });
+  return args;
+}
+
+/**
+ * Ruta del ejecutable de jscodeshift, según el campo `bin` de su package.json.
+ */
+function jscodeshiftBin() {
+  const manifest = require.resolve('jscodeshift/package.json');
+  const { bin } = require(manifest);
+  return path.join(path.dirname(manifest), typeof bin === 'string' ? bin : bin.jscodeshift);
+}
+
+function main() {
+  const { options, paths } = parseArgs(process.argv.slice(2));
+  if (paths.length === 0 || options.help) {
+    console.log('Uso: node js/bootstrap-to-mui/cli.js [opciones] <rutas...>');
+    process.exit(paths.length === 0 && !options.help ? 1 : 0);
+  }
+  if (options.verbose === true) {
+    options.verbose = 1;
+  }
+  const args = [
+    jscodeshiftBin(),
+    '--transform', path.join(__dirname, 'index.js'),
+    ...jscodeshiftArgs(Object.assign({}, DEFAULTS, options)),
+    ...paths,
+  ];
+  const child = spawn(process.execPath, args, { stdio: 'inherit' });
+  child.on('exit', code => {
+    process.exitCode = code === null ? 1 : code;
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs, jscodeshiftArgs };
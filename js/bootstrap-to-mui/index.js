@@ -0,0 +1,511 @@
+/**
+ * Codemod unificado para migrar de React‑Bootstrap a Material UI.
+ *
+ * Sustituye a las ocho variantes anteriores (bootstrap-to-mui_best.js,
+ * bootstrap_mui_deep.js, bootstrap_mui_claude.js y react-bootstrap-to-mui_*.js):
+ * sus tablas de correspondencias están fusionadas en `registry.js` y la lógica
+ * específica de cada componente vive en un módulo de `rules/`.
+ *
+ * Ejecutar (tras `npm install` en js/bootstrap-to-mui):
+ *   node js/bootstrap-to-mui/cli.js src/
+ * o directamente con jscodeshift:
+ *   npx jscodeshift -t js/bootstrap-to-mui/index.js --parser=tsx src/
+ * Pruebas: `npm test`; cada regla tiene su caso de entrada y salida en
+ * `__testfixtures__/`.
+ *
+ * Funcionamiento:
+ *  1. Se leen las importaciones de `react-bootstrap` (y de
+ *     `react-bootstrap/<Componente>`), respetando los alias locales.
+ *  2. Se recorren los elementos JSX en orden de documento. Cada elemento cuyo
+ *     nombre proviene de react-bootstrap se resuelve a su nombre canónico
+ *     (`Card.Body`) y se aplica la regla de ese componente, o el renombrado
+ *     genérico del registro si no tiene regla propia. Las reglas de un padre
+ *     pueden reestructurar a sus hijos; los hijos ya tratados se marcan con
+ *     `ctx.consume()` y no se vuelven a visitar.
+ *  3. Las clases utilitarias de Bootstrap de los elementos convertidos se
+ *     pasan a `sx`, también desde plantillas y llamadas a clsx/classnames
+ *     (ver lib/class-names.js).
+ *  4. Se eliminan los especificadores de react-bootstrap que ya no se usan y
+ *     las hojas de estilo de Bootstrap, y se añaden las importaciones de MUI.
+ *  5. Lo que no se puede convertir con seguridad se marca con un comentario
+ *     `TODO(bootstrap-to-mui)` encima del elemento (ver lib/annotate.js).
+ *     `--todo=false` lo desactiva.
+ *  6. Con `--report=json|md|both` se escribe el informe de migración del
+ *     archivo (ver lib/report.js).
+ *
+ * Opciones de conversión:
+ *  --table-paper           Los TableContainer generados usan `component={Paper}`.
+ *  --carousel-path=<ruta>  Dónde se genera el Carousel local (por defecto
+ *                          src/components/Carousel.jsx).
+ *  --grid=v2               Row/Col → API de Grid v2 (`size`, `offset`).
+ *  --mui-version=<n>       Versión de MUI de destino; con 7 el Grid v2 se
+ *                          importa de @mui/material/Grid (en 6, de Grid2) y,
+ *                          sin --grid=v2, el Grid clásico es GridLegacy de
+ *                          @mui/material/GridLegacy.
+ *  --spacing=units|rem     Cómo se traduce la escala de espaciado de Bootstrap
+ *                          (`mb-5`, `g-3`, `gap`): unidades de MUI (por
+ *                          defecto) o literales rem (ver lib/spacing.js).
+ *  --theme=<ruta>          Tema del proyecto del que leer `spacing`.
+ *  --variant-helper-path=<ruta>
+ *                          Dónde se genera bsVariantToMui, para los variant
+ *                          dinámicos (por defecto src/utils/bsVariantToMui.js).
+ */
+
+const registry = require('./registry');
+const rules = require('./rules');
+const { createImportManager } = require('./lib/imports');
+const { createReport, writeReport } = require('./lib/report');
+const { createAnnotator } = require('./lib/annotate');
+const { mergeSxAttribute } = require('./lib/sx');
+const { extractSxFromClasses } = require('./lib/classes');
+const { createSpacing } = require('./lib/spacing');
+const { convertClassNameExpression } = require('./lib/class-names');
+const {
+  getAttribute,
+  getLiteralValue,
+  setAttribute,
+  removeAttribute,
+  renameElement,
+} = require('./lib/jsx');
+
+const BOOTSTRAP_SOURCE = 'react-bootstrap';
+
+function isBootstrapStylesheet(source) {
+  return (
+    typeof source === 'string' &&
+    /(^|\/)bootstrap(\/|$)/.test(source) &&
+    /\.(s?css)$/.test(source)
+  );
+}
+
+/**
+ * Mapa nombre local → nombre importado de todas las importaciones de
+ * react-bootstrap. `import Button from 'react-bootstrap/Button'` se trata
+ * como `import { Button } from 'react-bootstrap'`.
+ */
+function collectBootstrapImports(j, root) {
+  const locals = new Map();
+  root.find(j.ImportDeclaration).forEach(path => {
+    const source = path.node.source.value;
+    if (source === BOOTSTRAP_SOURCE) {
+      (path.node.specifiers || []).forEach(spec => {
+        if (spec.type === 'ImportSpecifier') {
+          locals.set(spec.local.name, spec.imported.name);
+        }
+      });
+    } else if (typeof source === 'string' && source.startsWith(`${BOOTSTRAP_SOURCE}/`)) {
+      (path.node.specifiers || []).forEach(spec => {
+        if (spec.type === 'ImportDefaultSpecifier') {
+          locals.set(spec.local.name, source.slice(BOOTSTRAP_SOURCE.length + 1));
+        }
+      });
+    }
+  });
+  return locals;
+}
+
+/**
+ * Indica si un identificador local se sigue usando en el archivo, ya sea en
+ * JSX (`<Card>`, `<Card.Body>`) o en código (`Card.Body`, `const X = Card`).
+ */
+function isReferenced(j, root, name) {
+  const inJsx = root
+    .find(j.JSXIdentifier, { name })
+    .filter(path => {
+      const parent = path.parent.node;
+      return (
+        parent.type === 'JSXOpeningElement' ||
+        parent.type === 'JSXClosingElement' ||
+        (parent.type === 'JSXMemberExpression' && parent.object === path.node)
+      );
+    })
+    .size();
+  if (inJsx > 0) return true;
+  return (
+    root
+      .find(j.Identifier, { name })
+      .filter(path => {
+        const parent = path.parent.node;
+        if (parent.type === 'ImportSpecifier' || parent.type === 'ImportDefaultSpecifier') {
+          return false;
+        }
+        if (parent.type === 'MemberExpression' && parent.property === path.node && !parent.computed) {
+          return false;
+        }
+        if (
+          (parent.type === 'Property' || parent.type === 'ObjectProperty') &&
+          parent.key === path.node &&
+          !parent.computed &&
+          !parent.shorthand
+        ) {
+          return false;
+        }
+        return true;
+      })
+      .size() > 0
+  );
+}
+
+/**
+ * Elimina de las importaciones de react-bootstrap los especificadores que ya
+ * no se usan, y las declaraciones que quedan vacías. Un especificador cuyo
+ * nombre local coincide con un componente MUI añadido (`Button`, `Card`…) se
+ * elimina siempre: sus usos ahora se refieren al componente de MUI. Devuelve
+ * los nombres importados que siguen en uso (componentes sin migrar).
+ */
+function pruneBootstrapImports(j, root, muiNames) {
+  const leftovers = [];
+  root.find(j.ImportDeclaration).forEach(path => {
+    const source = path.node.source.value;
+    if (isBootstrapStylesheet(source)) {
+      j(path).remove();
+      return;
+    }
+    if (source !== BOOTSTRAP_SOURCE && !(typeof source === 'string' && source.startsWith(`${BOOTSTRAP_SOURCE}/`))) {
+      return;
+    }
+    const kept = (path.node.specifiers || []).filter(spec => {
+      if (spec.type !== 'ImportSpecifier' && spec.type !== 'ImportDefaultSpecifier') {
+        return true;
+      }
+      if (muiNames.has(spec.local.name) || !isReferenced(j, root, spec.local.name)) {
+        return false;
+      }
+      leftovers.push(spec.type === 'ImportSpecifier' ? spec.imported.name : spec.local.name);
+      return true;
+    });
+    if (kept.length > 0) {
+      path.node.specifiers = kept;
+    } else {
+      j(path).remove();
+    }
+  });
+  return leftovers;
+}
+
+/**
+ * Los elementos de react-bootstrap que se quedan sin convertir (el overlay de
+ * un OverlayTrigger que no se ha podido migrar…) y cuyo nombre coincide con
+ * un componente MUI añadido pasan a usar un alias de su importación
+ * (`{ Tooltip as BsTooltip }`), para que no se confundan con el de MUI.
+ */
+function aliasShadowedBootstrapImports(j, ctx) {
+  const muiNames = ctx.imports.names();
+  const aliases = new Map();
+  ctx.root.find(j.JSXElement).forEach(path => {
+    if (!ctx.resolve(path.node)) return;
+    const names = [path.node.openingElement.name, path.node.closingElement && path.node.closingElement.name];
+    const roots = names.filter(Boolean).map(name => {
+      while (name.type === 'JSXMemberExpression') name = name.object;
+      return name;
+    });
+    const local = roots[0].name;
+    if (!muiNames.has(local)) return;
+    if (!aliases.has(local)) {
+      let alias = `Bs${local}`;
+      for (let n = 2; isReferenced(j, ctx.root, alias); n++) alias = `Bs${local}${n}`;
+      aliases.set(local, alias);
+    }
+    roots.forEach(root => {
+      root.name = aliases.get(local);
+    });
+  });
+  if (aliases.size === 0) return;
+  ctx.root.find(j.ImportDeclaration).forEach(path => {
+    if (!path.node.specifiers) return;
+    path.node.specifiers = path.node.specifiers.map(spec => {
+      const alias = spec.type !== 'ImportNamespaceSpecifier' && ctx.bootstrapImports.has(spec.local.name) && aliases.get(spec.local.name);
+      if (!alias) return spec;
+      return spec.type === 'ImportSpecifier'
+        ? j.importSpecifier(j.identifier(spec.imported.name), j.identifier(alias))
+        : j.importDefaultSpecifier(j.identifier(alias));
+    });
+  });
+}
+
+/**
+ * jscodeshift pasa las opciones desconocidas tal cual (`report-dir`) y
+ * cli.js en camelCase (`reportDir`); aceptamos ambas.
+ */
+function normalizeOptions(options) {
+  const normalized = {};
+  Object.entries(options || {}).forEach(([key, value]) => {
+    normalized[key.replace(/-([a-z])/g, (_, c) => c.toUpperCase())] = value;
+  });
+  return normalized;
+}
+
+/**
+ * Crea el contexto compartido por todas las reglas.
+ */
+function createContext(j, root, fileInfo, options, bootstrapImports) {
+  const imports = createImportManager(j, root);
+  const report = createReport(fileInfo.path);
+  const annotator = createAnnotator(j, root);
+  const normalizedOptions = normalizeOptions(options);
+  const todosEnabled = normalizedOptions.todo !== false && normalizedOptions.todo !== 'false';
+  const consumed = new WeakSet();
+  const converted = new Set();
+
+  const ctx = {
+    j,
+    root,
+    file: fileInfo.path,
+    options: normalizedOptions,
+    spacing: createSpacing(j, normalizedOptions),
+    imports,
+    report,
+    annotator,
+    bootstrapImports,
+
+    /**
+     * Nombre canónico react-bootstrap de un elemento JSX, o null si el
+     * elemento no proviene de react-bootstrap o ya se ha convertido.
+     */
+    resolve(element) {
+      if (converted.has(element)) return null;
+      const members = [];
+      let name = element.openingElement.name;
+      while (name.type === 'JSXMemberExpression') {
+        members.unshift(name.property.name);
+        name = name.object;
+      }
+      if (name.type !== 'JSXIdentifier' || !bootstrapImports.has(name.name)) {
+        return null;
+      }
+      return registry.canonicalName(bootstrapImports.get(name.name), members);
+    },
+
+    /**
+     * Importa un componente de MUI por su nombre (`@mui/material/<Nombre>`)
+     * y devuelve el nombre local con el que usarlo, que lleva alias
+     * (`MuiMenu`) si el archivo ya usa ese nombre para otra cosa.
+     */
+    useComponent(name, source = `@mui/material/${name}`) {
+      return imports.addDefault(name, source);
+    },
+
+    /**
+     * Convierte un elemento según su entrada del registro: lo renombra,
+     * añade la importación y las props por defecto que no estén ya
+     * presentes. `component` es el nombre canónico; `name` permite forzar
+     * otro componente MUI.
+     */
+    convert(element, component, name) {
+      const entry = registry.lookup(component);
+      const fromRegistry = Boolean(entry) && (!name || name === entry.name);
+      const muiName = name || (entry && entry.name);
+      if (!muiName) return null;
+      renameElement(j, element, ctx.useComponent(muiName, fromRegistry ? entry.import : undefined));
+      if (fromRegistry && entry.props) {
+        ctx.addDefaultProps(element, entry.props);
+      }
+      report.converted(element, component, muiName);
+      if (fromRegistry && entry.note) {
+        ctx.approximate(element, component, entry.note, { todo: true });
+      }
+      ctx.markConverted(element);
+      return muiName;
+    },
+
+    /**
+     * Elimina una prop sin equivalente y la anota en el informe. Devuelve el
+     * atributo eliminado (o undefined si no existía). Con `{ todo: true }`
+     * deja además un comentario TODO sobre el elemento: para props cuya
+     * pérdida cambia el comportamiento y hay que revisar a mano.
+     */
+    dropProp(element, component, name, reason, { todo = false } = {}) {
+      const attr = removeAttribute(element.openingElement, name);
+      if (attr) {
+        report.droppedProp(element, component, name, reason);
+        if (todo) ctx.todo(element, `${name}: ${reason}`);
+      }
+      return attr;
+    },
+
+    /**
+     * Anota en el informe una conversión que no es exacta. Admite
+     * `{ todo: true }` igual que `dropProp`.
+     */
+    approximate(element, component, message, { todo = false } = {}) {
+      report.approximation(element, component, message);
+      if (todo) ctx.todo(element, message);
+    },
+
+    /**
+     * Deja un comentario TODO(bootstrap-to-mui) encima del elemento.
+     */
+    todo(element, reason) {
+      if (todosEnabled) {
+        annotator.add(element, reason);
+      }
+    },
+
+    /**
+     * Añade props que el elemento no tenga ya. `sx` se fusiona.
+     */
+    addDefaultProps(element, props) {
+      const opening = element.openingElement;
+      Object.entries(props).forEach(([key, value]) => {
+        if (key === 'sx') {
+          mergeSxAttribute(j, opening, value);
+        } else if (!getAttribute(opening, key)) {
+          setAttribute(j, opening, key, value);
+        }
+      });
+    },
+
+    /**
+     * Marca un elemento como convertido (para el paso className → sx).
+     */
+    markConverted(element) {
+      converted.add(element);
+      consumed.add(element);
+    },
+
+    /**
+     * Marca un elemento como ya tratado por la regla de un ancestro.
+     */
+    consume(element) {
+      consumed.add(element);
+    },
+
+    isConsumed(element) {
+      return consumed.has(element);
+    },
+
+    /**
+     * Convierte los descendientes de `path`. Lo usan las reglas que generan
+     * JSX nuevo a partir de elementos aún sin convertir (por ejemplo, la copia
+     * del contenido de una Navbar dentro del Drawer), que el recorrido
+     * principal no visita.
+     */
+    transformSubtree(path) {
+      j(path).find(j.JSXElement).forEach(child => transformElement(ctx, child));
+    },
+
+    /**
+     * Descendientes de `path` con el nombre canónico `component` cuyo
+     * ancestro más cercano del mismo tipo que `path` es el propio `path`
+     * (los Accordion.Item de un Accordion, sin los de otro anidado).
+     * Incluye los que están dentro de expresiones (`items.map(…)`).
+     */
+    ownDescendants(path, component) {
+      const container = ctx.resolve(path.node);
+      return j(path)
+        .find(j.JSXElement)
+        .filter(child => {
+          if (ctx.resolve(child.node) !== component) return false;
+          for (let current = child.parent; current; current = current.parent) {
+            if (current.node === path.node) return true;
+            if (current.node.type === 'JSXElement' && ctx.resolve(current.node) === container) return false;
+          }
+          return false;
+        })
+        .nodes();
+    },
+
+    converted,
+  };
+  return ctx;
+}
+
+/**
+ * Convierte un elemento de react-bootstrap con su regla específica o, si no
+ * tiene, con la entrada del registro.
+ */
+function transformElement(ctx, path) {
+  const element = path.node;
+  if (ctx.isConsumed(element)) return;
+  const component = ctx.resolve(element);
+  if (!component) return;
+  ctx.annotator.snapshot(element);
+  const rule = rules.get(component);
+  if (rule) {
+    rule.transform(path, ctx, component);
+  } else if (registry.lookup(component)) {
+    ctx.convert(element, component);
+  } else {
+    ctx.report.unmapped(element, component);
+    ctx.todo(element, `${component} no tiene equivalente en MUI`);
+  }
+}
+
+/**
+ * Pasa las clases utilitarias de los elementos convertidos a `sx`. Devuelve
+ * los helpers de clases (clsx, classnames…) cuyas llamadas se han eliminado.
+ */
+function convertClassesToSx(j, ctx) {
+  const helpers = new Set();
+  ctx.converted.forEach(element => {
+    const opening = element.openingElement;
+    const classAttr = getAttribute(opening, 'className');
+    const classString = getLiteralValue(j, classAttr);
+    if (typeof classString !== 'string') {
+      const helper = classAttr && convertClassNameExpression(j, opening, classAttr, ctx.spacing);
+      if (helper) helpers.add(helper);
+      return;
+    }
+    const { sxObj, remainingClass } = extractSxFromClasses(classString, ctx.spacing);
+    if (Object.keys(sxObj).length === 0) return;
+    mergeSxAttribute(j, opening, sxObj);
+    if (remainingClass) {
+      setAttribute(j, opening, 'className', remainingClass);
+    } else {
+      removeAttribute(opening, 'className');
+    }
+  });
+  return helpers;
+}
+
+/**
+ * Elimina la importación de los helpers de clases que ya no se usan.
+ */
+function pruneClassHelperImports(j, root, helpers) {
+  helpers.forEach(name => {
+    if (isReferenced(j, root, name)) return;
+    root.find(j.ImportDeclaration).forEach(path => {
+      const specifiers = (path.node.specifiers || []).filter(spec => spec.local.name !== name);
+      if (specifiers.length === (path.node.specifiers || []).length) return;
+      if (specifiers.length > 0) {
+        path.node.specifiers = specifiers;
+      } else {
+        j(path).remove();
+      }
+    });
+  });
+}
+
+function transformer(fileInfo, api, options) {
+  const j = api.jscodeshift;
+  const root = j(fileInfo.source);
+
+  const bootstrapImports = collectBootstrapImports(j, root);
+  const hasStylesheet = root
+    .find(j.ImportDeclaration)
+    .filter(path => isBootstrapStylesheet(path.node.source.value))
+    .size() > 0;
+  if (bootstrapImports.size === 0 && !hasStylesheet) {
+    return fileInfo.source;
+  }
+
+  const ctx = createContext(j, root, fileInfo, options, bootstrapImports);
+
+  root.find(j.JSXElement).forEach(path => transformElement(ctx, path));
+
+  pruneClassHelperImports(j, root, convertClassesToSx(j, ctx));
+  aliasShadowedBootstrapImports(j, ctx);
+  pruneBootstrapImports(j, root, ctx.imports.names()).forEach(name => {
+    ctx.report.unmappedImport(name);
+  });
+  ctx.imports.flush();
+  ctx.annotator.flush();
+  writeReport(ctx.report.data, ctx.options);
+
+  return root.toSource({ quote: 'single' });
+}
+
+module.exports = transformer;
+module.exports.parser = 'tsx';
+module.exports.registry = registry;
+module.exports.rules = rules;
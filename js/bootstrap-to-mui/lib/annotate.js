@@ -0,0 +1,114 @@
+/**
+ * Comentarios TODO en el código migrado.
+ *
+ * Cuando el codemod no puede convertir algo con seguridad deja, justo encima
+ * del elemento afectado, un comentario
+ *   {/* TODO(bootstrap-to-mui): <motivo>. Props originales: <props> *\/}
+ * para que los restos se puedan localizar con un grep. Si el elemento no está
+ * dentro de los children de otro elemento JSX (por ejemplo, es la raíz de un
+ * `return` o el valor de una prop) se usa un comentario de bloque normal
+ * delante de la expresión.
+ */
+
+const TAG = 'TODO(bootstrap-to-mui)';
+
+/**
+ * Props de un JSXOpeningElement tal y como están escritas en el código.
+ */
+function formatProps(j, opening) {
+  return (opening.attributes || [])
+    .map(attr => j(attr).toSource({ quote: 'single' }).replace(/\s*\n\s*/g, ' '))
+    .join(' ');
+}
+
+function commentText(reasons, props) {
+  let text = `${TAG}: ${reasons.map(r => r.replace(/\.$/, '')).join('; ')}`;
+  if (props) {
+    text += `. Props originales: ${props}`;
+  }
+  // Un `*/` dentro del texto cerraría el comentario
+  return ` ${text.replace(/\*\//g, '*\\/')} `;
+}
+
+/**
+ * Busca el elemento o fragmento JSX que contiene `element` entre sus hijos.
+ */
+function findJsxParent(j, root, element) {
+  let parent = null;
+  [j.JSXElement, j.JSXFragment].some(type => {
+    root.find(type).forEach(path => {
+      if (!parent && (path.node.children || []).includes(element)) {
+        parent = path.node;
+      }
+    });
+    return parent !== null;
+  });
+  return parent;
+}
+
+/**
+ * Inserta el comentario TODO encima de `element`.
+ */
+function insertTodo(j, root, element, reasons, props) {
+  const text = commentText(reasons, props);
+  const parent = findJsxParent(j, root, element);
+  if (!parent) {
+    element.comments = (element.comments || []).concat(j.commentBlock(text, true, false));
+    return;
+  }
+  const empty = j.jsxEmptyExpression();
+  empty.comments = [j.commentBlock(text, false, true)];
+  const index = parent.children.indexOf(element);
+  const previous = parent.children[index - 1];
+  const indent =
+    previous && previous.type === 'JSXText' && /\n[ \t]*$/.test(previous.value)
+      ? previous.value.match(/\n[ \t]*$/)[0]
+      : '\n';
+  parent.children.splice(index, 0, j.jsxExpressionContainer(empty), j.jsxText(indent));
+}
+
+/**
+ * Gestor de anotaciones de un archivo: se acumulan durante la transformación
+ * y se insertan al final, cuando la estructura JSX ya es la definitiva.
+ */
+function createAnnotator(j, root) {
+  // element → { reasons: [], props }
+  const pending = new Map();
+  const originalProps = new WeakMap();
+
+  return {
+    /**
+     * Guarda las props originales de un elemento antes de transformarlo.
+     */
+    snapshot(element) {
+      if (!originalProps.has(element)) {
+        originalProps.set(element, formatProps(j, element.openingElement));
+      }
+    },
+
+    add(element, reason) {
+      if (!pending.has(element)) {
+        const props = originalProps.has(element)
+          ? originalProps.get(element)
+          : formatProps(j, element.openingElement);
+        pending.set(element, { reasons: [], props });
+      }
+      const entry = pending.get(element);
+      if (!entry.reasons.includes(reason)) {
+        entry.reasons.push(reason);
+      }
+    },
+
+    flush() {
+      pending.forEach(({ reasons, props }, element) => {
+        insertTodo(j, root, element, reasons, props);
+      });
+    },
+  };
+}
+
+module.exports = {
+  TAG,
+  createAnnotator,
+  formatProps,
+};
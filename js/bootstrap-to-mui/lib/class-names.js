@@ -0,0 +1,220 @@
+/**
+ * Clases utilitarias en un className que no es una cadena literal.
+ *
+ *  - Plantillas (`btn btn-${variant} mb-3`): se pasan a `sx` las clases de
+ *    los tramos estáticos; las que tocan una expresión (`btn-${variant}`)
+ *    se quedan en className.
+ *  - Llamadas a clsx, classnames/classNames y cx: las cadenas y plantillas
+ *    se tratan igual; `cond && 'd-none'`, `{ 'd-none': hidden }` y
+ *    `cond ? 'mb-2' : 'mb-4'` se convierten en entradas condicionales de
+ *    `sx` (`sx={[…, cond && { display: 'none' }]}`; el ternario, en una
+ *    sola entrada `cond ? { mb: 1 } : { mb: 3 }`). Lo que no es una
+ *    utilidad conocida se queda en la llamada.
+ *
+ * Si no queda ninguna clase se elimina el className.
+ */
+
+const { propertyKey } = require('./jsx');
+const { mergeSxAttribute, appendConditionalSx } = require('./sx');
+const { extractSxFromClasses, mergeSxValue } = require('./classes');
+
+const CLASS_HELPERS = new Set(['clsx', 'classnames', 'classNames', 'cx']);
+
+function isStringNode(node) {
+  return Boolean(node) && (node.type === 'StringLiteral' || (node.type === 'Literal' && typeof node.value === 'string'));
+}
+
+function mergeStatic(target, sxObj) {
+  Object.entries(sxObj).forEach(([key, value]) => {
+    target[key] = mergeSxValue(target[key], value);
+  });
+}
+
+/**
+ * Nombre del helper de clases al que llama `node` (`clsx(...)`), o null.
+ */
+function classHelperName(node) {
+  if (!node || node.type !== 'CallExpression' || node.callee.type !== 'Identifier') return null;
+  return CLASS_HELPERS.has(node.callee.name) ? node.callee.name : null;
+}
+
+/**
+ * Quita de los tramos estáticos de una plantilla las clases para las que
+ * `keep(token)` devuelve false. Las pegadas a una expresión (`btn-${v}`) no
+ * se consultan. Devuelve la plantilla, una cadena si ya no tiene
+ * expresiones o null si se ha quedado vacía.
+ */
+function filterTemplate(j, template, keep) {
+  const { quasis, expressions } = template;
+  let changed = false;
+  quasis.forEach((quasi, i) => {
+    const tokens = quasi.value.raw.split(/\s+/);
+    const kept = tokens.filter((token, k) => {
+      // El primer y el último fragmento pueden estar pegados a una expresión
+      const glued = (k === 0 && i > 0) || (k === tokens.length - 1 && i < quasis.length - 1);
+      return !token || glued || keep(token);
+    });
+    if (kept.length === tokens.length) return;
+    changed = true;
+    let text = kept.join(' ');
+    if (i === 0) text = text.replace(/^\s+/, '');
+    if (i === quasis.length - 1) text = text.replace(/\s+$/, '');
+    quasi.value = { raw: text, cooked: text };
+  });
+
+  if (changed && expressions.length === 0) {
+    const text = quasis[0].value.cooked;
+    return text ? j.stringLiteral(text) : null;
+  }
+  return template;
+}
+
+/**
+ * Quita de una plantilla las utilidades de sus tramos estáticos. Devuelve
+ * `{ sxObj, node }` con la plantilla resultante (ver filterTemplate).
+ */
+function convertTemplate(j, template, spacing) {
+  const converted = [];
+  const node = filterTemplate(j, template, token => {
+    if (extractSxFromClasses(token, spacing).remainingClass) return true;
+    converted.push(token);
+    return false;
+  });
+  return { sxObj: extractSxFromClasses(converted.join(' '), spacing).sxObj, node };
+}
+
+/**
+ * Aplica `keep(token)` a las clases estáticas de un className con
+ * expresión: los tramos de una plantilla y las cadenas y plantillas que se
+ * pasan a clsx/classnames. Quita las que devuelvan false y devuelve la
+ * expresión resultante (null si no queda ninguna clase), o undefined si la
+ * expresión no es de esas formas. Una llamada se devuelve aunque se quede
+ * sin argumentos: convertClassNameExpression la elimina y poda su import.
+ */
+function filterStaticClasses(j, expr, keep) {
+  if (expr && expr.type === 'TemplateLiteral') return filterTemplate(j, expr, keep);
+  if (!classHelperName(expr)) return undefined;
+  const args = expr.arguments.map(arg => {
+    if (arg.type === 'TemplateLiteral') return filterTemplate(j, arg, keep);
+    if (!isStringNode(arg)) return arg;
+    const classes = arg.value.split(/\s+/).filter(Boolean);
+    const kept = classes.filter(keep);
+    if (kept.length === classes.length) return arg;
+    return kept.length > 0 ? j.stringLiteral(kept.join(' ')) : null;
+  });
+  if (args.some((arg, i) => arg !== expr.arguments[i])) {
+    expr.arguments = args.filter(Boolean);
+  }
+  return expr;
+}
+
+/**
+ * Procesa un argumento de clsx. Devuelve el argumento que queda (o null) y
+ * llama a `conditional(condition, sxObj, alternate)` por cada estilo
+ * condicional (`alternate`, el estilo de la rama falsa de un ternario).
+ */
+function convertHelperArgument(j, arg, spacing, staticSx, conditional) {
+  if (isStringNode(arg)) {
+    const { sxObj, remainingClass } = extractSxFromClasses(arg.value, spacing);
+    if (Object.keys(sxObj).length === 0) return arg;
+    mergeStatic(staticSx, sxObj);
+    return remainingClass ? j.stringLiteral(remainingClass) : null;
+  }
+  if (arg.type === 'TemplateLiteral') {
+    const { sxObj, node } = convertTemplate(j, arg, spacing);
+    mergeStatic(staticSx, sxObj);
+    return node;
+  }
+  if (arg.type === 'LogicalExpression' && arg.operator === '&&' && isStringNode(arg.right)) {
+    const { sxObj, remainingClass } = extractSxFromClasses(arg.right.value, spacing);
+    if (Object.keys(sxObj).length === 0) return arg;
+    conditional(arg.left, sxObj);
+    return remainingClass ? j.logicalExpression('&&', arg.left, j.stringLiteral(remainingClass)) : null;
+  }
+  if (arg.type === 'ConditionalExpression' && isStringNode(arg.consequent) && isStringNode(arg.alternate)) {
+    const yes = extractSxFromClasses(arg.consequent.value, spacing);
+    const no = extractSxFromClasses(arg.alternate.value, spacing);
+    if (Object.keys(yes.sxObj).length === 0 && Object.keys(no.sxObj).length === 0) return arg;
+    if (Object.keys(no.sxObj).length === 0) {
+      conditional(arg.test, yes.sxObj);
+    } else if (Object.keys(yes.sxObj).length === 0) {
+      conditional(j.unaryExpression('!', arg.test), no.sxObj);
+    } else {
+      conditional(arg.test, yes.sxObj, no.sxObj);
+    }
+    if (!yes.remainingClass && !no.remainingClass) return null;
+    return j.conditionalExpression(arg.test, j.stringLiteral(yes.remainingClass), j.stringLiteral(no.remainingClass));
+  }
+  if (arg.type === 'ObjectExpression') {
+    arg.properties = arg.properties.filter(prop => {
+      if ((prop.type !== 'ObjectProperty' && prop.type !== 'Property') || prop.computed) return true;
+      const key = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+      if (typeof key !== 'string') return true;
+      const { sxObj, remainingClass } = extractSxFromClasses(key, spacing);
+      if (Object.keys(sxObj).length === 0) return true;
+      if (prop.value.type === 'BooleanLiteral' || (prop.value.type === 'Literal' && prop.value.value === true)) {
+        if (prop.value.value) mergeStatic(staticSx, sxObj);
+      } else {
+        conditional(prop.value, sxObj);
+      }
+      if (!remainingClass) return false;
+      prop.key = propertyKey(j, remainingClass);
+      return true;
+    });
+    return arg.properties.length > 0 ? arg : null;
+  }
+  return arg;
+}
+
+/**
+ * Convierte las utilidades de un className con expresión
+ * (`className={...}`) de `opening`. Devuelve el nombre del helper de clases
+ * si su llamada ha desaparecido, para podar su importación.
+ */
+function convertClassNameExpression(j, opening, classAttr, spacing) {
+  const expr = classAttr.value && classAttr.value.expression;
+  const staticSx = {};
+  const conditionals = [];
+  const conditional = (condition, sxObj, alternate) => {
+    if (Object.keys(sxObj).length > 0) conditionals.push([condition, sxObj, alternate]);
+  };
+  let replacement = expr;
+  let helper = null;
+
+  if (expr && expr.type === 'TemplateLiteral') {
+    const { sxObj, node } = convertTemplate(j, expr, spacing);
+    mergeStatic(staticSx, sxObj);
+    replacement = node;
+  } else if (classHelperName(expr)) {
+    const args = expr.arguments.map(arg => convertHelperArgument(j, arg, spacing, staticSx, conditional));
+    if (args.some((arg, i) => arg !== expr.arguments[i])) {
+      expr.arguments = args.filter(Boolean);
+    }
+    if (expr.arguments.length === 0) {
+      replacement = null;
+    } else if (expr.arguments.length === 1 && isStringNode(expr.arguments[0])) {
+      replacement = expr.arguments[0];
+    }
+    if (replacement !== expr) helper = expr.callee.name;
+  } else {
+    return null;
+  }
+
+  // Una llamada sin argumentos (ver filterStaticClasses) se elimina aunque no haya utilidades
+  if (Object.keys(staticSx).length === 0 && conditionals.length === 0 && replacement) return null;
+  mergeSxAttribute(j, opening, staticSx);
+  conditionals.forEach(([condition, sxObj, alternate]) => appendConditionalSx(j, opening, condition, sxObj, alternate));
+  if (!replacement) {
+    opening.attributes = opening.attributes.filter(attr => attr !== classAttr);
+  } else if (isStringNode(replacement)) {
+    classAttr.value = j.stringLiteral(replacement.value);
+  } else {
+    classAttr.value = j.jsxExpressionContainer(replacement);
+  }
+  return helper;
+}
+
+module.exports = {
+  convertClassNameExpression,
+  filterStaticClasses,
+};
@@ -0,0 +1,350 @@
+/**
+ * Conversión de clases utilitarias de Bootstrap a objetos `sx`.
+ *
+ * Reúne las reglas de `extractSxFromClasses` (bootstrap-to-mui_best.js) y la
+ * tabla `CLASSNAME_TO_SX` (bootstrap_mui_deep.js). Las clases se procesan
+ * token a token: primero se busca una coincidencia exacta en
+ * `CLASSNAME_TO_SX` y después en las reglas con patrón `PATTERN_RULES`.
+ *
+ * `CLASSNAME_TO_SX` cubre la API de utilidades de Bootstrap 5 (display,
+ * flex, orden, alineación, desbordamiento, sombras, opacidad, z-index,
+ * posición, tamaños, tipografía, bordes, radios, visually-hidden…) y se
+ * construye por familias con `family()`; el espaciado, incluidos los
+ * márgenes automáticos y negativos, va en `PATTERN_RULES`.
+ *
+ * Las utilidades con breakpoint (`d-md-flex`, `mb-lg-4`, `text-sm-center`)
+ * se resuelven quitando el infijo y aplicando la clase base solo desde ese
+ * breakpoint: `d-none d-md-flex` → `{ display: { xs: 'none', md: 'flex' } }`.
+ */
+
+const { MUI_BREAKPOINTS, BREAKPOINT_MAP, isResponsiveValue } = require('./sx');
+const { spacerToSpacing } = require('./spacing');
+
+// Prefijo de espaciado Bootstrap → prop de espaciado de MUI
+const SPACING_PROPS = {
+  m: 'm', mt: 'mt', mb: 'mb', ms: 'ml', me: 'mr', ml: 'ml', mr: 'mr', mx: 'mx', my: 'my',
+  p: 'p', pt: 'pt', pb: 'pb', ps: 'pl', pe: 'pr', pl: 'pl', pr: 'pr', px: 'px', py: 'py',
+  gap: 'gap', 'row-gap': 'rowGap', 'column-gap': 'columnGap',
+};
+
+const THEME_COLORS = {
+  primary: 'primary.main',
+  secondary: 'secondary.main',
+  success: 'success.main',
+  danger: 'error.main',
+  warning: 'warning.main',
+  info: 'info.main',
+  light: 'grey.100',
+  dark: 'grey.900',
+};
+
+// Colores fuera de la paleta del tema que también admiten text-* y bg-*
+const TEXT_COLORS = {
+  ...THEME_COLORS,
+  body: 'text.primary',
+  'body-secondary': 'text.secondary',
+  'body-tertiary': 'text.disabled',
+  muted: 'text.secondary',
+  black: 'common.black',
+  white: 'common.white',
+  'black-50': 'rgba(0, 0, 0, 0.5)',
+  'white-50': 'rgba(255, 255, 255, 0.5)',
+  reset: 'inherit',
+};
+
+const BG_COLORS = {
+  ...THEME_COLORS,
+  body: 'background.default',
+  'body-secondary': 'grey.100',
+  'body-tertiary': 'grey.50',
+  black: 'common.black',
+  white: 'common.white',
+  transparent: 'transparent',
+};
+
+const BORDER_COLORS = {
+  ...THEME_COLORS,
+  black: 'common.black',
+  white: 'common.white',
+};
+
+const FLEX_ALIGN = {
+  start: 'flex-start',
+  end: 'flex-end',
+  center: 'center',
+  baseline: 'baseline',
+  stretch: 'stretch',
+};
+
+const FLEX_CONTENT = {
+  start: 'flex-start',
+  end: 'flex-end',
+  center: 'center',
+  between: 'space-between',
+  around: 'space-around',
+  evenly: 'space-evenly',
+  stretch: 'stretch',
+};
+
+// Lados de los bordes de Bootstrap → propiedad CSS
+const BORDER_SIDES = { top: 'borderTop', end: 'borderRight', bottom: 'borderBottom', start: 'borderLeft' };
+
+// Esquinas de rounded-top/end/bottom/start (radio por defecto, como `rounded`)
+const ROUNDED_SIDES = {
+  top: ['borderTopLeftRadius', 'borderTopRightRadius'],
+  end: ['borderTopRightRadius', 'borderBottomRightRadius'],
+  bottom: ['borderBottomLeftRadius', 'borderBottomRightRadius'],
+  start: ['borderTopLeftRadius', 'borderBottomLeftRadius'],
+};
+
+const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  p: 0,
+  m: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0,
+};
+
+/**
+ * Entradas `prefijo-sufijo` de una familia de utilidades:
+ * `family('opacity', { 50: 0.5 }, v => ({ opacity: v }))` →
+ * `{ 'opacity-50': { opacity: 0.5 } }`.
+ */
+function family(prefix, values, toSx) {
+  const entries = {};
+  Object.entries(values).forEach(([suffix, value]) => {
+    entries[`${prefix}-${suffix}`] = toSx(value);
+  });
+  return entries;
+}
+
+/**
+ * Objeto `{ clave: clave }` para las familias en las que el sufijo de la
+ * clase ya es el valor CSS (`overflow-hidden` → `'hidden'`).
+ */
+function same(...keys) {
+  return Object.fromEntries(keys.map(key => [key, key]));
+}
+
+// Catálogo de utilidades de Bootstrap 5 sin valor numérico variable; el
+// espaciado (y sus variantes auto y negativas) está en PATTERN_RULES
+const CLASSNAME_TO_SX = {
+  // Display
+  ...family('d', same('none', 'inline', 'inline-block', 'block', 'grid', 'inline-grid', 'table',
+    'table-row', 'table-cell', 'flex', 'inline-flex'), v => ({ display: v })),
+
+  // Flexbox
+  ...family('flex', same('row', 'row-reverse', 'column', 'column-reverse'), v => ({ flexDirection: v })),
+  ...family('flex', same('wrap', 'nowrap', 'wrap-reverse'), v => ({ flexWrap: v })),
+  'flex-fill': { flex: '1 1 auto' },
+  ...family('flex-grow', { 0: 0, 1: 1 }, v => ({ flexGrow: v })),
+  ...family('flex-shrink', { 0: 0, 1: 1 }, v => ({ flexShrink: v })),
+  ...family('justify-content', FLEX_CONTENT, v => ({ justifyContent: v })),
+  ...family('align-items', FLEX_ALIGN, v => ({ alignItems: v })),
+  ...family('align-self', { auto: 'auto', ...FLEX_ALIGN }, v => ({ alignSelf: v })),
+  ...family('align-content', FLEX_CONTENT, v => ({ alignContent: v })),
+  ...family('order', { 0: 0, 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, first: -1, last: 6 }, v => ({ order: v })),
+  ...family('float', { start: 'left', end: 'right', none: 'none' }, v => ({ float: v })),
+
+  // Alineación vertical
+  ...family('align', same('baseline', 'top', 'middle', 'bottom', 'text-top', 'text-bottom'), v => ({ verticalAlign: v })),
+
+  // Texto
+  'text-start': { textAlign: 'left' },
+  'text-center': { textAlign: 'center' },
+  'text-end': { textAlign: 'right' },
+  'text-justify': { textAlign: 'justify' },
+  'text-uppercase': { textTransform: 'uppercase' },
+  'text-lowercase': { textTransform: 'lowercase' },
+  'text-capitalize': { textTransform: 'capitalize' },
+  'text-wrap': { whiteSpace: 'normal' },
+  'text-nowrap': { whiteSpace: 'nowrap' },
+  'text-break': { wordWrap: 'break-word', wordBreak: 'break-word' },
+  'text-truncate': { overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' },
+  ...family('text-decoration', same('none', 'underline', 'line-through'), v => ({ textDecoration: v })),
+  ...family('text', TEXT_COLORS, v => ({ color: v })),
+  ...family('fs', { 1: '2.5rem', 2: '2rem', 3: '1.75rem', 4: '1.5rem', 5: '1.25rem', 6: '1rem' }, v => ({ fontSize: v })),
+  ...family('fw', { bold: 'bold', bolder: 'bolder', semibold: 600, medium: 500, normal: 'normal', light: 300, lighter: 'lighter' },
+    v => ({ fontWeight: v })),
+  ...family('fst', same('italic', 'normal'), v => ({ fontStyle: v })),
+  ...family('lh', { 1: 1, sm: 1.25, base: 1.5, lg: 2 }, v => ({ lineHeight: v })),
+  'font-monospace': { fontFamily: 'monospace' },
+
+  // Fondo
+  ...family('bg', BG_COLORS, v => ({ bgcolor: v })),
+
+  // Tamaños
+  ...family('w', { 25: '25%', 50: '50%', 75: '75%', 100: '100%', auto: 'auto' }, v => ({ width: v })),
+  ...family('h', { 25: '25%', 50: '50%', 75: '75%', 100: '100%', auto: 'auto' }, v => ({ height: v })),
+  'mw-100': { maxWidth: '100%' },
+  'mh-100': { maxHeight: '100%' },
+  'vw-100': { width: '100vw' },
+  'vh-100': { height: '100vh' },
+  'min-vw-100': { minWidth: '100vw' },
+  'min-vh-100': { minHeight: '100vh' },
+  ...family('object-fit', { contain: 'contain', cover: 'cover', fill: 'fill', scale: 'scale-down', none: 'none' },
+    v => ({ objectFit: v })),
+
+  // Posición
+  ...family('position', same('static', 'relative', 'absolute', 'fixed', 'sticky'), v => ({ position: v })),
+  ...family('top', { 0: 0, 50: '50%', 100: '100%' }, v => ({ top: v })),
+  ...family('bottom', { 0: 0, 50: '50%', 100: '100%' }, v => ({ bottom: v })),
+  ...family('start', { 0: 0, 50: '50%', 100: '100%' }, v => ({ left: v })),
+  ...family('end', { 0: 0, 50: '50%', 100: '100%' }, v => ({ right: v })),
+  'translate-middle': { transform: 'translate(-50%, -50%)' },
+  'translate-middle-x': { transform: 'translateX(-50%)' },
+  'translate-middle-y': { transform: 'translateY(-50%)' },
+  ...family('z', { n1: -1, 0: 0, 1: 1, 2: 2, 3: 3 }, v => ({ zIndex: v })),
+
+  // Desbordamiento, visibilidad e interacción
+  ...family('overflow', same('auto', 'hidden', 'visible', 'scroll'), v => ({ overflow: v })),
+  ...family('overflow-x', same('auto', 'hidden', 'visible', 'scroll'), v => ({ overflowX: v })),
+  ...family('overflow-y', same('auto', 'hidden', 'visible', 'scroll'), v => ({ overflowY: v })),
+  ...family('opacity', { 0: 0, 25: 0.25, 50: 0.5, 75: 0.75, 100: 1 }, v => ({ opacity: v })),
+  visible: { visibility: 'visible' },
+  invisible: { visibility: 'hidden' },
+  ...family('user-select', same('all', 'auto', 'none'), v => ({ userSelect: v })),
+  ...family('pe', same('none', 'auto'), v => ({ pointerEvents: v })),
+  'visually-hidden': VISUALLY_HIDDEN,
+  'visually-hidden-focusable': { '&:not(:focus):not(:focus-within)': VISUALLY_HIDDEN },
+
+  // Sombras (elevaciones del tema)
+  ...family('shadow', { none: 'none', sm: 1, lg: 8 }, v => ({ boxShadow: v })),
+  shadow: { boxShadow: 4 },
+
+  // Bordes
+  border: { border: 1, borderColor: 'divider' },
+  'border-0': { border: 0 },
+  ...family('border', BORDER_SIDES, side => ({ [side]: 1, borderColor: 'divider' })),
+  ...family('border', Object.fromEntries(Object.entries(BORDER_SIDES).map(([key, side]) => [`${key}-0`, side])),
+    side => ({ [side]: 0 })),
+  ...family('border', { 1: 1, 2: 2, 3: 3, 4: 4, 5: 5 }, v => ({ borderWidth: v })),
+  ...family('border', BORDER_COLORS, v => ({ borderColor: v })),
+
+  // Radios: borderRadius numérico es múltiplo de theme.shape.borderRadius (4px)
+  rounded: { borderRadius: 1.5 }, // .375rem, como rounded-2
+  ...family('rounded', { 0: 0, 1: 1, 2: 1.5, 3: 2, 4: 4, 5: 8, circle: '50%', pill: '50rem' }, v => ({ borderRadius: v })),
+  ...family('rounded', ROUNDED_SIDES, corners => Object.fromEntries(corners.map(corner => [corner, 1.5]))),
+};
+
+// Propiedades de las utilidades que Bootstrap genera con breakpoint; el
+// resto (colores, bordes…) no tiene variante responsive
+const RESPONSIVE_PROPERTIES = new Set([
+  'display', 'flexDirection', 'flexWrap', 'flex', 'flexGrow', 'flexShrink',
+  'justifyContent', 'alignItems', 'alignSelf', 'alignContent', 'order',
+  'textAlign', 'float', 'objectFit', 'width',
+  ...Object.values(SPACING_PROPS),
+]);
+
+const PATTERN_RULES = [
+  // Espaciado: mb-3, ps-2, gap-1, row-gap-2…
+  {
+    re: /^(m|mt|mb|ms|me|ml|mr|mx|my|p|pt|pb|ps|pe|pl|pr|px|py|gap|row-gap|column-gap)-([0-5])$/,
+    sx: (m, spacing) => ({ [SPACING_PROPS[m[1]]]: spacing(Number(m[2])) }),
+  },
+  // Márgenes automáticos (mx-auto) y negativos (mt-n2)
+  {
+    re: /^(m|mt|mb|ms|me|ml|mr|mx|my)-auto$/,
+    sx: m => ({ [SPACING_PROPS[m[1]]]: 'auto' }),
+  },
+  {
+    re: /^(m|mt|mb|ms|me|ml|mr|mx|my)-n([1-5])$/,
+    sx: (m, spacing) => ({ [SPACING_PROPS[m[1]]]: spacing(-Number(m[2])) }),
+  },
+  // Columnas fuera de un Col (en los Col las lee rules/grid.js)
+  {
+    re: /^col$/,
+    sx: () => ({ flex: '1 0 0%' }),
+  },
+  {
+    re: /^col-(\d+|auto)$/,
+    sx: m => (m[1] === 'auto'
+      ? { flex: '0 0 auto', width: 'auto' }
+      : { flex: '0 0 auto', width: `${Math.round((Number(m[1]) * 100 / 12) * 10000) / 10000}%` }),
+  },
+];
+
+/**
+ * Devuelve el objeto `sx` para una clase, o null si no es una utilidad
+ * conocida. `spacing` convierte los espaciadores de Bootstrap (ver
+ * lib/spacing.js).
+ */
+function classToSx(token, spacing = spacerToSpacing) {
+  if (Object.prototype.hasOwnProperty.call(CLASSNAME_TO_SX, token)) {
+    return CLASSNAME_TO_SX[token];
+  }
+  for (const rule of PATTERN_RULES) {
+    const m = token.match(rule.re);
+    if (m) return rule.sx(m, spacing);
+  }
+  return null;
+}
+
+/**
+ * `sx` de una utilidad con breakpoint (`mb-lg-4` → `{ mb: { lg: 4 } }`), o
+ * null si no lo es.
+ */
+function responsiveClassToSx(token, spacing = spacerToSpacing) {
+  const m = token.match(/^(.+?)-(sm|md|lg|xl|xxl)(-.+)?$/);
+  if (!m) return null;
+  const base = classToSx(m[1] + (m[3] || ''), spacing);
+  if (!base || !Object.keys(base).every(key => RESPONSIVE_PROPERTIES.has(key))) return null;
+  const sx = {};
+  Object.entries(base).forEach(([key, value]) => {
+    sx[key] = { [BREAKPOINT_MAP[m[2]]]: value };
+  });
+  return sx;
+}
+
+/**
+ * Combina dos valores de una misma propiedad de `sx`. Si alguno es
+ * responsive el resultado también lo es: un valor simple es el de `xs`.
+ */
+function mergeSxValue(current, next) {
+  if (current === undefined || (!isResponsiveValue(current) && !isResponsiveValue(next))) return next;
+  const merged = {};
+  const a = isResponsiveValue(current) ? current : { xs: current };
+  const b = isResponsiveValue(next) ? next : { xs: next };
+  MUI_BREAKPOINTS.forEach(bp => {
+    if (bp in b) merged[bp] = b[bp];
+    else if (bp in a) merged[bp] = a[bp];
+  });
+  return merged;
+}
+
+/**
+ * Separa una cadena de clases en el objeto `sx` equivalente y las clases que
+ * no se han podido convertir.
+ */
+function extractSxFromClasses(classString, spacing = spacerToSpacing) {
+  const sxObj = {};
+  const remaining = [];
+  (classString || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach(token => {
+      const sx = classToSx(token, spacing) || responsiveClassToSx(token, spacing);
+      if (sx) {
+        Object.entries(sx).forEach(([key, value]) => {
+          sxObj[key] = mergeSxValue(sxObj[key], value);
+        });
+      } else {
+        remaining.push(token);
+      }
+    });
+  return { sxObj, remainingClass: remaining.join(' ') };
+}
+
+module.exports = {
+  CLASSNAME_TO_SX,
+  PATTERN_RULES,
+  THEME_COLORS,
+  classToSx,
+  responsiveClassToSx,
+  mergeSxValue,
+  extractSxFromClasses,
+};
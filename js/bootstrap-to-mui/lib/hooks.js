@@ -0,0 +1,166 @@
+/**
+ * Estado local generado por las reglas.
+ *
+ * Los componentes de MUI que se abren y cierran (Drawer, Menu, Popover…) son
+ * controlados, así que algunas reglas necesitan añadir un
+ *   const [open, setOpen] = useState(false);
+ * al componente de función que contiene el JSX. Si no hay un componente de
+ * función (componentes de clase, JSX suelto a nivel de módulo) se devuelve
+ * null y la regla deja un TODO. Si entre el elemento y el componente hay
+ * otra función (el callback de un `rows.map(…)`, una función de render) el
+ * estado no se puede subir al componente, porque lo compartirían todas las
+ * instancias: la regla deja el elemento sin convertir (ver keepInCallback).
+ */
+
+const COMPONENT_NAME = /^[A-Z]/;
+const WRAPPERS = ['memo', 'forwardRef'];
+
+function calleeName(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && !callee.computed) return callee.property.name;
+  return null;
+}
+
+/**
+ * Indica si una función es un componente: tiene nombre en mayúscula, es el
+ * export por defecto o está envuelta en memo/forwardRef.
+ */
+function isComponentFunction(path) {
+  const node = path.node;
+  const parent = path.parent && path.parent.node;
+  if (node.id) return COMPONENT_NAME.test(node.id.name);
+  if (!parent) return false;
+  if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+    return COMPONENT_NAME.test(parent.id.name);
+  }
+  if (parent.type === 'ExportDefaultDeclaration') return true;
+  return parent.type === 'CallExpression' && WRAPPERS.includes(calleeName(parent.callee));
+}
+
+/**
+ * Funciones que contienen `path`, de la más cercana a la más externa.
+ */
+function enclosingFunctions(j, path) {
+  const functions = [];
+  for (let current = path.parent; current; current = current.parent) {
+    if (j.Function.check(current.node)) functions.push(current);
+  }
+  return functions;
+}
+
+/**
+ * Ruta del componente de función que contiene `path` directamente (sin otra
+ * función en medio), o null.
+ */
+function findComponent(j, path) {
+  const [closest] = enclosingFunctions(j, path);
+  return closest && isComponentFunction(closest) ? closest : null;
+}
+
+/**
+ * Indica si `path` está dentro de un componente de función pero a través de
+ * otra función (`rows.map(row => <Dropdown …>)`).
+ */
+function insideCallback(j, path) {
+  return enclosingFunctions(j, path).findIndex(isComponentFunction) > 0;
+}
+
+/**
+ * Deja sin convertir un elemento que necesitaría estado propio dentro de un
+ * callback, con un TODO. Sus partes (los elementos cuyo nombre canónico es
+ * uno de `families` o empieza por `<familia>.`) se marcan como tratadas para
+ * que sigan siendo de react-bootstrap; el resto del contenido se convierte.
+ */
+function keepInCallback(ctx, path, component, families) {
+  const { j } = ctx;
+  const element = path.node;
+  j(path)
+    .find(j.JSXElement)
+    .forEach(child => {
+      const name = ctx.resolve(child.node);
+      if (name && families.some(family => name === family || name.startsWith(`${family}.`))) {
+        ctx.consume(child.node);
+      }
+    });
+  ctx.report.unmapped(element, component);
+  ctx.todo(
+    element,
+    `${component} dentro de un callback: su estado no puede declararse en el componente sin que lo compartan todas las instancias; extraerlo a un componente propio`
+  );
+}
+
+/**
+ * Devuelve un identificador libre en el archivo a partir de `base`
+ * (`navOpen`, `navOpen2`…).
+ */
+function uniqueName(j, root, base) {
+  const used = new Set(root.find(j.Identifier).nodes().map(node => node.name));
+  let name = base;
+  for (let i = 2; used.has(name); i++) {
+    name = `${base}${i}`;
+  }
+  return name;
+}
+
+/**
+ * Expresión para llamar a un hook de React: `useState` importado por nombre
+ * o `React.useState` si el archivo usa `import * as React from 'react'`.
+ */
+function reactHook(ctx, hook) {
+  const { j, root } = ctx;
+  const namespace = root
+    .find(j.ImportDeclaration, { source: { value: 'react' } })
+    .find(j.ImportNamespaceSpecifier);
+  if (namespace.size() > 0) {
+    return j.memberExpression(j.identifier(namespace.get(0).node.local.name), j.identifier(hook));
+  }
+  return j.identifier(ctx.imports.addNamed(hook, 'react'));
+}
+
+// Función → número de declaraciones ya insertadas al principio de su cuerpo
+const inserted = new WeakMap();
+
+/**
+ * Inserta una declaración al principio del cuerpo del componente, después de
+ * las generadas antes. Las funciones flecha con cuerpo de expresión se pasan
+ * a bloque con `return`.
+ */
+function prependStatement(j, component, statement) {
+  const fn = component.node;
+  if (fn.body.type !== 'BlockStatement') {
+    fn.body = j.blockStatement([j.returnStatement(fn.body)]);
+    fn.expression = false;
+  }
+  const count = inserted.get(fn) || 0;
+  fn.body.body.splice(count, 0, statement);
+  inserted.set(fn, count + 1);
+}
+
+/**
+ * Añade `const [base, setBase] = useState(initial)` al componente que
+ * contiene `path`. Devuelve los nombres generados `{ value, setter }` o null
+ * si no hay un componente de función donde declararlo.
+ */
+function addStateHook(ctx, path, base, initial) {
+  const { j, root } = ctx;
+  const component = findComponent(j, path);
+  if (!component) return null;
+  const value = uniqueName(j, root, base);
+  const setter = uniqueName(j, root, `set${value[0].toUpperCase()}${value.slice(1)}`);
+  const declaration = j.variableDeclaration('const', [
+    j.variableDeclarator(
+      j.arrayPattern([j.identifier(value), j.identifier(setter)]),
+      j.callExpression(reactHook(ctx, 'useState'), [initial])
+    ),
+  ]);
+  prependStatement(j, component, declaration);
+  return { value, setter };
+}
+
+module.exports = {
+  addStateHook,
+  findComponent,
+  insideCallback,
+  keepInCallback,
+  uniqueName,
+};
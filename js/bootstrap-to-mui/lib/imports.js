@@ -0,0 +1,159 @@
+/**
+ * Gestión de importaciones generadas por el codemod.
+ *
+ * Las transformaciones registran lo que necesitan (`addDefault`, `addNamed`)
+ * y al final `flush()` inserta las declaraciones después del último import del
+ * archivo, fusionándolas con las existentes del mismo módulo. Un nombre que ya
+ * está importado del mismo módulo no se vuelve a importar.
+ *
+ * Si el nombre ya está ocupado en el archivo por otra cosa (un import de otro
+ * módulo, como `import { Menu } from 'lucide-react'`, o una declaración
+ * propia) se importa con un alias (`MuiMenu`). `addDefault` y `addNamed`
+ * devuelven el nombre local que hay que usar. Los nombres importados de
+ * react-bootstrap no cuentan: esas importaciones se eliminan al final.
+ */
+
+const BOOTSTRAP_SOURCE = /^react-bootstrap(\/|$)/;
+
+function createImportManager(j, root) {
+  // source → { defaultName, named: Map importado → local }
+  const pending = new Map();
+  // nombre local → source de los nombres que ya ha repartido el gestor
+  const allocated = new Map();
+  let bindings = null;
+
+  function entry(source) {
+    if (!pending.has(source)) {
+      pending.set(source, { defaultName: null, named: new Map() });
+    }
+    return pending.get(source);
+  }
+
+  /**
+   * Nombres declarados en cualquier ámbito del archivo, salvo los que se
+   * importan de react-bootstrap.
+   */
+  function fileBindings() {
+    if (bindings) return bindings;
+    bindings = new Set();
+    const scopes = [...root.find(j.Program).paths(), ...root.find(j.Function).paths()];
+    scopes.forEach(path => {
+      Object.keys(path.scope.getBindings()).forEach(name => bindings.add(name));
+    });
+    root.find(j.ImportDeclaration).forEach(path => {
+      if (!BOOTSTRAP_SOURCE.test(path.node.source.value)) return;
+      (path.node.specifiers || []).forEach(spec => bindings.delete(spec.local.name));
+    });
+    return bindings;
+  }
+
+  /**
+   * Especificador ya existente en un import de `source`, o undefined.
+   */
+  function existingSpecifier(source, matches) {
+    let found;
+    root.find(j.ImportDeclaration, { source: { value: source } }).forEach(path => {
+      (path.node.specifiers || []).forEach(spec => {
+        if (!found && matches(spec)) found = spec;
+      });
+    });
+    return found;
+  }
+
+  /**
+   * Nombre local libre para `name` importado de `source`.
+   */
+  function allocate(name, source) {
+    let local = name;
+    for (let i = 1; ; i += 1) {
+      const owner = allocated.get(local);
+      if (owner === source || (owner === undefined && !fileBindings().has(local))) break;
+      local = i === 1 ? `Mui${name}` : `Mui${name}${i}`;
+    }
+    allocated.set(local, source);
+    return local;
+  }
+
+  return {
+    addDefault(name, source) {
+      const target = entry(source);
+      if (target.defaultName) return target.defaultName;
+      const existing = existingSpecifier(source, spec => spec.type === 'ImportDefaultSpecifier');
+      target.defaultName = existing ? existing.local.name : allocate(name, source);
+      allocated.set(target.defaultName, source);
+      return target.defaultName;
+    },
+
+    addNamed(name, source) {
+      const target = entry(source);
+      if (!target.named.has(name)) {
+        const existing = existingSpecifier(
+          source,
+          spec => spec.type === 'ImportSpecifier' && spec.imported.name === name
+        );
+        const local = existing ? existing.local.name : allocate(name, source);
+        allocated.set(local, source);
+        target.named.set(name, local);
+      }
+      return target.named.get(name);
+    },
+
+    has(source) {
+      return pending.has(source);
+    },
+
+    /**
+     * Nombres locales que se van a importar.
+     */
+    names() {
+      const names = new Set();
+      pending.forEach(({ defaultName, named }) => {
+        if (defaultName) names.add(defaultName);
+        named.forEach(local => names.add(local));
+      });
+      return names;
+    },
+
+    flush() {
+      const newDeclarations = [];
+      pending.forEach(({ defaultName, named }, source) => {
+        const specifiers = [];
+        if (defaultName && !existingSpecifier(source, spec => spec.local.name === defaultName)) {
+          specifiers.push(j.importDefaultSpecifier(j.identifier(defaultName)));
+        }
+        named.forEach((local, name) => {
+          if (existingSpecifier(source, spec => spec.local.name === local)) return;
+          specifiers.push(local === name
+            ? j.importSpecifier(j.identifier(name))
+            : j.importSpecifier(j.identifier(name), j.identifier(local)));
+        });
+        if (specifiers.length === 0) return;
+
+        const existing = root.find(j.ImportDeclaration, { source: { value: source } });
+        if (existing.size() > 0) {
+          const node = existing.get(0).node;
+          const hasDefault = node.specifiers.some(s => s.type === 'ImportDefaultSpecifier');
+          specifiers.forEach(spec => {
+            if (spec.type === 'ImportDefaultSpecifier') {
+              if (!hasDefault) node.specifiers.unshift(spec);
+            } else if (!node.specifiers.some(s => s.type === 'ImportNamespaceSpecifier')) {
+              node.specifiers.push(spec);
+            }
+          });
+        } else {
+          newDeclarations.push(j.importDeclaration(specifiers, j.stringLiteral(source)));
+        }
+      });
+      if (newDeclarations.length === 0) return;
+
+      const allImports = root.find(j.ImportDeclaration);
+      if (allImports.size() > 0) {
+        allImports.at(-1).insertAfter(newDeclarations);
+      } else {
+        root.get().node.program.body.unshift(...newDeclarations);
+      }
+    },
+  };
+}
+
+module.exports = { createImportManager };
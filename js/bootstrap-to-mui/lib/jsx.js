@@ -0,0 +1,317 @@
+/**
+ * Utilidades para leer y modificar elementos JSX.
+ *
+ * Todas las funciones reciben `j` (la API de jscodeshift) como primer
+ * argumento cuando necesitan construir nodos, igual que los helpers de
+ * bootstrap_mui_deep.js.
+ */
+
+/**
+ * Devuelve el atributo `name` de un JSXOpeningElement, o undefined.
+ */
+function getAttribute(opening, name) {
+  return (opening.attributes || []).find(
+    a => a.type === 'JSXAttribute' && a.name.name === name
+  );
+}
+
+/**
+ * Devuelve el valor estático de un atributo:
+ *  - `true` si el atributo no tiene valor (`<Col xs>`).
+ *  - El valor del literal si es `"x"` o `{'x'}`/`{2}`/`{false}`.
+ *  - `undefined` si el valor es dinámico.
+ */
+function getLiteralValue(j, attr) {
+  if (!attr) return undefined;
+  const val = attr.value;
+  if (val === null || val === undefined) return true;
+  if (j.Literal.check(val)) return val.value;
+  if (val.type === 'JSXExpressionContainer' && j.Literal.check(val.expression)) {
+    return val.expression.value;
+  }
+  if (
+    val.type === 'JSXExpressionContainer' &&
+    val.expression.type === 'TemplateLiteral' &&
+    val.expression.expressions.length === 0
+  ) {
+    return val.expression.quasis[0].value.cooked;
+  }
+  return undefined;
+}
+
+/**
+ * Construye el valor JSX de un atributo a partir de un valor JS o un nodo AST.
+ * Las cadenas se emiten como `"x"`, `true` como atributo sin valor y el resto
+ * dentro de un JSXExpressionContainer.
+ */
+function buildAttributeValue(j, value) {
+  if (value === true) return null;
+  if (typeof value === 'string') return j.stringLiteral(value);
+  if (value && typeof value === 'object' && typeof value.type === 'string') {
+    if (value.type === 'JSXExpressionContainer' || j.StringLiteral.check(value)) {
+      return value;
+    }
+    return j.jsxExpressionContainer(value);
+  }
+  return j.jsxExpressionContainer(valueToNode(j, value));
+}
+
+/**
+ * Convierte un valor JS simple (número, cadena, booleano, null, array u
+ * objeto plano) en un nodo de expresión.
+ */
+function valueToNode(j, value) {
+  if (value && typeof value === 'object' && typeof value.type === 'string') {
+    return value;
+  }
+  if (value === null) return j.nullLiteral();
+  if (typeof value === 'number') return j.numericLiteral(value);
+  if (typeof value === 'boolean') return j.booleanLiteral(value);
+  if (typeof value === 'string') return j.stringLiteral(value);
+  if (Array.isArray(value)) {
+    return j.arrayExpression(value.map(v => valueToNode(j, v)));
+  }
+  return j.objectExpression(
+    Object.entries(value).map(([key, v]) =>
+      j.objectProperty(propertyKey(j, key), valueToNode(j, v))
+    )
+  );
+}
+
+/**
+ * Clave de propiedad: identificador si es válido, literal en caso contrario
+ * (por ejemplo `'&:hover'` o `'aria-label'`).
+ */
+function propertyKey(j, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? j.identifier(key) : j.stringLiteral(key);
+}
+
+/**
+ * Añade o reemplaza el atributo `name`.
+ */
+function setAttribute(j, opening, name, value) {
+  const attr = getAttribute(opening, name);
+  const newValue = buildAttributeValue(j, value);
+  if (attr) {
+    attr.value = newValue;
+    return attr;
+  }
+  const created = j.jsxAttribute(j.jsxIdentifier(name), newValue);
+  opening.attributes.push(created);
+  return created;
+}
+
+/**
+ * Elimina el atributo `name` y devuelve el nodo eliminado, si existía.
+ */
+function removeAttribute(opening, name) {
+  const attr = getAttribute(opening, name);
+  if (attr) {
+    opening.attributes = opening.attributes.filter(a => a !== attr);
+  }
+  return attr;
+}
+
+/**
+ * Renombra un JSXElement (apertura y cierre) a un identificador simple.
+ */
+function renameElement(j, element, name) {
+  element.openingElement.name = j.jsxIdentifier(name);
+  if (element.closingElement) {
+    element.closingElement.name = j.jsxIdentifier(name);
+  }
+}
+
+/**
+ * Nombre de un elemento como cadena (`Card.Body`, `div`, `Button`).
+ */
+function elementName(element) {
+  return nameToString(element.openingElement.name);
+}
+
+function nameToString(name) {
+  if (name.type === 'JSXIdentifier') return name.name;
+  if (name.type === 'JSXMemberExpression') {
+    return `${nameToString(name.object)}.${name.property.name}`;
+  }
+  if (name.type === 'JSXNamespacedName') {
+    return `${name.namespace.name}:${name.name.name}`;
+  }
+  return '';
+}
+
+/**
+ * Crea un JSXElement `<name {...attrs}>children</name>`. Si no hay hijos se
+ * genera autocerrado.
+ */
+function createElement(j, name, attrs = {}, children = []) {
+  const attributes = Object.entries(attrs).map(([key, value]) =>
+    j.jsxAttribute(j.jsxIdentifier(key), buildAttributeValue(j, value))
+  );
+  const selfClosing = children.length === 0;
+  return j.jsxElement(
+    j.jsxOpeningElement(j.jsxIdentifier(name), attributes, selfClosing),
+    selfClosing ? null : j.jsxClosingElement(j.jsxIdentifier(name)),
+    children
+  );
+}
+
+/**
+ * Hijos JSXElement de un elemento, ignorando texto y expresiones.
+ */
+function childElements(element) {
+  return (element.children || []).filter(c => c.type === 'JSXElement');
+}
+
+/**
+ * Indica si un hijo es texto en blanco (saltos de línea e indentación).
+ */
+function isBlankText(child) {
+  return child.type === 'JSXText' && child.value.trim() === '';
+}
+
+/**
+ * Convierte los hijos de un elemento en una única expresión utilizable como
+ * valor de una prop: una cadena si solo hay texto, el propio elemento o
+ * expresión si hay un único hijo, o un fragmento en otro caso.
+ */
+function childrenToExpression(j, children) {
+  const meaningful = children.filter(c => !isBlankText(c));
+  if (meaningful.length === 0) return null;
+  if (meaningful.length === 1) {
+    const only = meaningful[0];
+    if (only.type === 'JSXText') return j.stringLiteral(only.value.trim());
+    if (only.type === 'JSXExpressionContainer') return only.expression;
+    return only;
+  }
+  return j.jsxFragment(j.jsxOpeningFragment(), j.jsxClosingFragment(), children);
+}
+
+/**
+ * Sustituye `child` dentro de los children de `parent` por uno o varios
+ * nodos. Devuelve false si `child` no es hijo directo de `parent`.
+ */
+function replaceChild(parent, child, replacement) {
+  const index = (parent.children || []).indexOf(child);
+  if (index === -1) return false;
+  const nodes = Array.isArray(replacement) ? replacement : [replacement];
+  parent.children.splice(index, 1, ...nodes);
+  return true;
+}
+
+/**
+ * Valor de un atributo como expresión utilizable en otra prop: el literal
+ * o la expresión del contenedor; `true` si el atributo no tiene valor.
+ */
+function attributeExpression(j, attr) {
+  if (!attr) return null;
+  if (!attr.value) return j.booleanLiteral(true);
+  if (attr.value.type === 'JSXExpressionContainer') return attr.value.expression;
+  return attr.value;
+}
+
+/**
+ * Llamada a un manejador existente. Una flecha sin parámetros y con cuerpo
+ * de expresión se incorpora directamente (`() => go()` → `go()`).
+ */
+function invoke(j, handler, args) {
+  if (handler.type === 'ArrowFunctionExpression' && handler.params.length === 0 && handler.body.type !== 'BlockStatement') {
+    return handler.body;
+  }
+  return j.callExpression(handler, args);
+}
+
+/**
+ * Elemento JSX que devuelve una función flecha o con un único `return`.
+ */
+function returnedElement(fn) {
+  if (!fn || (fn.type !== 'ArrowFunctionExpression' && fn.type !== 'FunctionExpression')) return null;
+  if (fn.body.type === 'JSXElement') return fn.body;
+  if (fn.body.type !== 'BlockStatement') return null;
+  const statements = fn.body.body;
+  const last = statements[statements.length - 1];
+  return statements.length === 1 && last.type === 'ReturnStatement' && last.argument && last.argument.type === 'JSXElement'
+    ? last.argument
+    : null;
+}
+
+/**
+ * Indentación (salto de línea incluido) del hijo `child` de `parent`, tomada
+ * del texto en blanco que lo precede; '\n' si no hay.
+ */
+function indentBefore(parent, child) {
+  const index = (parent.children || []).indexOf(child);
+  const previous = parent.children && parent.children[index - 1];
+  return previous && previous.type === 'JSXText' && /\n[ \t]*$/.test(previous.value)
+    ? previous.value.match(/\n[ \t]*$/)[0]
+    : '\n';
+}
+
+/**
+ * Inserta `nodes` como hermanos a continuación del elemento de `path`. Si el
+ * elemento no está entre los children de otro elemento JSX (raíz de un
+ * `return`, valor de una prop…) se envuelve todo en un fragmento.
+ */
+function insertSiblingsAfter(j, path, nodes) {
+  const element = path.node;
+  const parent = path.parent && path.parent.node;
+  if (parent && (parent.children || []).includes(element)) {
+    const indent = indentBefore(parent, element);
+    const index = parent.children.indexOf(element);
+    const inserted = [];
+    nodes.forEach(node => inserted.push(j.jsxText(indent), node));
+    parent.children.splice(index + 1, 0, ...inserted);
+    return;
+  }
+  // Los paréntesis del `return (<X>…</X>)` pasan al fragmento
+  if (element.extra && element.extra.parenthesized) {
+    element.extra = { ...element.extra, parenthesized: false };
+  }
+  const children = [j.jsxText('\n'), element];
+  nodes.forEach(node => children.push(j.jsxText('\n'), node));
+  children.push(j.jsxText('\n'));
+  path.replace(j.jsxFragment(j.jsxOpeningFragment(), j.jsxClosingFragment(), children));
+}
+
+// Propiedades de posición y de impresión que no deben copiarse
+const CLONE_SKIPPED_KEYS = ['loc', 'start', 'end', 'range', 'tokens', 'original', 'comments'];
+
+/**
+ * Copia profunda de un nodo sin información de posición, para insertarlo en
+ * otro punto del árbol (recast lo imprime como código nuevo).
+ */
+function cloneNode(node) {
+  if (Array.isArray(node)) return node.map(cloneNode);
+  if (!node || typeof node !== 'object') return node;
+  const copy = {};
+  Object.keys(node).forEach(key => {
+    if (!CLONE_SKIPPED_KEYS.includes(key)) {
+      copy[key] = cloneNode(node[key]);
+    }
+  });
+  return copy;
+}
+
+module.exports = {
+  getAttribute,
+  getLiteralValue,
+  buildAttributeValue,
+  valueToNode,
+  propertyKey,
+  setAttribute,
+  removeAttribute,
+  renameElement,
+  elementName,
+  nameToString,
+  createElement,
+  childElements,
+  isBlankText,
+  childrenToExpression,
+  replaceChild,
+  attributeExpression,
+  invoke,
+  returnedElement,
+  cloneNode,
+  indentBefore,
+  insertSiblingsAfter,
+};
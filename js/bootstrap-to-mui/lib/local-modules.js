@@ -0,0 +1,51 @@
+/**
+ * Módulos locales generados en el proyecto migrado.
+ *
+ * Algunos componentes de react-bootstrap no tienen equivalente en MUI
+ * (Carousel) y se sustituyen por un componente propio construido con MUI.
+ * Su código está en `templates/` y se copia una sola vez a la ruta
+ * configurada: si el archivo ya existe no se toca, para no perder los cambios
+ * que se le hayan hecho. Con `--dry` no se escribe nada.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+/**
+ * Ruta de importación de `target` desde `file`, relativa y sin extensión
+ * (`../components/Carousel`).
+ */
+function importSource(file, target) {
+  const from = path.dirname(path.resolve(file || 'stdin'));
+  let relative = path.relative(from, target).split(path.sep).join('/');
+  relative = relative.replace(/\.(jsx?|tsx?)$/, '');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+/**
+ * Copia la plantilla `template` a la ruta de la opción `option` (o a
+ * `defaultPath`, relativa al directorio de trabajo) si aún no existe.
+ * `render` recibe el código de la plantilla y devuelve el que se escribe.
+ * Devuelve la ruta con la que importarla desde el archivo actual.
+ */
+function useLocalModule(ctx, template, option, defaultPath, render = source => source) {
+  const target = path.resolve(ctx.options[option] || defaultPath);
+  if (!ctx.options.dry) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    try {
+      // `wx`: otro proceso de jscodeshift puede haberlo creado ya
+      const source = render(fs.readFileSync(path.join(TEMPLATES_DIR, template), 'utf8'));
+      fs.writeFileSync(target, source, { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+  return importSource(ctx.file, target);
+}
+
+module.exports = {
+  importSource,
+  useLocalModule,
+};
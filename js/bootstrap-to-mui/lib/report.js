@@ -0,0 +1,142 @@
+/**
+ * Informe de migración por archivo.
+ *
+ * Las reglas registran lo que hacen a través de `ctx.report`:
+ *  - `converted`: elementos convertidos (componente original → MUI).
+ *  - `droppedProps`: props eliminadas sin equivalente.
+ *  - `approximations`: conversiones que no son exactas y conviene revisar.
+ *  - `unmapped`: elementos de react-bootstrap que no se han convertido.
+ *  - `unmappedImports`: especificadores que siguen importándose de
+ *    react-bootstrap.
+ *
+ * Con la opción `--report=json|md|both` se escribe un archivo por cada
+ * fuente transformada en `--report-dir` (por defecto `migration-report/`),
+ * replicando la ruta relativa del archivo original.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = 'migration-report';
+
+function lineOf(node) {
+  return node && node.loc ? node.loc.start.line : null;
+}
+
+function createReport(file) {
+  const data = {
+    file,
+    converted: [],
+    droppedProps: [],
+    approximations: [],
+    unmapped: [],
+    unmappedImports: [],
+  };
+
+  return {
+    data,
+
+    converted(element, from, to) {
+      data.converted.push({ line: lineOf(element), from, to });
+    },
+
+    droppedProp(element, component, prop, reason) {
+      data.droppedProps.push({ line: lineOf(element), component, prop, reason });
+    },
+
+    approximation(element, component, message) {
+      data.approximations.push({ line: lineOf(element), component, message });
+    },
+
+    unmapped(element, component) {
+      data.unmapped.push({ line: lineOf(element), component });
+    },
+
+    unmappedImport(name) {
+      if (!data.unmappedImports.includes(name)) {
+        data.unmappedImports.push(name);
+      }
+    },
+
+    isEmpty() {
+      return Object.keys(data).every(key => key === 'file' || data[key].length === 0);
+    },
+  };
+}
+
+function at(line) {
+  return line === null ? '-' : String(line);
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Genera el informe en Markdown.
+ */
+function toMarkdown(data) {
+  const lines = [`# Migración Bootstrap → MUI: \`${data.file}\``, ''];
+
+  lines.push(`## Elementos convertidos (${data.converted.length})`, '');
+  if (data.converted.length > 0) {
+    lines.push('| Línea | react-bootstrap | MUI |', '| --- | --- | --- |');
+    data.converted.forEach(c => {
+      lines.push(`| ${at(c.line)} | \`${c.from}\` | \`${c.to}\` |`);
+    });
+    lines.push('');
+  }
+
+  lines.push(`## Props eliminadas (${data.droppedProps.length})`, '');
+  if (data.droppedProps.length > 0) {
+    lines.push('| Línea | Componente | Prop | Motivo |', '| --- | --- | --- | --- |');
+    data.droppedProps.forEach(d => {
+      lines.push(`| ${at(d.line)} | \`${d.component}\` | \`${d.prop}\` | ${escapeCell(d.reason)} |`);
+    });
+    lines.push('');
+  }
+
+  lines.push(`## Aproximaciones (${data.approximations.length})`, '');
+  if (data.approximations.length > 0) {
+    lines.push('| Línea | Componente | Detalle |', '| --- | --- | --- |');
+    data.approximations.forEach(a => {
+      lines.push(`| ${at(a.line)} | \`${a.component}\` | ${escapeCell(a.message)} |`);
+    });
+    lines.push('');
+  }
+
+  lines.push(`## Sin migrar (${data.unmapped.length + data.unmappedImports.length})`, '');
+  data.unmapped.forEach(u => {
+    lines.push(`- Línea ${at(u.line)}: \`${u.component}\``);
+  });
+  data.unmappedImports.forEach(name => {
+    lines.push(`- Importación de react-bootstrap sin migrar: \`${name}\``);
+  });
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Escribe el informe según las opciones (`report`, `reportDir`). No hace
+ * nada si no se ha pedido informe.
+ */
+function writeReport(data, options) {
+  const format = options.report;
+  if (!format) return;
+  const formats = format === 'both' || format === true ? ['json', 'md'] : [format];
+  const dir = path.resolve(options.reportDir || DEFAULT_DIR);
+  const relative = path.relative(process.cwd(), path.resolve(data.file || 'stdin'));
+  const base = path.join(dir, relative.replace(/^(\.\.[/\\])+/, ''));
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+  formats.forEach(ext => {
+    const content = ext === 'md' ? toMarkdown(data) : `${JSON.stringify(data, null, 2)}\n`;
+    fs.writeFileSync(`${base}.${ext}`, content);
+  });
+}
+
+module.exports = {
+  createReport,
+  toMarkdown,
+  writeReport,
+};
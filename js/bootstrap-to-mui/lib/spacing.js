@@ -0,0 +1,122 @@
+/**
+ * Conversión de la escala de espaciadores de Bootstrap a la de MUI.
+ *
+ * Bootstrap usa `$spacers` (0, .25rem, .5rem, 1rem, 1.5rem, 3rem) para las
+ * utilidades de margen/relleno/gap, los gutters y el gap de Stack; MUI
+ * multiplica por `theme.spacing` (8px por defecto). Copiar el índice tal cual
+ * (`mb-5` → `mb: 5`) da 40px en lugar de 48px, así que se traduce el tamaño:
+ *
+ *  --spacing=units  (por defecto) la unidad de MUI más cercana (múltiplos de
+ *                   0.25) al tamaño de Bootstrap: 0, 0.5, 1, 2, 3, 6 con 8px.
+ *  --spacing=rem    literales rem (`'0.25rem'`), independientes del tema.
+ *  --theme=<ruta>   lee `spacing` del tema del proyecto (`createTheme({
+ *                   spacing: 4 })`): con un número o `'4px'` se usa como
+ *                   unidad; con un array se elige el índice cuyo valor se
+ *                   acerca más. Una función no se puede evaluar en el
+ *                   codemod y se emiten literales rem.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// $spacers de Bootstrap en rem
+const BOOTSTRAP_SPACERS = [0, 0.25, 0.5, 1, 1.5, 3];
+const ROOT_FONT_SIZE = 16;
+const DEFAULT_UNIT = 8;
+
+// Temas ya leídos en este proceso, por ruta absoluta
+const themeCache = new Map();
+
+/**
+ * Valor en px de un literal de espaciado (`8`, `'8px'`, `'0.5rem'`), o
+ * null si no se reconoce.
+ */
+function toPixels(value) {
+  if (typeof value === 'number') return value;
+  const m = typeof value === 'string' && value.trim().match(/^(-?[\d.]+)(px|rem)?$/);
+  if (!m) return null;
+  return m[2] === 'rem' ? Number(m[1]) * ROOT_FONT_SIZE : Number(m[1]);
+}
+
+function literalValue(node) {
+  if (node && ['NumericLiteral', 'StringLiteral', 'Literal'].includes(node.type)) return node.value;
+  return undefined;
+}
+
+/**
+ * Lee la propiedad `spacing` del tema en `file`. Devuelve
+ * `{ unit }`, `{ scale }`, `{ rem: true }` (función u otro valor no
+ * estático) o `{}` si el tema no la define.
+ */
+function readThemeSpacing(j, file) {
+  const absolute = path.resolve(file);
+  if (themeCache.has(absolute)) return themeCache.get(absolute);
+  let source;
+  try {
+    source = fs.readFileSync(absolute, 'utf8');
+  } catch (error) {
+    throw new Error(`--theme: no se puede leer ${file} (${error.code})`);
+  }
+  const property = j(source)
+    .find(j.Node)
+    .filter(p => (p.node.type === 'ObjectProperty' || p.node.type === 'Property') &&
+      !p.node.computed && (p.node.key.name || p.node.key.value) === 'spacing')
+    .paths()[0];
+  const value = property ? property.node.value : null;
+
+  let result = {};
+  if (value && value.type === 'ArrayExpression') {
+    const scale = value.elements.map(element => toPixels(literalValue(element)));
+    result = scale.every(px => px !== null) ? { scale } : { rem: true };
+  } else if (value) {
+    const px = toPixels(literalValue(value));
+    result = px ? { unit: px } : { rem: true };
+  }
+  themeCache.set(absolute, result);
+  return result;
+}
+
+function remLiteral(rem) {
+  return `${rem}rem`;
+}
+
+/**
+ * Crea la función de conversión `spacing(n)` para las opciones del codemod.
+ * `n` es el índice del espaciador de Bootstrap (0–5, negativo para los
+ * márgenes `-n*`); devuelve el valor para `sx` o las props de espaciado, o
+ * undefined si `n` no está en la escala.
+ */
+function createSpacing(j, options = {}) {
+  const theme = options.theme ? readThemeSpacing(j, options.theme) : {};
+  const rem = options.spacing === 'rem' || theme.rem;
+  const unit = theme.unit || DEFAULT_UNIT;
+
+  return function spacing(n) {
+    const size = BOOTSTRAP_SPACERS[Math.abs(n)];
+    if (size === undefined) return undefined;
+    const sign = n < 0 ? -1 : 1;
+    if (size === 0) return 0;
+    if (rem) {
+      return remLiteral(sign * size);
+    }
+    const px = size * ROOT_FONT_SIZE;
+    if (theme.scale) {
+      // Índice del array del tema con el valor más cercano
+      let best = 0;
+      theme.scale.forEach((value, i) => {
+        if (Math.abs(value - px) < Math.abs(theme.scale[best] - px)) best = i;
+      });
+      return sign * best;
+    }
+    return sign * (Math.round((px / unit) * 4) / 4);
+  };
+}
+
+// Conversión por defecto (tema de MUI sin modificar)
+const spacerToSpacing = createSpacing(null);
+
+module.exports = {
+  BOOTSTRAP_SPACERS,
+  createSpacing,
+  spacerToSpacing,
+};
@@ -0,0 +1,136 @@
+/**
+ * Fusión de la prop `sx` de MUI.
+ */
+
+const { getAttribute, valueToNode, propertyKey } = require('./jsx');
+
+const MUI_BREAKPOINTS = ['xs', 'sm', 'md', 'lg', 'xl'];
+
+// Breakpoints de Bootstrap → MUI (xxl no existe en MUI y se aproxima con xl)
+const BREAKPOINT_MAP = { sm: 'sm', md: 'md', lg: 'lg', xl: 'xl', xxl: 'xl' };
+
+/**
+ * Indica si un valor de `sx` es responsive (`{ xs: 'none', md: 'flex' }`).
+ */
+function isResponsiveValue(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && typeof value.type !== 'string' &&
+    Object.keys(value).length > 0 && Object.keys(value).every(key => MUI_BREAKPOINTS.includes(key));
+}
+
+function keyName(prop) {
+  if (!prop.key) return undefined;
+  return prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+}
+
+/**
+ * Completa un valor ya presente en el código con los breakpoints de un
+ * valor responsive: `display: 'none'` + `{ md: 'flex' }` →
+ * `display: { xs: 'none', md: 'flex' }`. Los breakpoints del original se
+ * respetan.
+ */
+function mergeResponsiveProperty(j, property, value) {
+  const current = property.value;
+  let target;
+  if (current.type === 'ObjectExpression') {
+    const keys = current.properties.map(keyName);
+    if (!keys.every(key => MUI_BREAKPOINTS.includes(key))) return;
+    target = current;
+  } else {
+    target = j.objectExpression([j.objectProperty(j.identifier('xs'), current)]);
+    property.value = target;
+  }
+  const present = target.properties.map(keyName);
+  Object.entries(value).forEach(([bp, v]) => {
+    if (!present.includes(bp)) {
+      target.properties.push(j.objectProperty(j.identifier(bp), valueToNode(j, v)));
+    }
+  });
+  target.properties.sort((a, b) => MUI_BREAKPOINTS.indexOf(keyName(a)) - MUI_BREAKPOINTS.indexOf(keyName(b)));
+}
+
+/**
+ * Añade las entradas de `sxObj` a un ObjectExpression. Las claves que ya
+ * existen en el código original se respetan (tienen prioridad sobre lo que
+ * deduce el codemod); a un valor responsive solo se le añaden los
+ * breakpoints que falten.
+ */
+function mergeIntoObject(j, objectExpression, sxObj) {
+  Object.entries(sxObj).forEach(([key, value]) => {
+    const exists = objectExpression.properties.find(p => keyName(p) === key);
+    if (!exists) {
+      objectExpression.properties.push(
+        j.objectProperty(propertyKey(j, key), valueToNode(j, value))
+      );
+    } else if (isResponsiveValue(value) && exists.value) {
+      mergeResponsiveProperty(j, exists, value);
+    }
+  });
+}
+
+/**
+ * Fusiona y/o añade la prop `sx` en un JSXOpeningElement.
+ *  - Si no existe, se crea `sx={{ ... }}`.
+ *  - Si existe y es un objeto literal, se añaden las claves que falten.
+ *  - Si es un array, se antepone el nuevo objeto.
+ *  - Si es cualquier otra expresión (variable, función), se combina en un
+ *    array `sx={[{ ... }, original]}`, que MUI acepta.
+ */
+function mergeSxAttribute(j, opening, sxObj) {
+  if (Object.keys(sxObj).length === 0) return;
+  const sxAttr = getAttribute(opening, 'sx');
+  if (!sxAttr) {
+    opening.attributes.push(
+      j.jsxAttribute(
+        j.jsxIdentifier('sx'),
+        j.jsxExpressionContainer(valueToNode(j, sxObj))
+      )
+    );
+    return;
+  }
+  const expr = sxAttr.value && sxAttr.value.expression;
+  if (!expr) {
+    sxAttr.value = j.jsxExpressionContainer(valueToNode(j, sxObj));
+  } else if (expr.type === 'ObjectExpression') {
+    mergeIntoObject(j, expr, sxObj);
+  } else if (expr.type === 'ArrayExpression') {
+    expr.elements.unshift(valueToNode(j, sxObj));
+  } else {
+    sxAttr.value = j.jsxExpressionContainer(
+      j.arrayExpression([valueToNode(j, sxObj), expr])
+    );
+  }
+}
+
+/**
+ * Añade a `sx` un estilo que solo se aplica si se cumple `condition` (un
+ * nodo): `sx={[{ ... }, condition && { ... }]}`, la forma condicional que
+ * admite MUI. Con `alternate` la entrada es `condition ? { ... } : { ... }`.
+ */
+function appendConditionalSx(j, opening, condition, sxObj, alternate) {
+  const entry = alternate
+    ? j.conditionalExpression(condition, valueToNode(j, sxObj), valueToNode(j, alternate))
+    : j.logicalExpression('&&', condition, valueToNode(j, sxObj));
+  const sxAttr = getAttribute(opening, 'sx');
+  const expr = sxAttr && sxAttr.value && sxAttr.value.expression;
+  if (!expr) {
+    const value = j.jsxExpressionContainer(j.arrayExpression([entry]));
+    if (sxAttr) {
+      sxAttr.value = value;
+    } else {
+      opening.attributes.push(j.jsxAttribute(j.jsxIdentifier('sx'), value));
+    }
+  } else if (expr.type === 'ArrayExpression') {
+    expr.elements.push(entry);
+  } else {
+    sxAttr.value = j.jsxExpressionContainer(j.arrayExpression([expr, entry]));
+  }
+}
+
+module.exports = {
+  MUI_BREAKPOINTS,
+  BREAKPOINT_MAP,
+  isResponsiveValue,
+  mergeSxAttribute,
+  appendConditionalSx,
+  mergeIntoObject,
+};
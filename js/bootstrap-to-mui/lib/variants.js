@@ -0,0 +1,123 @@
+/**
+ * Variants de react-bootstrap con valor dinámico.
+ *
+ * Un ternario o un `&&` sobre literales (`variant={danger ? 'danger' :
+ * 'primary'}`) se traduce rama a rama. Cualquier otro valor
+ * (`variant={props.variant}`) se resuelve en tiempo de ejecución con las
+ * funciones de `templates/bsVariantToMui.js`, que se genera en la ruta de
+ * `--variant-helper-path` (por defecto `src/utils/bsVariantToMui.js`). Sus
+ * tablas se rellenan con VARIANT_MAP y SEVERITY_MAP, las mismas que usan las
+ * reglas para los variant literales.
+ */
+
+const { useLocalModule } = require('./local-modules');
+
+const DEFAULT_PATH = 'src/utils/bsVariantToMui.js';
+
+// variant de react-bootstrap → props de Button de MUI
+const VARIANT_MAP = {
+  primary: { variant: 'contained', color: 'primary' },
+  secondary: { variant: 'contained', color: 'secondary' },
+  success: { variant: 'contained', color: 'success' },
+  danger: { variant: 'contained', color: 'error' },
+  warning: { variant: 'contained', color: 'warning' },
+  info: { variant: 'contained', color: 'info' },
+  light: { variant: 'outlined', color: 'inherit' },
+  dark: { variant: 'contained', color: 'inherit' },
+  link: { variant: 'text', color: 'primary' },
+  'outline-primary': { variant: 'outlined', color: 'primary' },
+  'outline-secondary': { variant: 'outlined', color: 'secondary' },
+  'outline-success': { variant: 'outlined', color: 'success' },
+  'outline-danger': { variant: 'outlined', color: 'error' },
+  'outline-warning': { variant: 'outlined', color: 'warning' },
+  'outline-info': { variant: 'outlined', color: 'info' },
+  'outline-light': { variant: 'outlined', color: 'inherit' },
+  'outline-dark': { variant: 'outlined', color: 'inherit' },
+};
+
+// variant de react-bootstrap → severity de Alert (y de Toast con `bg`)
+const SEVERITY_MAP = {
+  primary: 'info',
+  secondary: 'info',
+  success: 'success',
+  danger: 'error',
+  warning: 'warning',
+  info: 'info',
+  light: 'info',
+  dark: 'info',
+};
+
+/**
+ * Código de un literal de objeto con los valores de `table` (cadenas u
+ * objetos planos de cadenas), con el formato de la plantilla.
+ */
+function formatTable(table) {
+  const key = name => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`);
+  const value = v => (typeof v === 'string'
+    ? `'${v}'`
+    : `{ ${Object.entries(v).map(([k, inner]) => `${key(k)}: ${value(inner)}`).join(', ')} }`);
+  const lines = Object.entries(table).map(([name, v]) => `  ${key(name)}: ${value(v)},`);
+  return `{\n${lines.join('\n')}\n}`;
+}
+
+/**
+ * Contenido del módulo generado: la plantilla con las tablas del codemod.
+ */
+function renderHelperModule(source) {
+  return source
+    .replace('__BUTTON_VARIANTS__', formatTable(VARIANT_MAP))
+    .replace('__ALERT_SEVERITIES__', formatTable(SEVERITY_MAP));
+}
+
+function isStringNode(node) {
+  return Boolean(node) && (node.type === 'StringLiteral' || (node.type === 'Literal' && typeof node.value === 'string'));
+}
+
+/**
+ * Traduce cada literal de `node` con `map(bsVariant)` y devuelve la
+ * expresión resultante, o null si alguna rama no es un literal o no tiene
+ * traducción. `map(undefined)` es el valor por defecto, el de la rama
+ * falsa de un `&&`. Si todas las ramas coinciden se devuelve un literal.
+ */
+function mapVariantBranches(j, node, map) {
+  if (!node) return null;
+  if (isStringNode(node)) {
+    const value = map(node.value);
+    return value === undefined ? null : j.stringLiteral(value);
+  }
+  if (node.type === 'ConditionalExpression') {
+    const consequent = mapVariantBranches(j, node.consequent, map);
+    const alternate = mapVariantBranches(j, node.alternate, map);
+    if (!consequent || !alternate) return null;
+    if (isStringNode(consequent) && isStringNode(alternate) && consequent.value === alternate.value) {
+      return consequent;
+    }
+    return j.conditionalExpression(node.test, consequent, alternate);
+  }
+  if (node.type === 'LogicalExpression' && node.operator === '&&') {
+    const right = mapVariantBranches(j, node.right, map);
+    const fallback = map(undefined);
+    if (!right || fallback === undefined) return null;
+    if (isStringNode(right) && right.value === fallback) return right;
+    return j.conditionalExpression(node.left, right, j.stringLiteral(fallback));
+  }
+  return null;
+}
+
+/**
+ * Importa la función `name` del módulo generado (creándolo si hace falta)
+ * y devuelve la llamada `name(argument)`.
+ */
+function variantHelperCall(ctx, name, argument) {
+  const { j } = ctx;
+  const local = ctx.imports.addNamed(name, useLocalModule(ctx, 'bsVariantToMui.js', 'variantHelperPath', DEFAULT_PATH, renderHelperModule));
+  return j.callExpression(j.identifier(local), [argument]);
+}
+
+module.exports = {
+  VARIANT_MAP,
+  SEVERITY_MAP,
+  renderHelperModule,
+  mapVariantBranches,
+  variantHelperCall,
+};
@@ -0,0 +1,260 @@
+/**
+ * Registro único de componentes React‑Bootstrap → Material UI.
+ *
+ * Fusiona las tablas de los codemods anteriores (`COMPONENT_MAP` y
+ * `SUBCOMPONENT_MAP` de bootstrap_mui_deep.js, `REPLACEMENTS` y
+ * `CARD_SUBCOMPONENTS` de react-bootstrap-to-mui_gpt.js y los `componentMap`
+ * de las variantes claude, gemini y manus). Cada clave es el nombre canónico
+ * en React‑Bootstrap; los subcomponentes usan la notación con punto
+ * (`Card.Body`). Cada entrada indica:
+ *  - `name`: componente MUI resultante.
+ *  - `import`: módulo desde el que se importa por defecto.
+ *  - `props`: props que se añaden al elemento convertido (opcional).
+ *  - `note`: aviso para el informe de migración cuando la traducción es solo
+ *    aproximada (opcional).
+ *
+ * Cuando las variantes discrepaban se eligió una sola traducción:
+ *  - Modal → Dialog (no Modal), porque Modal.Header/Body/Footer tienen
+ *    equivalente directo en DialogTitle/DialogContent/DialogActions.
+ *  - Form → Box component="form"; Form.Control/FormControl y Form.Select →
+ *    TextField (el Select de MUI se usa a través de `select`, para poder
+ *    recibir label y helperText). Ver rules/form.js.
+ *  - Nav → Box component="nav" (no Tabs ni Toolbar): Tabs exige `value`.
+ *  - Dropdown/DropdownButton/NavDropdown → Box con un Button y un Menu (no
+ *    Select); ver rules/dropdown.js.
+ *  - Tab de react-bootstrap → Tab de MUI (solo la cabecera) más un Box
+ *    role="tabpanel" por pestaña, en lugar de @mui/lab (TabContext/TabPanel),
+ *    para no añadir dependencias; ver rules/tabs.js.
+ *  - Accordion → Box y cada Accordion.Item → Accordion de MUI (un panel por
+ *    Accordion); ver rules/accordion.js.
+ *  - OverlayTrigger + Tooltip → Tooltip de MUI alrededor del mismo hijo;
+ *    OverlayTrigger + Popover → el hijo más un Popover con estado de ancla
+ *    (no Popper). Ver rules/overlay.js.
+ *  - Table → Table con TableHead/TableBody/TableRow/TableCell en lugar de
+ *    los thead/tbody/tr/td nativos, y `responsive` → TableContainer (sin
+ *    Paper salvo con `--table-paper`); ver rules/table.js.
+ *  - Carousel → componente Carousel local generado con MUI (MobileStepper
+ *    y Box) en lugar de una dependencia externa; ver rules/carousel.js.
+ *  - Card.Footer → CardActions (no Box).
+ *  - Badge → Chip: el Badge de Bootstrap es una etiqueta en línea; el Badge
+ *    de MUI es un indicador superpuesto a otro elemento.
+ *  - Button `secondary` → contained/secondary (ver rules/button.js).
+ */
+
+const MUI = '@mui/material';
+
+function mui(name, props, note) {
+  const entry = { name, import: `${MUI}/${name}` };
+  if (props) {
+    entry.props = props;
+  }
+  if (note) {
+    entry.note = note;
+  }
+  return entry;
+}
+
+const COMPONENT_MAP = {
+  // Componentes básicos
+  Alert: mui('Alert'),
+  'Alert.Heading': mui('AlertTitle'),
+  'Alert.Link': mui('Link', { color: 'inherit' }),
+  Badge: mui('Chip', { size: 'small' }),
+  Button: mui('Button'),
+  ButtonGroup: mui('ButtonGroup'),
+  CloseButton: mui('IconButton', { 'aria-label': 'close' }),
+  Collapse: mui('Collapse'),
+  Spinner: mui('CircularProgress'),
+  ProgressBar: mui('LinearProgress'),
+  Pagination: mui('Pagination'),
+  'Pagination.Item': mui('PaginationItem'),
+  'Pagination.First': mui('PaginationItem'),
+  'Pagination.Prev': mui('PaginationItem'),
+  'Pagination.Ellipsis': mui('PaginationItem'),
+  'Pagination.Next': mui('PaginationItem'),
+  'Pagination.Last': mui('PaginationItem'),
+  Tooltip: mui('Tooltip'),
+  Popover: mui('Popover'),
+  'Popover.Header': mui('Typography', {
+    variant: 'subtitle2',
+    component: 'div',
+    sx: { px: 2, py: 1, bgcolor: 'grey.100', borderBottom: 1, borderColor: 'divider' },
+  }),
+  'Popover.Body': mui('Typography', { variant: 'body2', component: 'div', sx: { p: 2 } }),
+  Toast: mui('Snackbar'),
+  'Toast.Header': mui('AlertTitle'),
+  'Toast.Body': mui('Box'),
+  Offcanvas: mui('Drawer'),
+  'Offcanvas.Header': mui('Box', { sx: { display: 'flex', alignItems: 'center', justifyContent: 'space-between', p: 2 } }),
+  'Offcanvas.Title': mui('Typography', { variant: 'h6', component: 'div' }),
+  'Offcanvas.Body': mui('Box', { sx: { p: 2, flexGrow: 1, overflowY: 'auto' } }),
+  Tabs: mui('Tabs'),
+  Tab: mui('Tab'),
+  'Tab.Container': mui('Box'),
+  'Tab.Content': mui('Box'),
+  'Tab.Pane': mui('Box', { role: 'tabpanel' }),
+  Accordion: mui('Box'),
+  'Accordion.Item': mui('Accordion'),
+  'Accordion.Header': mui('AccordionSummary'),
+  'Accordion.Body': mui('AccordionDetails'),
+  Table: mui('Table'),
+  Breadcrumb: mui('Breadcrumbs'),
+  'Breadcrumb.Item': mui('Link', { underline: 'hover', color: 'inherit' }),
+  ListGroup: mui('List'),
+  'ListGroup.Item': mui('ListItem'),
+  Image: mui('Box', { component: 'img' }),
+  Figure: mui('Box', { component: 'figure', sx: { display: 'inline-block', mx: 0, mt: 0, mb: 2 } }),
+  'Figure.Image': mui('Box', { component: 'img', sx: { mb: 1, lineHeight: 1 } }),
+  'Figure.Caption': mui('Typography', { variant: 'caption', component: 'figcaption', color: 'text.secondary' }),
+  Ratio: mui('Box'),
+
+  // Layout
+  Container: mui('Container'),
+  Row: mui('Grid'),
+  Col: mui('Grid'),
+  Stack: mui('Stack'),
+
+  // Card
+  Card: mui('Card'),
+  'Card.Body': mui('CardContent'),
+  'Card.Header': mui('CardHeader'),
+  'Card.Footer': mui('CardActions', null, 'CardActions está pensado para botones; revisar el contenido del pie.'),
+  'Card.Img': mui('CardMedia', { component: 'img' }),
+  'Card.ImgOverlay': mui('CardMedia', null, 'CardMedia no superpone contenido sobre la imagen.'),
+  'Card.Title': mui('Typography', { variant: 'h5', component: 'div' }),
+  'Card.Subtitle': mui('Typography', { variant: 'subtitle1', color: 'text.secondary' }),
+  'Card.Text': mui('Typography', { variant: 'body2', color: 'text.secondary' }),
+  'Card.Link': mui('Link'),
+
+  // Modal / Dialog
+  Modal: mui('Dialog'),
+  'Modal.Header': mui('DialogTitle'),
+  'Modal.Title': mui('DialogTitle'),
+  'Modal.Body': mui('DialogContent'),
+  'Modal.Footer': mui('DialogActions'),
+
+  // Navegación
+  Navbar: mui('AppBar', { position: 'static' }),
+  'Navbar.Brand': mui('Typography', { variant: 'h6', component: 'div' }),
+  'Navbar.Toggle': mui('IconButton', { color: 'inherit', 'aria-label': 'open navigation' }),
+  'Navbar.Collapse': mui('Box'),
+  'Navbar.Text': mui('Typography', { component: 'span', variant: 'body2' }),
+  Nav: mui('Box', { component: 'nav' }, 'Nav pasa a ser un contenedor <nav> sin estilos de pestañas ni pills.'),
+  'Nav.Item': mui('Box'),
+  'Nav.Link': mui('Button', { color: 'inherit' }, 'El estado activo (active/eventKey) no se traslada.'),
+  Dropdown: mui('Box'),
+  DropdownButton: mui('Box'),
+  NavDropdown: mui('Box'),
+  'Dropdown.Toggle': mui('Button'),
+  'Dropdown.Menu': mui('Menu'),
+  'Dropdown.Item': mui('MenuItem'),
+  'Dropdown.Divider': mui('Divider'),
+  'Dropdown.Header': mui('ListSubheader'),
+  'Dropdown.ItemText': mui('Typography', { component: 'span' }),
+  'NavDropdown.Item': mui('MenuItem'),
+  'NavDropdown.Divider': mui('Divider'),
+  'NavDropdown.Header': mui('ListSubheader'),
+  'NavDropdown.ItemText': mui('Typography', { component: 'span' }),
+
+  // Formularios
+  Form: mui('Box', { component: 'form' }),
+  'Form.Group': mui('Box'),
+  'Form.Label': mui('InputLabel'),
+  'Form.Text': mui('FormHelperText'),
+  'Form.Control': mui('TextField', { fullWidth: true }),
+  'Form.Control.Feedback': mui('FormHelperText', { error: true }),
+  'Form.Select': mui('TextField', { select: true, fullWidth: true }),
+  'Form.Check': mui('FormControlLabel'),
+  'Form.Switch': mui('FormControlLabel'),
+  'Form.Range': mui('Slider'),
+  'Form.Floating': mui('Box'),
+  FloatingLabel: mui('Box'),
+  InputGroup: mui('Box', { sx: { display: 'flex', alignItems: 'stretch' } }),
+  'InputGroup.Text': mui('InputAdornment', { position: 'start' }),
+};
+
+/**
+ * Exportaciones planas de react-bootstrap que equivalen a un subcomponente
+ * (`import { CardBody } from 'react-bootstrap'` ≡ `Card.Body`).
+ */
+const ALIASES = {
+  AlertHeading: 'Alert.Heading',
+  AlertLink: 'Alert.Link',
+  CardBody: 'Card.Body',
+  CardHeader: 'Card.Header',
+  CardFooter: 'Card.Footer',
+  CardImg: 'Card.Img',
+  CardImgOverlay: 'Card.ImgOverlay',
+  CardTitle: 'Card.Title',
+  CardSubtitle: 'Card.Subtitle',
+  CardText: 'Card.Text',
+  CardLink: 'Card.Link',
+  ModalHeader: 'Modal.Header',
+  ModalTitle: 'Modal.Title',
+  ModalBody: 'Modal.Body',
+  ModalFooter: 'Modal.Footer',
+  NavbarBrand: 'Navbar.Brand',
+  AccordionItem: 'Accordion.Item',
+  AccordionHeader: 'Accordion.Header',
+  AccordionBody: 'Accordion.Body',
+  AccordionCollapse: 'Accordion.Collapse',
+  AccordionButton: 'Accordion.Button',
+  PageItem: 'Pagination.Item',
+  FigureImage: 'Figure.Image',
+  FigureCaption: 'Figure.Caption',
+  CarouselItem: 'Carousel.Item',
+  CarouselCaption: 'Carousel.Caption',
+  PopoverHeader: 'Popover.Header',
+  PopoverBody: 'Popover.Body',
+  OffcanvasHeader: 'Offcanvas.Header',
+  OffcanvasTitle: 'Offcanvas.Title',
+  OffcanvasBody: 'Offcanvas.Body',
+  ToastHeader: 'Toast.Header',
+  ToastBody: 'Toast.Body',
+  TabContainer: 'Tab.Container',
+  TabContent: 'Tab.Content',
+  TabPane: 'Tab.Pane',
+  DropdownToggle: 'Dropdown.Toggle',
+  DropdownMenu: 'Dropdown.Menu',
+  DropdownItem: 'Dropdown.Item',
+  DropdownDivider: 'Dropdown.Divider',
+  DropdownHeader: 'Dropdown.Header',
+  DropdownItemText: 'Dropdown.ItemText',
+  NavbarToggle: 'Navbar.Toggle',
+  NavbarCollapse: 'Navbar.Collapse',
+  NavbarText: 'Navbar.Text',
+  NavItem: 'Nav.Item',
+  NavLink: 'Nav.Link',
+  BreadcrumbItem: 'Breadcrumb.Item',
+  ListGroupItem: 'ListGroup.Item',
+  FormGroup: 'Form.Group',
+  FormLabel: 'Form.Label',
+  FormText: 'Form.Text',
+  FormControl: 'Form.Control',
+  FormSelect: 'Form.Select',
+  FormCheck: 'Form.Check',
+  FormRange: 'Form.Range',
+  FormFloating: 'Form.Floating',
+};
+
+/**
+ * Devuelve el nombre canónico de un componente de react-bootstrap a partir
+ * del nombre importado y, opcionalmente, la ruta de subcomponente.
+ */
+function canonicalName(importedName, members = []) {
+  const base = ALIASES[importedName] || importedName;
+  return [base, ...members].join('.');
+}
+
+function lookup(component) {
+  return Object.prototype.hasOwnProperty.call(COMPONENT_MAP, component)
+    ? COMPONENT_MAP[component]
+    : null;
+}
+
+module.exports = {
+  COMPONENT_MAP,
+  ALIASES,
+  canonicalName,
+  lookup,
+};
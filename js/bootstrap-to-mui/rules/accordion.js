@@ -0,0 +1,246 @@
+/**
+ * Accordion → un Accordion de MUI por cada Accordion.Item.
+ *
+ * En react-bootstrap el Accordion es el contenedor y cada Accordion.Item un
+ * panel; en MUI cada panel es un Accordion independiente. Se genera:
+ *  - Accordion → Box (conserva className, id…).
+ *  - Accordion.Item → Accordion; Accordion.Header → AccordionSummary con
+ *    `expandIcon={<ExpandMoreIcon />}`; Accordion.Body → AccordionDetails.
+ *  - Con `alwaysOpen` los paneles se abren por separado: los que están en
+ *    `defaultActiveKey` llevan `defaultExpanded`.
+ *  - Sin `alwaysOpen` solo hay un panel abierto a la vez, así que se declara
+ *      const [expanded, setExpanded] = useState(defaultActiveKey);
+ *    y cada panel recibe `expanded`/`onChange`.
+ *  - `activeKey` + `onSelect` → `expanded`/`onChange` de cada panel.
+ *  - `flush` → `disableGutters`, `square` y `elevation={0}` en cada panel.
+ * Los Accordion.Item se buscan también dentro de expresiones
+ * (`items.map(item => <Accordion.Item …>)`).
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  createElement,
+  attributeExpression,
+  cloneNode,
+} = require('../lib/jsx');
+const { addStateHook, insideCallback, keepInCallback } = require('../lib/hooks');
+
+const FLUSH_PROPS = { disableGutters: true, square: true, elevation: 0 };
+
+/**
+ * Claves estáticas de `defaultActiveKey` (cadena o array de literales), o
+ * null si la expresión es dinámica.
+ */
+function staticKeys(j, expression) {
+  if (!expression) return [];
+  if (j.Literal.check(expression)) return [expression.value];
+  if (
+    expression.type === 'ArrayExpression' &&
+    expression.elements.every(element => element && j.Literal.check(element))
+  ) {
+    return expression.elements.map(element => element.value);
+  }
+  return null;
+}
+
+/**
+ * `[].concat(keys).includes(key)`: activeKey/defaultActiveKey pueden ser una
+ * clave o un array de claves con `alwaysOpen`.
+ */
+function includesKey(j, keys, key) {
+  const list = j.callExpression(
+    j.memberExpression(j.arrayExpression([]), j.identifier('concat')),
+    [cloneNode(keys)]
+  );
+  return j.callExpression(j.memberExpression(list, j.identifier('includes')), [cloneNode(key)]);
+}
+
+/**
+ * Nuevo valor de activeKey tras abrir o cerrar el panel `key`, para el
+ * onSelect de un Accordion controlado.
+ */
+function nextKeys(j, activeKey, key, alwaysOpen) {
+  const isExpanded = j.identifier('isExpanded');
+  if (!alwaysOpen) {
+    return j.conditionalExpression(isExpanded, cloneNode(key), j.nullLiteral());
+  }
+  const k = j.identifier('k');
+  return j.conditionalExpression(
+    isExpanded,
+    j.callExpression(
+      j.memberExpression(j.arrayExpression([]), j.identifier('concat')),
+      [cloneNode(activeKey), cloneNode(key)]
+    ),
+    j.callExpression(
+      j.memberExpression(
+        j.callExpression(j.memberExpression(j.arrayExpression([]), j.identifier('concat')), [cloneNode(activeKey)]),
+        j.identifier('filter')
+      ),
+      [j.arrowFunctionExpression([k], j.binaryExpression('!==', k, cloneNode(key)))]
+    )
+  );
+}
+
+/**
+ * Devuelve una función `key → props` con las props de estado de cada panel
+ * (`expanded`/`onChange` o `defaultExpanded`), según activeKey,
+ * defaultActiveKey, onSelect y alwaysOpen del Accordion.
+ */
+function panelState(ctx, path, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const alwaysOpenAttr = removeAttribute(opening, 'alwaysOpen');
+  const alwaysOpen = Boolean(alwaysOpenAttr) && getLiteralValue(j, alwaysOpenAttr) !== false;
+  if (alwaysOpenAttr && getLiteralValue(j, alwaysOpenAttr) === undefined) {
+    ctx.approximate(element, component, 'alwaysOpen dinámico: se trata como alwaysOpen', { todo: true });
+  }
+  const activeKey = attributeExpression(j, removeAttribute(opening, 'activeKey'));
+  const defaultKey = attributeExpression(j, removeAttribute(opening, 'defaultActiveKey'));
+  const onSelect = attributeExpression(j, removeAttribute(opening, 'onSelect'));
+  const event = j.identifier('event');
+  const isExpanded = j.identifier('isExpanded');
+
+  if (activeKey) {
+    if (!onSelect) {
+      ctx.approximate(element, component, 'activeKey sin onSelect: los paneles no se abren ni se cierran', { todo: true });
+    }
+    return key => ({
+      expanded: alwaysOpen
+        ? includesKey(j, activeKey, key)
+        : j.binaryExpression('===', cloneNode(activeKey), cloneNode(key)),
+      onChange: onSelect && j.arrowFunctionExpression(
+        [event, isExpanded],
+        j.callExpression(cloneNode(onSelect), [nextKeys(j, activeKey, key, alwaysOpen), event])
+      ),
+    });
+  }
+
+  const keys = staticKeys(j, defaultKey);
+  const defaultExpanded = key => {
+    if (keys === null) return { defaultExpanded: includesKey(j, defaultKey, key) };
+    return j.Literal.check(key) && keys.includes(key.value) ? { defaultExpanded: true } : {};
+  };
+  if (alwaysOpen) {
+    if (onSelect) {
+      ctx.approximate(
+        element,
+        component,
+        'onSelect con alwaysOpen y sin activeKey: usar el onChange de cada Accordion',
+        { todo: true }
+      );
+    }
+    return defaultExpanded;
+  }
+
+  const state = addStateHook(ctx, path, 'expanded', defaultKey ? cloneNode(defaultKey) : j.nullLiteral());
+  if (!state) {
+    ctx.approximate(
+      element,
+      component,
+      'No hay un componente de función donde declarar el panel abierto; los paneles se abren por separado',
+      { todo: true }
+    );
+    return defaultExpanded;
+  }
+  return key => {
+    const update = j.callExpression(j.identifier(state.setter), [
+      j.conditionalExpression(isExpanded, cloneNode(key), j.nullLiteral()),
+    ]);
+    const notify = onSelect &&
+      j.callExpression(cloneNode(onSelect), [
+        j.conditionalExpression(isExpanded, cloneNode(key), j.nullLiteral()),
+        event,
+      ]);
+    return {
+      expanded: j.binaryExpression('===', j.identifier(state.value), cloneNode(key)),
+      onChange: j.arrowFunctionExpression(
+        [event, isExpanded],
+        notify
+          ? j.blockStatement([j.expressionStatement(update), j.expressionStatement(notify)])
+          : update
+      ),
+    };
+  };
+}
+
+/**
+ * Accordion.Item → Accordion. `stateFor` es la función de panelState del
+ * Accordion que lo contiene, o null si el Item está suelto.
+ */
+function transformItem(ctx, item, component, stateFor, flush) {
+  const { j } = ctx;
+  const opening = item.openingElement;
+  const key = attributeExpression(j, removeAttribute(opening, 'eventKey'));
+  if (!stateFor) {
+    ctx.approximate(item, component, 'Accordion.Item fuera de un Accordion: añadir expanded/onChange', { todo: true });
+  } else if (!key) {
+    ctx.approximate(item, component, 'Accordion.Item sin eventKey: no se enlaza con el panel abierto', { todo: true });
+  } else {
+    Object.entries(stateFor(key)).forEach(([name, value]) => {
+      if (value) setAttribute(j, opening, name, value);
+    });
+  }
+  if (flush) {
+    Object.entries(FLUSH_PROPS).forEach(([name, value]) => {
+      if (!getAttribute(opening, name)) setAttribute(j, opening, name, value);
+    });
+  }
+  ctx.convert(item, component);
+}
+
+function transformHeader(ctx, header, component) {
+  const { j } = ctx;
+  ctx.dropProp(header, component, 'as', 'AccordionSummary no admite otro elemento de cabecera');
+  setAttribute(
+    j,
+    header.openingElement,
+    'expandIcon',
+    createElement(j, ctx.useComponent('ExpandMoreIcon', '@mui/icons-material/ExpandMore'))
+  );
+  ctx.convert(header, component);
+}
+
+function transformAccordion(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+
+  switch (component) {
+    case 'Accordion': {
+      const opening = element.openingElement;
+      const alwaysOpen = getAttribute(opening, 'alwaysOpen');
+      const single = !alwaysOpen || getLiteralValue(j, alwaysOpen) === false;
+      if (single && !getAttribute(opening, 'activeKey') && insideCallback(j, path)) {
+        keepInCallback(ctx, path, component, ['Accordion']);
+        return;
+      }
+      const flushAttr = removeAttribute(opening, 'flush');
+      const flush = Boolean(flushAttr) && getLiteralValue(j, flushAttr) !== false;
+      const as = removeAttribute(opening, 'as');
+      if (as) {
+        setAttribute(j, opening, 'component', attributeExpression(j, as));
+      }
+      const items = ctx.ownDescendants(path, 'Accordion.Item');
+      const stateFor = panelState(ctx, path, component);
+      items.forEach(item => transformItem(ctx, item, 'Accordion.Item', stateFor, flush));
+      ctx.convert(element, component);
+      break;
+    }
+    case 'Accordion.Item':
+      transformItem(ctx, element, component, null, false);
+      break;
+    case 'Accordion.Header':
+      transformHeader(ctx, element, component);
+      break;
+    default:
+      ctx.convert(element, component);
+  }
+}
+
+module.exports = {
+  components: ['Accordion', 'Accordion.Item', 'Accordion.Header', 'Accordion.Body'],
+  transform: transformAccordion,
+};
@@ -0,0 +1,45 @@
+/**
+ * Alert → Alert.
+ *
+ * Mapea `variant` a `severity`; un variant dinámico se traduce rama a rama
+ * o con el helper generado `bsVariantToSeverity` (ver lib/variants.js).
+ * `dismissible` desaparece: en MUI el botón de cierre aparece cuando se
+ * pasa `onClose`, que se conserva tal cual.
+ */
+
+const { getAttribute, getLiteralValue, removeAttribute, setAttribute, attributeExpression } = require('../lib/jsx');
+const { SEVERITY_MAP, mapVariantBranches, variantHelperCall } = require('../lib/variants');
+
+function transformAlert(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+
+  const variantAttr = getAttribute(opening, 'variant');
+  // Sin variant, react-bootstrap usa `primary`; el de MUI sería `success`
+  const bsVariant = variantAttr ? getLiteralValue(j, variantAttr) : 'primary';
+  if (SEVERITY_MAP[bsVariant]) {
+    removeAttribute(opening, 'variant');
+    setAttribute(j, opening, 'severity', SEVERITY_MAP[bsVariant]);
+  } else if (variantAttr && bsVariant === undefined) {
+    const expr = attributeExpression(j, variantAttr);
+    const severity = mapVariantBranches(j, expr, bs => SEVERITY_MAP[bs || 'primary']);
+    removeAttribute(opening, 'variant');
+    if (severity) {
+      setAttribute(j, opening, 'severity', severity);
+    } else {
+      setAttribute(j, opening, 'severity', variantHelperCall(ctx, 'bsVariantToSeverity', expr));
+      ctx.approximate(element, component, 'variant dinámico: se traduce en tiempo de ejecución con bsVariantToSeverity');
+    }
+  } else {
+    ctx.dropProp(element, component, 'variant', 'variant sin equivalente en MUI', { todo: true });
+  }
+  ctx.dropProp(element, component, 'dismissible', 'MUI muestra el botón de cierre cuando hay onClose');
+  ctx.convert(element, component);
+}
+
+module.exports = {
+  components: ['Alert'],
+  transform: transformAlert,
+  SEVERITY_MAP,
+};
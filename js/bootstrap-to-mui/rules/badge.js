@@ -0,0 +1,54 @@
+/**
+ * Badge → Chip.
+ *
+ * El texto del Badge pasa a la prop `label` y `bg` se traduce a `color`.
+ * `pill` no hace falta: Chip ya tiene los extremos redondeados.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  childrenToExpression,
+} = require('../lib/jsx');
+
+const COLOR_MAP = {
+  primary: 'primary',
+  secondary: 'secondary',
+  success: 'success',
+  danger: 'error',
+  warning: 'warning',
+  info: 'info',
+  light: 'default',
+  dark: 'default',
+};
+
+function transformBadge(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+
+  const bg = getLiteralValue(j, getAttribute(opening, 'bg'));
+  if (COLOR_MAP[bg]) {
+    removeAttribute(opening, 'bg');
+    setAttribute(j, opening, 'color', COLOR_MAP[bg]);
+  } else {
+    ctx.dropProp(element, component, 'bg', 'bg dinámico o sin equivalente en MUI', { todo: true });
+  }
+  ctx.dropProp(element, component, 'pill', 'Chip ya tiene los extremos redondeados');
+
+  const label = childrenToExpression(j, element.children || []);
+  if (label && !getAttribute(opening, 'label')) {
+    setAttribute(j, opening, 'label', label);
+  }
+  element.children = [];
+  opening.selfClosing = true;
+  element.closingElement = null;
+  ctx.convert(element, component);
+}
+
+module.exports = {
+  components: ['Badge'],
+  transform: transformBadge,
+};
@@ -0,0 +1,246 @@
+/**
+ * Button → Button.
+ *
+ * Mapea `variant`/`size` de react-bootstrap a `variant`/`color`/`size` de MUI.
+ * Si no hay props, los toma de las clases `btn-*` del className, que se
+ * eliminan; `btn-block` (o la prop `block`) → `fullWidth` y `btn-close` →
+ * IconButton de cierre. `as` → `component` (`href` lo admite el Button de
+ * MUI tal cual) y `active` → `aria-pressed` con el estilo de pulsado en `sx`.
+ * El variant por defecto de react-bootstrap es `primary`, así que un Button
+ * sin variant se convierte en `contained`. Un variant dinámico se traduce
+ * rama a rama o con el helper generado `bsVariantToMui` (ver
+ * lib/variants.js).
+ */
+
+const { getAttribute, getLiteralValue, removeAttribute, setAttribute, attributeExpression } = require('../lib/jsx');
+const { mergeSxAttribute } = require('../lib/sx');
+const { filterStaticClasses } = require('../lib/class-names');
+const { VARIANT_MAP, mapVariantBranches, variantHelperCall } = require('../lib/variants');
+const { convertCloseButton } = require('./close-button');
+
+const SIZE_MAP = { sm: 'small', lg: 'large' };
+
+/**
+ * Separa del className las clases de botón de Bootstrap: `btn`, el variant
+ * (`btn-primary`, `btn-outline-danger`), el tamaño (`btn-sm`, `btn-lg`),
+ * `btn-block` y `btn-close`. Las demás clases `btn-*` se dejan. En una
+ * plantilla o una llamada a clsx se leen de las partes estáticas
+ * (ver lib/class-names.js); `dynamic` indica que queda alguna pegada a una
+ * expresión (`btn-${variant}`) o mezclada con otras en una condición.
+ * Los argumentos de clsx condicionales que solo llevan un tamaño o un
+ * variant (`big && 'btn-lg'`, `danger ? 'btn-danger' : 'btn-primary'`) se
+ * quitan y se devuelven sin el prefijo en `sizeBranches`/`variantBranches`
+ * (`big && 'lg'`), para traducirlos rama a rama.
+ */
+function takeButtonClasses(j, opening) {
+  const classAttr = getAttribute(opening, 'className');
+  const classString = getLiteralValue(j, classAttr);
+  const classes = {};
+  const keep = c => {
+    const m = c.match(/^btn-(.+)$/);
+    if (c === 'btn') return false;
+    if (!m) return true;
+    if (SIZE_MAP[m[1]]) {
+      classes.size = m[1];
+    } else if (m[1] === 'block' || m[1] === 'close') {
+      classes[m[1]] = true;
+    } else if (VARIANT_MAP[m[1]]) {
+      classes.variant = classes.variant || m[1];
+    } else {
+      return true;
+    }
+    return false;
+  };
+
+  if (typeof classString !== 'string') {
+    const expr = classAttr && attributeExpression(j, classAttr);
+    const remaining = expr && filterStaticClasses(j, expr, keep);
+    if (remaining === undefined) return classes;
+    if (remaining && remaining.type === 'CallExpression') {
+      remaining.arguments = remaining.arguments.filter(arg => {
+        const branches = buttonClassBranches(j, arg);
+        if (!branches || classes[`${branches.kind}Branches`]) return true;
+        classes[`${branches.kind}Branches`] = branches.node;
+        return false;
+      });
+    }
+    // Una llamada sin argumentos se queda: convertClassNameExpression la elimina y poda el import
+    if (!remaining) {
+      removeAttribute(opening, 'className');
+    } else {
+      setAttribute(j, opening, 'className', remaining.type === 'StringLiteral' ? remaining.value : remaining);
+      const templates = remaining.type === 'TemplateLiteral' ? [remaining] : j(remaining).find(j.TemplateLiteral).nodes();
+      classes.dynamic =
+        templates.some(({ quasis }) =>
+          quasis.some((quasi, i) => i < quasis.length - 1 && /(^|\s)btn-[\w-]*$/.test(quasi.value.raw))
+        ) ||
+        (remaining.type === 'CallExpression' &&
+          remaining.arguments.some(arg =>
+            j(j.expressionStatement(arg))
+              .find(j.Literal)
+              .some(literal => typeof literal.node.value === 'string' && literal.node.value.split(/\s+/).some(isButtonClass))
+          ));
+    }
+    return classes;
+  }
+  const remaining = classString.split(/\s+/).filter(Boolean).filter(keep);
+  if (remaining.length > 0) {
+    setAttribute(j, opening, 'className', remaining.join(' '));
+  } else {
+    removeAttribute(opening, 'className');
+  }
+  return classes;
+}
+
+/**
+ * Indica si `token` es una de las clases de botón que se traducen a props.
+ */
+function isButtonClass(token) {
+  const m = token.match(/^btn-(.+)$/);
+  return Boolean(m) && Boolean(SIZE_MAP[m[1]] || VARIANT_MAP[m[1]] || m[1] === 'block' || m[1] === 'close');
+}
+
+/**
+ * Si un argumento de clsx es una condición cuyas ramas son solo un tamaño
+ * o solo un variant de botón, devuelve `{ kind, node }` con `kind` 'size' o
+ * 'variant' y las ramas sin el prefijo `btn-`; una rama vacía pasa a `&&`.
+ */
+function buttonClassBranches(j, arg) {
+  const kindOf = node => {
+    if (!node || !j.Literal.check(node) || typeof node.value !== 'string') return null;
+    const m = node.value.trim().match(/^btn-(\S+)$/);
+    if (!m) return node.value.trim() === '' ? 'empty' : null;
+    if (SIZE_MAP[m[1]]) return 'size';
+    return VARIANT_MAP[m[1]] ? 'variant' : null;
+  };
+  const strip = node => j.stringLiteral(node.value.trim().slice('btn-'.length));
+  if (arg.type === 'LogicalExpression' && arg.operator === '&&') {
+    const kind = kindOf(arg.right);
+    return kind && kind !== 'empty' ? { kind, node: j.logicalExpression('&&', arg.left, strip(arg.right)) } : null;
+  }
+  if (arg.type !== 'ConditionalExpression') return null;
+  const yes = kindOf(arg.consequent);
+  const no = kindOf(arg.alternate);
+  if (!yes || !no || (yes !== no && yes !== 'empty' && no !== 'empty') || yes === no && yes === 'empty') return null;
+  if (no === 'empty') return { kind: yes, node: j.logicalExpression('&&', arg.test, strip(arg.consequent)) };
+  if (yes === 'empty') {
+    return { kind: no, node: j.logicalExpression('&&', j.unaryExpression('!', arg.test), strip(arg.alternate)) };
+  }
+  return { kind: yes, node: j.conditionalExpression(arg.test, strip(arg.consequent), strip(arg.alternate)) };
+}
+
+/**
+ * Estilo del botón pulsado (.active): el tono oscuro del color en los
+ * botones rellenos y el fondo de selección en el resto.
+ */
+function activeSx(mapped) {
+  if (mapped && mapped.variant === 'contained' && mapped.color !== 'inherit') {
+    return { bgcolor: `${mapped.color}.dark` };
+  }
+  return { bgcolor: 'action.selected' };
+}
+
+/**
+ * `variant={expr}`: un ternario o `&&` sobre literales se traduce rama a
+ * rama (`variant="contained" color={danger ? 'error' : 'primary'}`); el
+ * resto se resuelve en tiempo de ejecución con `{...bsVariantToMui(expr)}`.
+ */
+function convertDynamicVariant(ctx, element, component, variantAttr) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const expr = attributeExpression(j, variantAttr);
+  const project = key => bs => (VARIANT_MAP[bs || 'primary'] || {})[key];
+  const variant = mapVariantBranches(j, expr, project('variant'));
+  const color = mapVariantBranches(j, expr, project('color'));
+  if (variant && color) {
+    removeAttribute(opening, 'variant');
+    setAttribute(j, opening, 'variant', variant);
+    setAttribute(j, opening, 'color', color);
+    return;
+  }
+  const index = opening.attributes.indexOf(variantAttr);
+  opening.attributes[index] = j.jsxSpreadAttribute(variantHelperCall(ctx, 'bsVariantToMui', expr));
+  ctx.approximate(element, component, 'variant dinámico: se traduce en tiempo de ejecución con bsVariantToMui');
+}
+
+/**
+ * Convierte un elemento con las props de un Button de react-bootstrap. Lo
+ * reutilizan otras reglas para botones generados (Dropdown.Toggle…).
+ */
+function convertButton(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+
+  const classes = takeButtonClasses(j, opening);
+  if (classes.dynamic) {
+    ctx.approximate(element, component, 'className con clases btn-* dinámicas: pasarlas a variant/size', { todo: true });
+  }
+  if (classes.close) {
+    ctx.dropProp(element, component, 'size', 'IconButton de cierre');
+    convertCloseButton(ctx, element, component);
+    return;
+  }
+
+  const variantAttr = getAttribute(opening, 'variant');
+  const sizeAttr = getAttribute(opening, 'size');
+  // Las props tienen prioridad sobre las clases `btn-*`
+  const bsVariant = variantAttr ? getLiteralValue(j, variantAttr) : classes.variant || 'primary';
+  const bsSize = sizeAttr ? getLiteralValue(j, sizeAttr) : classes.size;
+
+  const mapped = VARIANT_MAP[bsVariant];
+  // Un variant condicional en clsx se traduce rama a rama sobre el estático
+  const project = key => bs => (VARIANT_MAP[bs || bsVariant] || {})[key];
+  const branchVariant = !variantAttr && classes.variantBranches && {
+    variant: mapVariantBranches(j, classes.variantBranches, project('variant')),
+    color: mapVariantBranches(j, classes.variantBranches, project('color')),
+  };
+  if (branchVariant && branchVariant.variant && branchVariant.color) {
+    setAttribute(j, opening, 'variant', branchVariant.variant);
+    setAttribute(j, opening, 'color', branchVariant.color);
+  } else if (mapped) {
+    removeAttribute(opening, 'variant');
+    setAttribute(j, opening, 'variant', mapped.variant);
+    setAttribute(j, opening, 'color', mapped.color);
+  } else if (variantAttr && bsVariant === undefined) {
+    convertDynamicVariant(ctx, element, component, variantAttr);
+  } else {
+    ctx.dropProp(element, component, 'variant', 'variant sin equivalente en MUI', { todo: true });
+  }
+  const branchSize = !sizeAttr && classes.sizeBranches &&
+    mapVariantBranches(j, classes.sizeBranches, bs => SIZE_MAP[bs || bsSize] || 'medium');
+  if (branchSize) {
+    setAttribute(j, opening, 'size', branchSize);
+  } else if (SIZE_MAP[bsSize]) {
+    setAttribute(j, opening, 'size', SIZE_MAP[bsSize]);
+  } else {
+    ctx.dropProp(element, component, 'size', 'size dinámico o sin equivalente en MUI', { todo: true });
+  }
+  if (removeAttribute(opening, 'block') || classes.block) {
+    if (!getAttribute(opening, 'fullWidth')) setAttribute(j, opening, 'fullWidth', true);
+  }
+
+  const as = removeAttribute(opening, 'as');
+  if (as && getLiteralValue(j, as) !== 'button') {
+    setAttribute(j, opening, 'component', attributeExpression(j, as));
+  }
+
+  // `active` → aria-pressed, que además activa el estilo de pulsado
+  const active = removeAttribute(opening, 'active');
+  if (active && getLiteralValue(j, active) !== false) {
+    setAttribute(j, opening, 'aria-pressed', getLiteralValue(j, active) === true ? true : attributeExpression(j, active));
+    mergeSxAttribute(j, opening, { '&[aria-pressed="true"]': activeSx(mapped) });
+  }
+  ctx.convert(element, component);
+}
+
+function transformButton(path, ctx, component) {
+  convertButton(ctx, path.node, component);
+}
+
+module.exports = {
+  components: ['Button'],
+  transform: transformButton,
+  convertButton,
+  VARIANT_MAP,
+  SIZE_MAP,
+};
@@ -0,0 +1,99 @@
+/**
+ * Card y sus subcomponentes.
+ *
+ *  - Card: `bg`, `border` y `text` pasan a `sx`.
+ *  - Card.Header → CardHeader. CardHeader de MUI no renderiza children, así
+ *    que su contenido se mueve a la prop `title`.
+ *  - Card.Img → CardMedia component="img"; `variant="top|bottom"` se elimina.
+ *  - El resto (Body, Footer, Title, Text…) usa las props del registro.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  childrenToExpression,
+} = require('../lib/jsx');
+const { mergeSxAttribute } = require('../lib/sx');
+const { THEME_COLORS } = require('../lib/classes');
+
+/**
+ * Lee una prop de color (`bg`, `border`, `text`) y la elimina. Si el valor no
+ * es un color conocido, queda anotada en el informe.
+ */
+function takeColorProp(ctx, element, component, name, extra = {}) {
+  const { j } = ctx;
+  const attr = getAttribute(element.openingElement, name);
+  if (!attr) return undefined;
+  const value = getLiteralValue(j, attr);
+  if (THEME_COLORS[value] || extra[value]) {
+    removeAttribute(element.openingElement, name);
+    return extra[value] || THEME_COLORS[value];
+  }
+  ctx.dropProp(element, component, name, `${name} dinámico o sin equivalente en MUI`, { todo: true });
+  return undefined;
+}
+
+function transformCardRoot(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const sx = {};
+  const bg = takeColorProp(ctx, element, component, 'bg');
+  const border = takeColorProp(ctx, element, component, 'border');
+  const text = takeColorProp(ctx, element, component, 'text', {
+    white: 'common.white',
+    light: 'common.white',
+  });
+  if (bg) sx.bgcolor = bg;
+  if (border) {
+    sx.border = 1;
+    sx.borderColor = border;
+  }
+  if (text) sx.color = text;
+  mergeSxAttribute(j, opening, sx);
+  ctx.convert(element, component);
+}
+
+function transformCardHeader(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const title = childrenToExpression(j, element.children || []);
+  if (title && !getAttribute(opening, 'title')) {
+    setAttribute(j, opening, 'title', title);
+  }
+  element.children = [];
+  opening.selfClosing = true;
+  element.closingElement = null;
+  ctx.convert(element, component);
+}
+
+function transformCard(path, ctx, component) {
+  const element = path.node;
+  if (component === 'Card') {
+    transformCardRoot(ctx, element, component);
+  } else if (component === 'Card.Header') {
+    transformCardHeader(ctx, element, component);
+  } else {
+    if (component === 'Card.Img') {
+      ctx.dropProp(element, component, 'variant', 'CardMedia no distingue imagen superior/inferior');
+    }
+    ctx.convert(element, component);
+  }
+}
+
+module.exports = {
+  components: [
+    'Card',
+    'Card.Body',
+    'Card.Header',
+    'Card.Footer',
+    'Card.Img',
+    'Card.ImgOverlay',
+    'Card.Title',
+    'Card.Subtitle',
+    'Card.Text',
+    'Card.Link',
+  ],
+  transform: transformCard,
+};
@@ -0,0 +1,71 @@
+/**
+ * Carousel → componente Carousel local construido con MUI.
+ *
+ * MUI no tiene carrusel. La primera vez que aparece un Carousel se genera
+ * `templates/Carousel.jsx` en la ruta de `--carousel-path` (por defecto
+ * `src/components/Carousel.jsx`), un Box con desplazamiento horizontal,
+ * gestos táctiles, teclado y avance automático, y un MobileStepper con los
+ * indicadores y los controles. Acepta las mismas props que el de
+ * react-bootstrap (interval, indicators, controls, activeIndex/onSelect…) y
+ * expone Carousel.Item y Carousel.Caption, así que los usos solo cambian de
+ * importación. Se eliminan las props que el componente generado no admite.
+ */
+
+const { removeAttribute, renameElement } = require('../lib/jsx');
+const { useLocalModule } = require('../lib/local-modules');
+
+const DEFAULT_PATH = 'src/components/Carousel.jsx';
+
+const PARTS = { 'Carousel.Item': 'Item', 'Carousel.Caption': 'Caption' };
+
+/**
+ * Importa el Carousel generado (creándolo si hace falta) y devuelve su
+ * nombre local.
+ */
+function useCarousel(ctx) {
+  return ctx.useComponent('Carousel', useLocalModule(ctx, 'Carousel.jsx', 'carouselPath', DEFAULT_PATH));
+}
+
+function convertPart(ctx, element, component) {
+  const { j } = ctx;
+  const name = useCarousel(ctx);
+  const member = () => j.jsxMemberExpression(j.jsxIdentifier(name), j.jsxIdentifier(PARTS[component]));
+  element.openingElement.name = member();
+  if (element.closingElement) {
+    element.closingElement.name = member();
+  }
+  ctx.dropProp(element, component, 'as', 'Las diapositivas del carrusel generado son Box', { todo: true });
+  ctx.report.converted(element, component, `${name}.${PARTS[component]}`);
+  ctx.markConverted(element);
+}
+
+function transformCarousel(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  if (PARTS[component]) {
+    convertPart(ctx, element, component);
+    return;
+  }
+
+  const opening = element.openingElement;
+  if (removeAttribute(opening, 'fade')) {
+    ctx.approximate(element, component, 'fade: el carrusel generado se desplaza en lugar de fundir las diapositivas');
+  }
+  ctx.dropProp(element, component, 'slide', 'El carrusel generado siempre se desplaza');
+  ctx.dropProp(element, component, 'prevIcon', 'Cambiar el icono en el Carousel generado', { todo: true });
+  ctx.dropProp(element, component, 'nextIcon', 'Cambiar el icono en el Carousel generado', { todo: true });
+  ctx.dropProp(element, component, 'onSlide', 'El carrusel generado solo avisa con onSelect', { todo: true });
+  ctx.dropProp(element, component, 'onSlid', 'El carrusel generado solo avisa con onSelect', { todo: true });
+  ctx.dropProp(element, component, 'indicatorLabels', 'Los indicadores son los puntos del MobileStepper');
+  ctx.dropProp(element, component, 'as', 'El carrusel generado es un Box', { todo: true });
+
+  const name = useCarousel(ctx);
+  renameElement(j, element, name);
+  ctx.report.converted(element, component, name);
+  ctx.markConverted(element);
+}
+
+module.exports = {
+  components: ['Carousel', 'Carousel.Item', 'Carousel.Caption'],
+  transform: transformCarousel,
+};
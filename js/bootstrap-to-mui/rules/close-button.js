@@ -0,0 +1,31 @@
+/**
+ * CloseButton → IconButton con CloseIcon.
+ *
+ * También lo usa rules/button.js para los Button con la clase `btn-close`.
+ */
+
+const { createElement } = require('../lib/jsx');
+
+function convertCloseButton(ctx, element, component) {
+  const { j } = ctx;
+  ctx.dropProp(element, component, 'variant', 'El color del IconButton se controla con color/sx');
+  element.openingElement.selfClosing = false;
+  element.closingElement = j.jsxClosingElement(j.jsxIdentifier('CloseButton'));
+  element.children = [createElement(j, ctx.useComponent('CloseIcon', '@mui/icons-material/Close'))];
+  if (component === 'CloseButton') {
+    ctx.convert(element, component);
+  } else {
+    ctx.convert(element, component, 'IconButton');
+    ctx.addDefaultProps(element, { 'aria-label': 'close' });
+  }
+}
+
+function transformCloseButton(path, ctx, component) {
+  convertCloseButton(ctx, path.node, component);
+}
+
+module.exports = {
+  components: ['CloseButton'],
+  transform: transformCloseButton,
+  convertCloseButton,
+};
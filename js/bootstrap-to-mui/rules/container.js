@@ -0,0 +1,34 @@
+/**
+ * Container → Container.
+ *
+ * `fluid` se convierte en `maxWidth={false}` para ocupar todo el ancho.
+ * `fluid="md"` y similares (ancho completo hasta ese breakpoint) también se
+ * aproximan con `maxWidth={false}`.
+ */
+
+const { getAttribute, getLiteralValue, removeAttribute, setAttribute } = require('../lib/jsx');
+
+function transformContainer(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const fluidAttr = getAttribute(opening, 'fluid');
+  if (fluidAttr) {
+    const fluid = getLiteralValue(j, fluidAttr);
+    removeAttribute(opening, 'fluid');
+    if (fluid !== false) {
+      setAttribute(j, opening, 'maxWidth', false);
+    }
+    if (typeof fluid === 'string') {
+      ctx.approximate(element, component, `fluid="${fluid}" se convierte en ancho completo en todos los breakpoints`);
+    } else if (fluid === undefined) {
+      ctx.approximate(element, component, 'fluid dinámico se convierte en maxWidth={false}');
+    }
+  }
+  ctx.convert(element, component);
+}
+
+module.exports = {
+  components: ['Container'],
+  transform: transformContainer,
+};
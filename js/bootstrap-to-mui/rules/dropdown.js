@@ -0,0 +1,295 @@
+/**
+ * Dropdown / DropdownButton / NavDropdown → Button + Menu.
+ *
+ * El Menu de MUI es controlado: necesita el elemento que lo abre
+ * (`anchorEl`), `open` y `onClose`. Se añade al componente un
+ *   const [menuAnchor, setMenuAnchor] = useState(null);
+ * y se genera:
+ *  - Dropdown.Toggle (o el `title` de DropdownButton/NavDropdown) → Button
+ *    con `onClick` que guarda el ancla y el icono de desplegable.
+ *  - Dropdown.Menu → Menu con anchorEl/open/onClose; `drop` y `align` pasan
+ *    a anchorOrigin/transformOrigin.
+ *  - Dropdown.Item → MenuItem; `href` → `component="a"`, `active` →
+ *    `selected`, y el `onSelect(eventKey)` del Dropdown se llama desde el
+ *    `onClick` de cada opción, que además cierra el menú.
+ *  - Divider/Header/ItemText → Divider, ListSubheader y Typography.
+ * El contenedor queda como un Box.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  createElement,
+  childElements,
+  isBlankText,
+  attributeExpression,
+  invoke,
+} = require('../lib/jsx');
+const { addStateHook, insideCallback, keepInCallback } = require('../lib/hooks');
+const { convertButton } = require('./button');
+
+const MENU_PARTS = ['Item', 'Divider', 'Header', 'ItemText'];
+
+// Props de DropdownButton que van al botón generado
+const BUTTON_PROPS = ['id', 'variant', 'size', 'disabled', 'href', 'type'];
+
+// Props de Bootstrap que no afectan a MUI (posicionamiento con Popper, etc.)
+const IGNORED_MENU_PROPS = ['flip', 'popperConfig', 'renderOnMount', 'rootCloseEvent', 'show', 'menuRole'];
+
+/**
+ * anchorOrigin/transformOrigin equivalentes a `drop` y `align`.
+ */
+function menuOrigins(drop = 'down', align) {
+  const centered = /-centered$/.test(drop);
+  const direction = drop.replace(/-centered$/, '');
+  let horizontal = align === 'end' ? 'right' : 'left';
+  if (centered) horizontal = 'center';
+  switch (direction) {
+    case 'up':
+      return {
+        anchorOrigin: { vertical: 'top', horizontal },
+        transformOrigin: { vertical: 'bottom', horizontal },
+      };
+    case 'end':
+      return {
+        anchorOrigin: { vertical: 'top', horizontal: 'right' },
+        transformOrigin: { vertical: 'top', horizontal: 'left' },
+      };
+    case 'start':
+      return {
+        anchorOrigin: { vertical: 'top', horizontal: 'left' },
+        transformOrigin: { vertical: 'top', horizontal: 'right' },
+      };
+    default:
+      if (horizontal === 'left') return null;
+      return {
+        anchorOrigin: { vertical: 'bottom', horizontal },
+        transformOrigin: { vertical: 'top', horizontal },
+      };
+  }
+}
+
+/**
+ * `onClick` de una opción: el onClick original, el onSelect del Dropdown
+ * con su eventKey y el cierre del menú.
+ */
+function itemClickHandler(j, { onClick, onSelect, eventKey, close }) {
+  const event = j.identifier('event');
+  const calls = [];
+  if (onClick) calls.push(invoke(j, onClick, [event]));
+  if (onSelect && eventKey) calls.push(j.callExpression(onSelect, [eventKey, event]));
+  if (close) calls.push(close());
+  if (calls.length === 0) return null;
+  const usesEvent = Boolean(onClick && calls[0].type === 'CallExpression') || Boolean(onSelect && eventKey);
+  const params = usesEvent ? [event] : [];
+  if (calls.length === 1) return j.arrowFunctionExpression(params, calls[0]);
+  return j.arrowFunctionExpression(
+    params,
+    j.blockStatement(calls.map(call => j.expressionStatement(call)))
+  );
+}
+
+function convertItem(ctx, item, component, menu) {
+  const { j } = ctx;
+  const opening = item.openingElement;
+  const part = component.slice(component.lastIndexOf('.') + 1);
+
+  if (part === 'ItemText') {
+    setAttribute(j, opening, 'sx', { display: 'block', px: 2, py: 0.75 });
+  }
+  if (part !== 'Item') {
+    ctx.convert(item, component);
+    return;
+  }
+
+  const as = removeAttribute(opening, 'as');
+  const href = getAttribute(opening, 'href');
+  if (as) {
+    setAttribute(j, opening, 'component', attributeExpression(j, as));
+  } else if (href) {
+    setAttribute(j, opening, 'component', 'a');
+  }
+  const active = removeAttribute(opening, 'active');
+  if (active) {
+    active.name = j.jsxIdentifier('selected');
+    opening.attributes.push(active);
+  }
+  // Como en react-bootstrap, sin eventKey se usa el href
+  const eventKey = attributeExpression(j, removeAttribute(opening, 'eventKey')) ||
+    (href && attributeExpression(j, href));
+  const onClick = attributeExpression(j, removeAttribute(opening, 'onClick'));
+  const handler = itemClickHandler(j, { onClick, eventKey, ...menu });
+  if (handler) {
+    setAttribute(j, opening, 'onClick', handler);
+  }
+  ctx.convert(item, component);
+}
+
+function convertToggle(ctx, toggle, component, openMenu, { inherit = false } = {}) {
+  const { j } = ctx;
+  const opening = toggle.openingElement;
+  ctx.dropProp(toggle, component, 'split', 'MUI no tiene botón partido; usar ButtonGroup con dos Button', { todo: true });
+  ctx.dropProp(toggle, component, 'as', 'Toggle personalizado: pasar el onClick generado a ese componente', { todo: true });
+  ctx.dropProp(toggle, component, 'childBsPrefix', 'Sin equivalente en MUI');
+  if (openMenu) {
+    ctx.dropProp(toggle, component, 'onClick', 'El botón abre el Menu', { todo: true });
+    setAttribute(j, opening, 'onClick', openMenu);
+  }
+  setAttribute(j, opening, 'aria-haspopup', 'true');
+  setAttribute(
+    j,
+    opening,
+    'endIcon',
+    createElement(j, ctx.useComponent('ArrowDropDownIcon', '@mui/icons-material/ArrowDropDown'))
+  );
+  if (inherit) {
+    setAttribute(j, opening, 'color', 'inherit');
+    ctx.convert(toggle, component);
+  } else {
+    convertButton(ctx, toggle, component);
+  }
+}
+
+/**
+ * Botón generado a partir de `title` (y de las props de botón) de
+ * DropdownButton y NavDropdown.
+ */
+function buildToggle(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const title = removeAttribute(opening, 'title');
+  let children = [];
+  if (title) {
+    const value = getLiteralValue(j, title);
+    children = typeof value === 'string'
+      ? [j.jsxText(value)]
+      : [j.jsxExpressionContainer(attributeExpression(j, title))];
+  } else {
+    ctx.approximate(element, component, `${component} sin title: el botón queda vacío`, { todo: true });
+  }
+  const moved = component === 'DropdownButton' ? BUTTON_PROPS : ['id', 'disabled'];
+  const attributes = opening.attributes.filter(
+    a => a.type === 'JSXAttribute' && moved.includes(a.name.name)
+  );
+  opening.attributes = opening.attributes.filter(a => !attributes.includes(a));
+  return j.jsxElement(
+    j.jsxOpeningElement(j.jsxIdentifier('Button'), attributes),
+    j.jsxClosingElement(j.jsxIdentifier('Button')),
+    children
+  );
+}
+
+function transformDropdown(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const prefix = component === 'NavDropdown' ? 'NavDropdown' : 'Dropdown';
+
+  if (insideCallback(j, path)) {
+    keepInCallback(ctx, path, component, ['Dropdown', 'NavDropdown']);
+    return;
+  }
+
+  let toggle;
+  let menu;
+  if (component === 'Dropdown') {
+    const kids = childElements(element).map(node => ({ node, component: ctx.resolve(node) }));
+    toggle = kids.find(k => k.component === 'Dropdown.Toggle');
+    menu = kids.find(k => k.component === 'Dropdown.Menu');
+    if (!toggle || !menu) {
+      ctx.convert(element, component);
+      ctx.approximate(element, component, 'Dropdown sin Dropdown.Toggle y Dropdown.Menu: crear el Menu a mano', { todo: true });
+      return;
+    }
+    toggle = toggle.node;
+    menu = menu.node;
+  }
+
+  const drop = getLiteralValue(j, getAttribute(opening, 'drop'));
+  const align = getLiteralValue(j, getAttribute(opening, 'align'));
+  if ((getAttribute(opening, 'drop') && typeof drop !== 'string') || (getAttribute(opening, 'align') && typeof align !== 'string')) {
+    ctx.approximate(element, component, 'drop/align dinámicos: ajustar anchorOrigin y transformOrigin', { todo: true });
+  }
+  removeAttribute(opening, 'drop');
+  removeAttribute(opening, 'align');
+  const autoClose = getLiteralValue(j, removeAttribute(opening, 'autoClose'));
+  const onSelect = attributeExpression(j, removeAttribute(opening, 'onSelect'));
+  ctx.dropProp(element, component, 'show', 'El Menu se abre con el estado generado', { todo: true });
+  ctx.dropProp(element, component, 'onToggle', 'El Menu se abre con el estado generado', { todo: true });
+  ctx.dropProp(element, component, 'menuVariant', 'Usar el tema o sx para un menú oscuro');
+  ctx.dropProp(element, component, 'as', 'El contenedor pasa a ser un Box', { todo: true });
+
+  const state = addStateHook(ctx, path, 'menuAnchor', j.nullLiteral());
+  if (!state) {
+    ctx.approximate(
+      element,
+      component,
+      'No hay un componente de función donde declarar el estado del Menu; añadir anchorEl/open/onClose',
+      { todo: true }
+    );
+  }
+  const setAnchor = value => j.callExpression(j.identifier(state.setter), [value]);
+  const openMenu = state &&
+    j.arrowFunctionExpression(
+      [j.identifier('event')],
+      setAnchor(j.memberExpression(j.identifier('event'), j.identifier('currentTarget')))
+    );
+  const close = state && (() => setAnchor(j.nullLiteral()));
+
+  if (component !== 'Dropdown') {
+    toggle = buildToggle(ctx, element, component);
+    menu = j.jsxElement(
+      j.jsxOpeningElement(j.jsxIdentifier('Menu'), []),
+      j.jsxClosingElement(j.jsxIdentifier('Menu')),
+      element.children || []
+    );
+    const children = element.children || [];
+    const lead = children.length && isBlankText(children[0]) ? children[0].value : '\n';
+    const trail = children.length && isBlankText(children[children.length - 1])
+      ? children[children.length - 1].value
+      : '\n';
+    element.children = [j.jsxText(lead), toggle, j.jsxText(lead), menu, j.jsxText(trail)];
+  }
+  convertToggle(ctx, toggle, 'Dropdown.Toggle', openMenu, { inherit: component === 'NavDropdown' });
+
+  const menuOpening = menu.openingElement;
+  IGNORED_MENU_PROPS.forEach(prop => removeAttribute(menuOpening, prop));
+  ['align', 'variant'].forEach(prop => {
+    ctx.dropProp(menu, 'Dropdown.Menu', prop, 'La posición y el tema del Menu se configuran con anchorOrigin y el tema');
+  });
+  if (state) {
+    setAttribute(j, menuOpening, 'anchorEl', j.identifier(state.value));
+    setAttribute(j, menuOpening, 'open', j.callExpression(j.identifier('Boolean'), [j.identifier(state.value)]));
+    setAttribute(j, menuOpening, 'onClose', j.arrowFunctionExpression([], close()));
+  } else {
+    setAttribute(j, menuOpening, 'open', false);
+  }
+  const origins = menuOrigins(drop, align);
+  if (origins) {
+    setAttribute(j, menuOpening, 'anchorOrigin', origins.anchorOrigin);
+    setAttribute(j, menuOpening, 'transformOrigin', origins.transformOrigin);
+  }
+
+  const closeOnSelect = autoClose !== false && autoClose !== 'outside';
+  j(menu)
+    .find(j.JSXElement)
+    .forEach(child => {
+      const part = ctx.resolve(child.node);
+      if (part && MENU_PARTS.some(name => part === `${prefix}.${name}`)) {
+        convertItem(ctx, child.node, part, { onSelect, close: closeOnSelect ? close : null });
+      }
+    });
+  ctx.convert(menu, 'Dropdown.Menu');
+
+  ctx.convert(element, component);
+  if (!(element.children || []).every(c => c === toggle || c === menu || isBlankText(c))) {
+    ctx.approximate(element, component, 'Contenido adicional en el Dropdown: revisar su posición respecto al Menu');
+  }
+}
+
+module.exports = {
+  components: ['Dropdown', 'DropdownButton', 'NavDropdown'],
+  transform: transformDropdown,
+};
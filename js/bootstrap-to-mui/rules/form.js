@@ -0,0 +1,582 @@
+/**
+ * Familia Form de react-bootstrap → controles de formulario de MUI.
+ *
+ *  - Form.Control → TextField (`as="textarea"` → `multiline`) y
+ *    Form.Select → TextField `select` con las `<option>` pasadas a MenuItem.
+ *  - Form.Group con un único campo se compone en un solo TextField: el
+ *    Form.Label pasa a `label`, Form.Text a `helperText`, `controlId` a `id`
+ *    e `isInvalid` + Form.Control.Feedback a `error`/`helperText`. Si la
+ *    estructura no encaja, el grupo queda como Box y `controlId` se reparte
+ *    en `htmlFor` de la etiqueta e `id` del campo.
+ *  - FloatingLabel / Form.Floating → la prop `label` del TextField, que en
+ *    MUI ya es flotante.
+ *  - InputGroup con un único campo → TextField con InputGroup.Text (y los
+ *    botones) como InputAdornment en `InputProps`.
+ *  - Form.Check / Form.Switch → FormControlLabel con Checkbox, Radio o
+ *    Switch en `control`; sin `label`, solo el control.
+ *  - Form.Range → Slider.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  createElement,
+  childElements,
+  isBlankText,
+  childrenToExpression,
+  replaceChild,
+  attributeExpression,
+} = require('../lib/jsx');
+const { mergeIntoObject } = require('../lib/sx');
+
+const FIELD_COMPONENTS = ['Form.Control', 'Form.Select'];
+const CHECK_COMPONENTS = ['Form.Check', 'Form.Switch'];
+
+const CHECK_CONTROLS = { checkbox: 'Checkbox', radio: 'Radio', switch: 'Switch' };
+
+// Props de Form.Check que pertenecen al input y no a la etiqueta
+const CHECK_INPUT_PROPS = ['checked', 'defaultChecked', 'onChange', 'name', 'value', 'id', 'required', 'inputRef'];
+
+// Props de Form.Label para formularios horizontales (`<Form.Label column sm={2}>`)
+const LABEL_COLUMN_PROPS = ['column', 'xs', 'sm', 'md', 'lg', 'xl', 'xxl'];
+
+const NUMERIC_RANGE_PROPS = ['min', 'max', 'step', 'value', 'defaultValue'];
+
+/**
+ * Hijos JSXElement con su nombre canónico, o null si hay hijos que no son
+ * elementos (texto o expresiones) y por tanto la estructura no se puede
+ * recomponer con seguridad.
+ */
+function describeChildren(ctx, element) {
+  const hasLooseContent = (element.children || []).some(
+    c => c.type !== 'JSXElement' && !isBlankText(c)
+  );
+  if (hasLooseContent) return null;
+  return childElements(element).map(node => ({ node, component: ctx.resolve(node) }));
+}
+
+/**
+ * Quita un hijo de `parent` junto con el texto en blanco que le precede.
+ */
+function removeChild(parent, child) {
+  const index = parent.children.indexOf(child);
+  if (index === -1) return;
+  const previous = parent.children[index - 1];
+  const from = previous && isBlankText(previous) ? index - 1 : index;
+  parent.children.splice(from, index - from + 1);
+}
+
+/**
+ * Añade entradas a `InputProps` (las que ya existan en el código se
+ * respetan). Si `InputProps` es una expresión dinámica no se toca y se deja
+ * un TODO.
+ */
+function mergeInputProps(ctx, element, component, props) {
+  const { j } = ctx;
+  if (Object.keys(props).length === 0) return;
+  const opening = element.openingElement;
+  const attr = getAttribute(opening, 'InputProps');
+  if (!attr) {
+    setAttribute(j, opening, 'InputProps', j.objectExpression([]));
+  }
+  const expression = attributeExpression(j, getAttribute(opening, 'InputProps'));
+  if (expression.type !== 'ObjectExpression') {
+    ctx.approximate(
+      element,
+      component,
+      `Añadir ${Object.keys(props).join(', ')} al InputProps existente`,
+      { todo: true }
+    );
+    return;
+  }
+  mergeIntoObject(j, expression, props);
+}
+
+/**
+ * `<option>` → MenuItem. Una opción sin `value` usa su texto, igual que el
+ * `<select>` nativo; `<optgroup>` se aplana en un ListSubheader seguido de
+ * sus opciones, porque Select de MUI no admite grupos anidados.
+ */
+function convertOptions(ctx, select, component) {
+  const { j } = ctx;
+  (select.children || []).slice().forEach(child => {
+    if (child.type !== 'JSXElement' || child.openingElement.name.type !== 'JSXIdentifier') return;
+    if (child.openingElement.name.name === 'optgroup') {
+      const labelAttr = getAttribute(child.openingElement, 'label');
+      const label = getLiteralValue(j, labelAttr);
+      const labelChildren = typeof label === 'string'
+        ? [j.jsxText(label)]
+        : [j.jsxExpressionContainer(attributeExpression(j, labelAttr))];
+      const subheader = createElement(j, ctx.useComponent('ListSubheader'), {}, labelAttr ? labelChildren : []);
+      replaceChild(select, child, [subheader, ...(child.children || []).filter(c => !isBlankText(c))]);
+    }
+  });
+  j(select)
+    .find(j.JSXElement, { openingElement: { name: { type: 'JSXIdentifier', name: 'option' } } })
+    .forEach(path => {
+      const option = path.node;
+      const opening = option.openingElement;
+      if (!getAttribute(opening, 'value')) {
+        const text = childrenToExpression(j, option.children || []);
+        if (text && j.Literal.check(text)) {
+          setAttribute(j, opening, 'value', text.value);
+        } else {
+          ctx.approximate(select, component, '<option> sin value: añadir value al MenuItem', { todo: true });
+        }
+      }
+      if (removeAttribute(opening, 'selected')) {
+        ctx.approximate(select, component, 'selected en <option>: usar value/defaultValue en el Select');
+      }
+      const menuItem = ctx.useComponent('MenuItem');
+      opening.name = j.jsxIdentifier(menuItem);
+      if (option.closingElement) {
+        option.closingElement.name = j.jsxIdentifier(menuItem);
+      }
+    });
+}
+
+/**
+ * Convierte un Form.Control/Form.Select en TextField. `extra` aporta lo que
+ * se recoge de los elementos que lo rodean:
+ *  - `id`, `label`, `helperText`, `feedback`: nodos de expresión.
+ *  - `size`: tamaño de un InputGroup.
+ *  - `startAdornment`, `endAdornment`: nodos JSX para InputProps.
+ */
+function toTextField(ctx, element, component, extra = {}) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const inputProps = {};
+
+  if (component === 'Form.Select') {
+    convertOptions(ctx, element, component);
+    const multiple = removeAttribute(opening, 'multiple');
+    if (multiple) {
+      setAttribute(
+        j,
+        opening,
+        'SelectProps',
+        j.objectExpression([j.objectProperty(j.identifier('multiple'), attributeExpression(j, multiple))])
+      );
+    }
+  } else {
+    const as = getAttribute(opening, 'as');
+    if (getLiteralValue(j, as) === 'textarea') {
+      removeAttribute(opening, 'as');
+      setAttribute(j, opening, 'multiline', true);
+      if (!getAttribute(opening, 'rows')) {
+        setAttribute(j, opening, 'minRows', 2);
+      }
+    } else if (as && getLiteralValue(j, as) !== 'input') {
+      ctx.dropProp(element, component, 'as', 'TextField solo admite input y textarea (multiline)', { todo: true });
+    } else {
+      removeAttribute(opening, 'as');
+    }
+  }
+
+  const readOnly = removeAttribute(opening, 'readOnly');
+  if (readOnly) {
+    inputProps.readOnly = attributeExpression(j, readOnly);
+  }
+  const plaintext = getAttribute(opening, 'plaintext');
+  if (plaintext) {
+    removeAttribute(opening, 'plaintext');
+    setAttribute(j, opening, 'variant', 'standard');
+    inputProps.readOnly = j.booleanLiteral(true);
+    inputProps.disableUnderline = j.booleanLiteral(true);
+  }
+  const htmlSize = removeAttribute(opening, 'htmlSize');
+  if (htmlSize) {
+    setAttribute(
+      j,
+      opening,
+      'inputProps',
+      j.objectExpression([j.objectProperty(j.identifier('size'), attributeExpression(j, htmlSize))])
+    );
+  }
+
+  const isInvalid = removeAttribute(opening, 'isInvalid');
+  if (isInvalid) {
+    isInvalid.name = j.jsxIdentifier('error');
+    opening.attributes.push(isInvalid);
+  }
+  if (getAttribute(opening, 'isValid')) {
+    const isValid = getLiteralValue(j, getAttribute(opening, 'isValid'));
+    removeAttribute(opening, 'isValid');
+    if (isValid === true) {
+      setAttribute(j, opening, 'color', 'success');
+      setAttribute(j, opening, 'focused', true);
+    }
+    ctx.approximate(element, component, 'isValid se aproxima con color="success"; TextField no tiene estado válido');
+  }
+
+  const size = extra.size || getLiteralValue(j, getAttribute(opening, 'size'));
+  if (size === 'sm') {
+    setAttribute(j, opening, 'size', 'small');
+  } else if (getAttribute(opening, 'size')) {
+    ctx.dropProp(element, component, 'size', 'TextField solo tiene los tamaños small y medium');
+  }
+
+  if (extra.id && !getAttribute(opening, 'id')) {
+    setAttribute(j, opening, 'id', extra.id);
+  }
+  if (extra.label) {
+    setAttribute(j, opening, 'label', extra.label);
+  }
+  const helperText = buildHelperText(ctx, element, component, extra);
+  if (helperText) {
+    setAttribute(j, opening, 'helperText', helperText);
+  }
+  if (extra.startAdornment) inputProps.startAdornment = extra.startAdornment;
+  if (extra.endAdornment) inputProps.endAdornment = extra.endAdornment;
+  mergeInputProps(ctx, element, component, inputProps);
+
+  ctx.convert(element, component);
+}
+
+/**
+ * `helperText` a partir de Form.Text y Form.Control.Feedback: el feedback
+ * solo se muestra cuando el campo tiene `error`.
+ */
+function buildHelperText(ctx, element, component, { helperText, feedback }) {
+  const { j } = ctx;
+  if (!feedback) return helperText || null;
+  const error = getAttribute(element.openingElement, 'error');
+  if (!error) {
+    ctx.approximate(
+      element,
+      component,
+      'Form.Control.Feedback dependía de la validación del formulario; enlazarlo con la prop error',
+      { todo: true }
+    );
+    return helperText || null;
+  }
+  const errorValue = getLiteralValue(j, error);
+  if (errorValue === true) return feedback;
+  if (errorValue === false) return helperText || null;
+  return j.conditionalExpression(
+    attributeExpression(j, error),
+    feedback,
+    helperText || j.identifier('undefined')
+  );
+}
+
+function labelExpression(ctx, label) {
+  const { j } = ctx;
+  const opening = label.openingElement;
+  [...LABEL_COLUMN_PROPS, 'htmlFor'].forEach(prop => removeAttribute(opening, prop));
+  if (getAttribute(opening, 'visuallyHidden')) return null;
+  return childrenToExpression(j, label.children || []);
+}
+
+/**
+ * Form.Group con Form.Label, un único campo, Form.Text y
+ * Form.Control.Feedback → un solo TextField dentro de un Box.
+ */
+function composeGroup(ctx, group, kids, controlId) {
+  const { j } = ctx;
+  const fields = kids.filter(k => FIELD_COMPONENTS.includes(k.component));
+  const labels = kids.filter(k => k.component === 'Form.Label');
+  const texts = kids.filter(k => k.component === 'Form.Text');
+  const feedbacks = kids.filter(k => k.component === 'Form.Control.Feedback');
+  const known = fields.length + labels.length + texts.length + feedbacks.length;
+  if (fields.length !== 1 || labels.length > 1 || texts.length > 1 || feedbacks.length > 1 || known !== kids.length) {
+    return false;
+  }
+  const field = fields[0];
+  const extra = { id: controlId };
+  if (labels.length) {
+    extra.label = labelExpression(ctx, labels[0].node);
+    if (!extra.label) {
+      ctx.approximate(field.node, field.component, 'Etiqueta visuallyHidden: añadir inputProps={{ \'aria-label\': … }}', { todo: true });
+    }
+  }
+  if (texts.length) {
+    extra.helperText = childrenToExpression(j, texts[0].node.children || []);
+  }
+  if (feedbacks.length) {
+    extra.feedback = childrenToExpression(j, feedbacks[0].node.children || []);
+  }
+  [...labels, ...texts, ...feedbacks].forEach(({ node }) => {
+    ctx.consume(node);
+    removeChild(group, node);
+  });
+  toTextField(ctx, field.node, field.component, extra);
+  return true;
+}
+
+/**
+ * Form.Group sin un único campo: `controlId` se reparte entre etiquetas y
+ * campos. Con checks el grupo pasa a FormGroup y la etiqueta a FormLabel.
+ */
+function transformGroup(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const controlIdAttr = removeAttribute(opening, 'controlId');
+  const controlId = attributeExpression(j, controlIdAttr);
+  ctx.dropProp(element, component, 'as', 'El grupo se convierte en Box; revisar el layout (Row/Col)', { todo: true });
+
+  const kids = describeChildren(ctx, element) || [];
+  const checks = kids.filter(k => CHECK_COMPONENTS.includes(k.component));
+
+  if (checks.length > 0 && !kids.some(k => FIELD_COMPONENTS.includes(k.component))) {
+    if (checks.every(k => getAttribute(k.node.openingElement, 'inline'))) {
+      setAttribute(j, opening, 'row', true);
+    }
+    if (controlId && checks.length === 1 && !getAttribute(checks[0].node.openingElement, 'id')) {
+      setAttribute(j, checks[0].node.openingElement, 'id', controlId);
+    }
+    kids
+      .filter(k => k.component === 'Form.Label')
+      .forEach(({ node }) => {
+        labelExpression(ctx, node);
+        ctx.convert(node, 'Form.Label', 'FormLabel');
+      });
+    ctx.convert(element, component, 'FormGroup');
+    return;
+  }
+
+  if (!composeGroup(ctx, element, kids, controlId) && controlId) {
+    kids.forEach(({ node, component: child }) => {
+      const childOpening = node.openingElement;
+      if (child === 'Form.Label' && !getAttribute(childOpening, 'htmlFor')) {
+        setAttribute(j, childOpening, 'htmlFor', controlId);
+      } else if (
+        (FIELD_COMPONENTS.includes(child) || child === 'Form.Range') &&
+        !getAttribute(childOpening, 'id')
+      ) {
+        setAttribute(j, childOpening, 'id', controlId);
+      }
+    });
+  }
+  ctx.convert(element, component);
+}
+
+/**
+ * Sustituye el contenedor (`path`) por el campo ya convertido y pasa al
+ * campo las clases y estilos del contenedor.
+ */
+function replaceWrapper(ctx, path, component, field) {
+  const opening = path.node.openingElement;
+  ['className', 'style', 'sx'].forEach(prop => {
+    const attr = getAttribute(opening, prop);
+    if (attr && !getAttribute(field.openingElement, prop)) {
+      removeAttribute(opening, prop);
+      field.openingElement.attributes.push(attr);
+    }
+  });
+  opening.attributes
+    .filter(a => a.type === 'JSXAttribute' && !['controlId', 'label', 'size', 'hasValidation'].includes(a.name.name))
+    .forEach(a => ctx.dropProp(path.node, component, a.name.name, 'El contenedor desaparece al componer el TextField'));
+  ctx.report.converted(path.node, component, 'TextField');
+  path.replace(field);
+}
+
+/**
+ * FloatingLabel → `label` del TextField. Form.Floating usa un `<label>`
+ * normal después del campo.
+ */
+function transformFloating(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const kids = describeChildren(ctx, element) || [];
+  const fields = kids.filter(k => FIELD_COMPONENTS.includes(k.component));
+  const labels = kids.filter(
+    k => k.node.openingElement.name.type === 'JSXIdentifier' && k.node.openingElement.name.name === 'label'
+  );
+  const expected = component === 'FloatingLabel' ? 1 : 1 + labels.length;
+  if (fields.length !== 1 || kids.length !== expected || labels.length > 1) {
+    ctx.convert(element, component);
+    ctx.approximate(element, component, 'Estructura no reconocida: usar la prop label del TextField', { todo: true });
+    return;
+  }
+  const extra = {};
+  if (component === 'FloatingLabel') {
+    extra.id = attributeExpression(j, getAttribute(opening, 'controlId'));
+    extra.label = attributeExpression(j, getAttribute(opening, 'label'));
+  } else if (labels.length) {
+    extra.label = childrenToExpression(j, labels[0].node.children || []);
+  }
+  const field = fields[0];
+  // El placeholder solo servía para activar la etiqueta flotante de Bootstrap
+  removeAttribute(field.node.openingElement, 'placeholder');
+  toTextField(ctx, field.node, field.component, extra);
+  replaceWrapper(ctx, path, component, field.node);
+}
+
+/**
+ * Adornos de un InputGroup: InputGroup.Text pasa a InputAdornment y
+ * cualquier otro elemento (botones, iconos) se envuelve en uno.
+ */
+function buildAdornment(ctx, kids, position) {
+  const { j } = ctx;
+  if (kids.length === 0) return null;
+  const adornments = kids.map(({ node, component }) => {
+    if (component === 'InputGroup.Text') {
+      setAttribute(j, node.openingElement, 'position', position);
+      ctx.convert(node, component);
+      return node;
+    }
+    return createElement(j, ctx.useComponent('InputAdornment'), { position }, [node]);
+  });
+  if (adornments.length === 1) return adornments[0];
+  return j.jsxFragment(j.jsxOpeningFragment(), j.jsxClosingFragment(), adornments);
+}
+
+function transformInputGroup(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const kids = describeChildren(ctx, element);
+  const fieldIndex = (kids || []).findIndex(k => FIELD_COMPONENTS.includes(k.component));
+  const fieldCount = (kids || []).filter(k => FIELD_COMPONENTS.includes(k.component)).length;
+  if (fieldCount !== 1) {
+    ctx.convert(element, component);
+    ctx.approximate(
+      element,
+      component,
+      'InputGroup sin un único campo: pasar los InputGroup.Text a InputAdornment a mano',
+      { todo: true }
+    );
+    return;
+  }
+  const field = kids[fieldIndex];
+  const size = getLiteralValue(j, getAttribute(element.openingElement, 'size'));
+  toTextField(ctx, field.node, field.component, {
+    size,
+    startAdornment: buildAdornment(ctx, kids.slice(0, fieldIndex), 'start'),
+    endAdornment: buildAdornment(ctx, kids.slice(fieldIndex + 1), 'end'),
+  });
+  replaceWrapper(ctx, path, component, field.node);
+}
+
+function transformCheck(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+
+  let type = component === 'Form.Switch' ? 'switch' : 'checkbox';
+  const typeAttr = removeAttribute(opening, 'type');
+  if (typeAttr) {
+    type = getLiteralValue(j, typeAttr);
+    if (!CHECK_CONTROLS[type]) {
+      ctx.approximate(element, component, 'type dinámico: se usa Checkbox', { todo: true });
+      type = 'checkbox';
+    }
+  }
+  const controlName = ctx.useComponent(CHECK_CONTROLS[type]);
+
+  removeAttribute(opening, 'inline');
+  ['isValid', 'isInvalid', 'feedback', 'feedbackType', 'feedbackTooltip'].forEach(prop => {
+    ctx.dropProp(element, component, prop, 'Mostrar la validación con FormHelperText', { todo: true });
+  });
+  if ((element.children || []).some(c => !isBlankText(c))) {
+    ctx.approximate(element, component, 'Form.Check.Input/Label personalizados no se migran', { todo: true });
+  }
+  if (getLiteralValue(j, removeAttribute(opening, 'reverse')) === true) {
+    setAttribute(j, opening, 'labelPlacement', 'start');
+  }
+
+  if (!getAttribute(opening, 'label')) {
+    removeAttribute(opening, 'labelPlacement');
+    ctx.convert(element, component, controlName);
+    return;
+  }
+  const inputAttrs = opening.attributes.filter(
+    a => a.type === 'JSXAttribute' && CHECK_INPUT_PROPS.includes(a.name.name)
+  );
+  const control = j.jsxElement(j.jsxOpeningElement(j.jsxIdentifier(controlName), inputAttrs, true), null, []);
+  opening.attributes = [
+    j.jsxAttribute(j.jsxIdentifier('control'), j.jsxExpressionContainer(control)),
+    ...opening.attributes.filter(a => !inputAttrs.includes(a)),
+  ];
+  ctx.convert(element, component);
+}
+
+function transformRange(path, ctx, component) {
+  const { j } = ctx;
+  const opening = path.node.openingElement;
+  NUMERIC_RANGE_PROPS.forEach(prop => {
+    const value = getLiteralValue(j, getAttribute(opening, prop));
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      setAttribute(j, opening, prop, Number(value));
+    }
+  });
+  ctx.convert(path.node, component);
+}
+
+function transformFeedback(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  if (getLiteralValue(j, removeAttribute(element.openingElement, 'type')) === 'valid') {
+    ctx.convert(element, component);
+    removeAttribute(element.openingElement, 'error');
+    return;
+  }
+  ctx.dropProp(element, component, 'tooltip', 'FormHelperText no se muestra como tooltip');
+  ctx.convert(element, component);
+}
+
+function transformForm(path, ctx, component) {
+  const element = path.node;
+  switch (component) {
+    case 'Form':
+      ctx.dropProp(element, component, 'validated', 'Los estilos de validación se controlan con la prop error de cada campo');
+      ctx.convert(element, component);
+      break;
+    case 'Form.Group':
+      transformGroup(path, ctx, component);
+      break;
+    case 'Form.Label':
+      LABEL_COLUMN_PROPS.forEach(prop => {
+        ctx.dropProp(element, component, prop, 'Usar Grid para etiquetas en columna');
+      });
+      ctx.dropProp(element, component, 'visuallyHidden', 'Ocultar la etiqueta con sx o usar aria-label', { todo: true });
+      ctx.convert(element, component);
+      break;
+    case 'Form.Text':
+      ctx.dropProp(element, component, 'muted', 'FormHelperText ya usa el color secundario');
+      ctx.convert(element, component);
+      break;
+    case 'Form.Control.Feedback':
+      transformFeedback(path, ctx, component);
+      break;
+    case 'Form.Check':
+    case 'Form.Switch':
+      transformCheck(path, ctx, component);
+      break;
+    case 'Form.Range':
+      transformRange(path, ctx, component);
+      break;
+    case 'FloatingLabel':
+    case 'Form.Floating':
+      transformFloating(path, ctx, component);
+      break;
+    case 'InputGroup':
+      transformInputGroup(path, ctx, component);
+      break;
+    default:
+      toTextField(ctx, element, component);
+  }
+}
+
+module.exports = {
+  components: [
+    'Form',
+    'Form.Group',
+    'Form.Label',
+    'Form.Text',
+    'Form.Control',
+    'Form.Control.Feedback',
+    'Form.Select',
+    'Form.Check',
+    'Form.Switch',
+    'Form.Range',
+    'Form.Floating',
+    'FloatingLabel',
+    'InputGroup',
+  ],
+  transform: transformForm,
+};
@@ -0,0 +1,368 @@
+/**
+ * Row y Col → Grid.
+ *
+ *  - Row: Grid con `container`.
+ *    - Las columnas por fila (`xs={2}`, `md={3}` o las clases
+ *      `row-cols-*`) → `columns` del contenedor, y cada Col sin tamaño
+ *      propio ocupa una columna (`xs={1}`).
+ *    - Los gutters (`g-3`, `gx-md-2`, `gy-4`) → `spacing`, `columnSpacing` y
+ *      `rowSpacing`, convertidos a la escala de espaciado de MUI (ver
+ *      lib/spacing.js).
+ *  - Col: Grid con `item`. Se conservan los breakpoints `xs`…`xl` (también
+ *    `"auto"`) y se leen las clases `col-*` (`col-6`, `col-md-4`) del
+ *    className. Un Col sin tamaño reparte el ancho con sus hermanos, igual
+ *    que `xs` sin valor en el Grid de MUI.
+ *    - `md={{ span: 6, offset: 3, order: 2 }}` y las clases `offset-*` y
+ *      `order-*` → el tamaño en `md` y `sx` con `ml` (en porcentaje de las
+ *      12 columnas) y `order` por breakpoint.
+ *
+ * Con `--grid=v2` se genera la API de Grid v2: sin `item`, con los tamaños
+ * en `size={{ xs: 12, md: 6 }}` (`true` → `"grow"`) y el desplazamiento en
+ * `offset`. En MUI v6 ese Grid se importa de `@mui/material/Grid2`; con
+ * `--mui-version=7` de `@mui/material/Grid`, donde ya es la API por defecto.
+ * Por eso con `--mui-version=7` sin `--grid=v2` la API clásica (`item`,
+ * `xs={6}`) se importa como GridLegacy de `@mui/material/GridLegacy`.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  setAttribute,
+  removeAttribute,
+  renameElement,
+  attributeExpression,
+} = require('../lib/jsx');
+const { mergeSxAttribute, MUI_BREAKPOINTS, BREAKPOINT_MAP } = require('../lib/sx');
+const { spacerToSpacing } = require('../lib/spacing');
+
+const BREAKPOINT_RE = '(?:-(xs|sm|md|lg|xl|xxl))?';
+
+// order-first / order-last de Bootstrap 5
+const ORDER_KEYWORDS = { first: -1, last: 6 };
+
+// Prefijo de clase de gutter → prop de espaciado del Grid contenedor
+const GUTTER_PROPS = { g: 'spacing', gx: 'columnSpacing', gy: 'rowSpacing' };
+
+/**
+ * Indica si se genera la API de Grid v2 (`--grid=v2`).
+ */
+function isGridV2(ctx) {
+  return ctx.options.grid === 'v2';
+}
+
+/**
+ * Convierte Row/Col en el Grid elegido: el del registro (MUI v5 y v6) o,
+ * con Grid v2, el de `@mui/material/Grid2` (MUI v6) o `@mui/material/Grid`
+ * (MUI v7). En MUI v7 el Grid clásico es GridLegacy.
+ */
+function convertToGrid(ctx, element, component) {
+  const mui7 = Number(ctx.options.muiVersion) >= 7;
+  if (!isGridV2(ctx) && !mui7) {
+    ctx.convert(element, component);
+    return;
+  }
+  let name = 'Grid';
+  let source = mui7 ? '@mui/material/Grid' : '@mui/material/Grid2';
+  if (!isGridV2(ctx)) {
+    name = 'GridLegacy';
+    source = '@mui/material/GridLegacy';
+  }
+  renameElement(ctx.j, element, ctx.useComponent(name, source));
+  ctx.report.converted(element, component, name);
+  ctx.markConverted(element);
+}
+
+function muiBreakpoint(breakpoint) {
+  return BREAKPOINT_MAP[breakpoint] || 'xs';
+}
+
+/**
+ * `{ md: 2 }` → `{ md: 2 }`, `{ xs: 2 }` → `2`: un valor responsive solo se
+ * escribe como objeto si hace falta.
+ */
+function responsiveValue(values) {
+  const keys = Object.keys(values);
+  if (keys.length === 1 && keys[0] === 'xs') return values.xs;
+  const ordered = {};
+  MUI_BREAKPOINTS.forEach(bp => {
+    if (bp in values) ordered[bp] = values[bp];
+  });
+  return ordered;
+}
+
+/**
+ * Desplazamiento de `n` columnas (de 12) como margen izquierdo.
+ */
+function offsetPercent(n) {
+  return `${Math.round((n * 100 / 12) * 10000) / 10000}%`;
+}
+
+/**
+ * Extrae de las clases `row-cols-*` y `g-*`/`gx-*`/`gy-*` las columnas por
+ * fila y los gutters, y devuelve la cadena de clases sin ellas.
+ */
+function parseRowClasses(classString, toSpacing = spacerToSpacing) {
+  const columns = {};
+  const spacing = {};
+  const remaining = [];
+  classString.split(/\s+/).filter(Boolean).forEach(token => {
+    const cols = token.match(new RegExp(`^row-cols${BREAKPOINT_RE}-(\\d+|auto)$`));
+    const gutter = token.match(new RegExp(`^(g|gx|gy)${BREAKPOINT_RE}-([0-5])$`));
+    if (cols) {
+      columns[muiBreakpoint(cols[1])] = cols[2] === 'auto' ? 'auto' : Number(cols[2]);
+    } else if (gutter) {
+      const prop = GUTTER_PROPS[gutter[1]];
+      spacing[prop] = spacing[prop] || {};
+      spacing[prop][muiBreakpoint(gutter[2])] = toSpacing(Number(gutter[3]));
+    } else {
+      remaining.push(token);
+    }
+  });
+  return { columns, spacing, remainingClass: remaining.join(' ') };
+}
+
+/**
+ * Extrae los breakpoints de las clases `col-*`, `offset-*` y `order-*` y
+ * devuelve la cadena de clases sin ellas.
+ */
+function parseColClasses(classString) {
+  const sizes = {};
+  const offsets = {};
+  const orders = {};
+  const remaining = [];
+  classString.split(/\s+/).filter(Boolean).forEach(token => {
+    const col = token.match(new RegExp(`^col${BREAKPOINT_RE}(?:-(\\d+|auto))?$`));
+    const offset = token.match(new RegExp(`^offset${BREAKPOINT_RE}-(\\d+)$`));
+    const order = token.match(new RegExp(`^order${BREAKPOINT_RE}-(\\d+|first|last)$`));
+    if (col) {
+      const breakpoint = muiBreakpoint(col[1]);
+      if (col[2] === undefined) {
+        sizes[breakpoint] = true;
+      } else {
+        sizes[breakpoint] = col[2] === 'auto' ? 'auto' : Number(col[2]);
+      }
+    } else if (offset) {
+      offsets[muiBreakpoint(offset[1])] = Number(offset[2]);
+    } else if (order) {
+      orders[muiBreakpoint(order[1])] = order[2] in ORDER_KEYWORDS ? ORDER_KEYWORDS[order[2]] : Number(order[2]);
+    } else {
+      remaining.push(token);
+    }
+  });
+  return { sizes, offsets, orders, remainingClass: remaining.join(' ') };
+}
+
+/**
+ * Lee el className literal con `parse` y lo sustituye por las clases
+ * restantes. Devuelve el resultado de `parse` o null.
+ */
+function takeClasses(j, opening, parse) {
+  const classAttr = getAttribute(opening, 'className');
+  const classString = getLiteralValue(j, classAttr);
+  if (typeof classString !== 'string') return null;
+  const parsed = parse(classString);
+  if (parsed.remainingClass) {
+    setAttribute(j, opening, 'className', parsed.remainingClass);
+  } else {
+    opening.attributes = opening.attributes.filter(a => a !== classAttr);
+  }
+  return parsed;
+}
+
+/**
+ * Las props de breakpoint de una Row (`xs={2}`, `md="auto"`) son columnas
+ * por fila (row-cols); las lee y las elimina.
+ */
+function rowColumnProps(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const columns = {};
+  MUI_BREAKPOINTS.concat('xxl').forEach(breakpoint => {
+    const attr = removeAttribute(opening, breakpoint);
+    if (!attr) return;
+    const value = getLiteralValue(j, attr);
+    if (typeof value === 'number' || value === 'auto') {
+      columns[muiBreakpoint(breakpoint)] = value;
+    } else {
+      ctx.approximate(element, component, `${breakpoint} dinámico: ajustar columns del Grid`, { todo: true });
+    }
+  });
+  return columns;
+}
+
+function transformRow(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  if (!getAttribute(opening, 'container')) {
+    opening.attributes.unshift(j.jsxAttribute(j.jsxIdentifier('container')));
+  }
+  ctx.dropProp(element, component, 'noGutters', 'El Grid de MUI no tiene espaciado por defecto');
+
+  const parsed = takeClasses(j, opening, classString => parseRowClasses(classString, ctx.spacing)) || { columns: {}, spacing: {} };
+  const columns = { ...parsed.columns, ...rowColumnProps(ctx, element, component) };
+  Object.entries(parsed.spacing).forEach(([prop, values]) => {
+    if (!getAttribute(opening, prop)) setAttribute(j, opening, prop, responsiveValue(values));
+  });
+
+  if (Object.keys(columns).length > 0) {
+    const counts = {};
+    Object.entries(columns).forEach(([breakpoint, value]) => {
+      if (value === 'auto') {
+        ctx.approximate(element, component, 'Columnas "auto" por fila: dar a cada Grid item xs="auto"', { todo: true });
+      } else {
+        counts[breakpoint] = value;
+      }
+    });
+    if (Object.keys(counts).length > 0) {
+      setAttribute(j, opening, 'columns', responsiveValue(counts));
+      // Cada Col ocupa una de las `columns`; los que tienen tamaño propio se
+      // miden ahora sobre ese número de columnas
+      ctx.ownDescendants(path, 'Col').forEach(col => {
+        const colOpening = col.openingElement;
+        const classString = getLiteralValue(j, getAttribute(colOpening, 'className'));
+        const hasSize = MUI_BREAKPOINTS.concat('xxl').some(bp => getAttribute(colOpening, bp)) ||
+          (typeof classString === 'string' && Object.keys(parseColClasses(classString).sizes).length > 0);
+        if (hasSize) {
+          ctx.approximate(col, 'Col', 'Col con tamaño propio dentro de una Row con columnas por fila: revisar su ancho', { todo: true });
+        } else {
+          setAttribute(j, colOpening, 'xs', 1);
+        }
+      });
+    }
+  }
+  convertToGrid(ctx, element, component);
+}
+
+/**
+ * `md={{ span: 6, offset: 3, order: 2 }}` → `md={6}` y el offset/order de
+ * `md` en `offsets`/`orders`.
+ */
+function readColObject(ctx, element, component, breakpoint, { offsets, orders }) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const attr = getAttribute(opening, breakpoint);
+  const expression = attributeExpression(j, attr);
+  if (!expression || expression.type !== 'ObjectExpression') return;
+  const target = muiBreakpoint(breakpoint);
+  let span;
+  expression.properties.forEach(property => {
+    const key = property.key && (property.key.name || property.key.value);
+    const value = property.value && j.Literal.check(property.value) ? property.value.value : undefined;
+    if (value === undefined) {
+      ctx.approximate(element, component, `${breakpoint}.${key} dinámico: revisar el tamaño del Grid`, { todo: true });
+    } else if (key === 'span') {
+      span = value;
+    } else if (key === 'offset') {
+      offsets[target] = value;
+    } else if (key === 'order') {
+      orders[target] = value in ORDER_KEYWORDS ? ORDER_KEYWORDS[value] : value;
+    }
+  });
+  if (span === undefined) {
+    removeAttribute(opening, breakpoint);
+  } else {
+    setAttribute(j, opening, breakpoint, span);
+  }
+}
+
+function transformCol(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const offsets = {};
+  const orders = {};
+
+  const parsed = takeClasses(j, opening, parseColClasses);
+  if (parsed) {
+    Object.entries(parsed.sizes).forEach(([breakpoint, size]) => {
+      if (!getAttribute(opening, breakpoint)) {
+        setAttribute(j, opening, breakpoint, size);
+      }
+    });
+    Object.assign(offsets, parsed.offsets);
+    Object.assign(orders, parsed.orders);
+  }
+  MUI_BREAKPOINTS.concat('xxl').forEach(breakpoint => {
+    readColObject(ctx, element, component, breakpoint, { offsets, orders });
+  });
+
+  // xxl no existe en MUI: se aproxima con xl
+  const xxl = getAttribute(opening, 'xxl');
+  if (xxl) {
+    ctx.approximate(element, component, 'El breakpoint xxl no existe en MUI; se usa xl');
+    if (getAttribute(opening, 'xl')) {
+      opening.attributes = opening.attributes.filter(a => a !== xxl);
+    } else {
+      xxl.name = j.jsxIdentifier('xl');
+    }
+  }
+
+  const v2 = isGridV2(ctx);
+  const sx = {};
+  if (Object.keys(offsets).length > 0 && v2) {
+    setAttribute(j, opening, 'offset', responsiveValue(offsets));
+  } else if (Object.keys(offsets).length > 0) {
+    const margins = {};
+    Object.entries(offsets).forEach(([breakpoint, n]) => {
+      margins[breakpoint] = n === 0 ? 0 : offsetPercent(n);
+    });
+    sx.ml = responsiveValue(margins);
+  }
+  if (Object.keys(orders).length > 0) {
+    sx.order = responsiveValue(orders);
+  }
+  mergeSxAttribute(j, opening, sx);
+
+  if (v2) {
+    applySize(ctx, element);
+  } else {
+    const hasSize = MUI_BREAKPOINTS.some(bp => getAttribute(opening, bp));
+    if (!hasSize) {
+      opening.attributes.push(j.jsxAttribute(j.jsxIdentifier('xs')));
+    }
+    if (!getAttribute(opening, 'item')) {
+      opening.attributes.unshift(j.jsxAttribute(j.jsxIdentifier('item')));
+    }
+  }
+  convertToGrid(ctx, element, component);
+}
+
+/**
+ * Grid v2: las props de breakpoint pasan a `size`. Sin tamaño el Col
+ * reparte el ancho con sus hermanos (`size="grow"`).
+ */
+function applySize(ctx, element) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const sizes = {};
+  MUI_BREAKPOINTS.forEach(breakpoint => {
+    const attr = removeAttribute(opening, breakpoint);
+    if (!attr) return;
+    const value = getLiteralValue(j, attr);
+    if (value === true) {
+      sizes[breakpoint] = 'grow';
+    } else if (typeof value === 'number' || typeof value === 'string') {
+      sizes[breakpoint] = value;
+    } else if (value !== false) {
+      sizes[breakpoint] = attributeExpression(j, attr);
+    }
+  });
+  if (!getAttribute(opening, 'size')) {
+    setAttribute(j, opening, 'size', Object.keys(sizes).length > 0 ? responsiveValue(sizes) : 'grow');
+  }
+}
+
+function transformGrid(path, ctx, component) {
+  if (component === 'Row') {
+    transformRow(path, ctx, component);
+  } else {
+    transformCol(ctx, path.node, component);
+  }
+}
+
+module.exports = {
+  components: ['Row', 'Col'],
+  transform: transformGrid,
+  parseColClasses,
+  parseRowClasses,
+};
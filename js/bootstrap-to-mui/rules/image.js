@@ -0,0 +1,103 @@
+/**
+ * Image, Figure y Ratio → Box con `sx`.
+ *
+ *  - Image y Figure.Image → Box `component="img"`. `fluid` → maxWidth 100%
+ *    y altura automática; `rounded` → borderRadius; `roundedCircle` →
+ *    borderRadius 50%; `thumbnail` → borde, relleno y fondo como
+ *    .img-thumbnail. Con un valor dinámico el estilo se aplica de forma
+ *    condicional (`sx={[…, rounded && { borderRadius: 1.5 }]}`).
+ *  - Figure → Box `component="figure"`; Figure.Caption → Typography
+ *    `variant="caption"` con `component="figcaption"`.
+ *  - Ratio → Box con `aspectRatio` (`"16x9"` → `'16 / 9'`; un número es el
+ *    porcentaje alto/ancho de react-bootstrap) y el hijo ocupando todo el
+ *    recuadro, como .ratio > *.
+ */
+
+const { getLiteralValue, removeAttribute, attributeExpression } = require('../lib/jsx');
+const { mergeSxAttribute, appendConditionalSx } = require('../lib/sx');
+
+const IMAGE_FLAGS = {
+  fluid: { maxWidth: '100%', height: 'auto' },
+  rounded: { borderRadius: 1.5 },
+  roundedCircle: { borderRadius: '50%' },
+  thumbnail: {
+    p: 0.5,
+    bgcolor: 'background.paper',
+    border: 1,
+    borderColor: 'divider',
+    borderRadius: 1.5,
+    maxWidth: '100%',
+    height: 'auto',
+  },
+};
+
+const RATIO_FILL = {
+  position: 'absolute',
+  top: 0,
+  left: 0,
+  width: '100%',
+  height: '100%',
+};
+
+/**
+ * Valor CSS de `aspectRatio` a partir del de react-bootstrap, o null.
+ */
+function aspectRatioValue(value) {
+  if (value === undefined || value === true) return '1 / 1';
+  const m = typeof value === 'string' && value.match(/^(\d+)x(\d+)$/);
+  if (m) return `${m[1]} / ${m[2]}`;
+  if (typeof value === 'number' && value > 0) {
+    // Como toPercent() de react-bootstrap: por debajo de 1 es una fracción
+    const percent = value < 1 ? value * 100 : value;
+    return `100 / ${Math.round(percent * 100) / 100}`;
+  }
+  return null;
+}
+
+function convertImage(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const conditional = [];
+  Object.entries(IMAGE_FLAGS).forEach(([name, sx]) => {
+    const attr = removeAttribute(opening, name);
+    if (!attr) return;
+    const value = getLiteralValue(j, attr);
+    if (value === undefined) {
+      conditional.push([attributeExpression(j, attr), sx]);
+    } else if (value !== false) {
+      mergeSxAttribute(j, opening, sx);
+    }
+  });
+  // Las props dinámicas (`rounded={isRounded}`) pasan a estilos condicionales
+  conditional.forEach(([condition, sx]) => appendConditionalSx(j, opening, condition, sx));
+  ctx.convert(element, component);
+}
+
+function convertRatio(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const attr = removeAttribute(opening, 'aspectRatio');
+  const ratio = aspectRatioValue(attr ? getLiteralValue(j, attr) : undefined);
+  const sx = { position: 'relative', width: '100%', '& > *': RATIO_FILL };
+  if (ratio) {
+    sx.aspectRatio = ratio;
+  } else {
+    ctx.approximate(element, component, 'aspectRatio dinámico: añadir aspectRatio en sx', { todo: true });
+  }
+  mergeSxAttribute(j, opening, sx);
+  ctx.convert(element, component);
+}
+
+function transformImage(path, ctx, component) {
+  const element = path.node;
+  if (component === 'Ratio') {
+    convertRatio(ctx, element, component);
+  } else {
+    convertImage(ctx, element, component);
+  }
+}
+
+module.exports = {
+  components: ['Image', 'Figure.Image', 'Ratio'],
+  transform: transformImage,
+};
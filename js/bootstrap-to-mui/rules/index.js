@@ -0,0 +1,44 @@
+/**
+ * Reglas específicas por componente.
+ *
+ * Cada módulo exporta `{ components, transform }`: la lista de nombres
+ * canónicos de react-bootstrap que trata y la función
+ * `transform(path, ctx, component)` que recibe el JSXElement. Los componentes
+ * sin regla se convierten con el renombrado genérico del registro.
+ */
+
+const RULE_MODULES = [
+  require('./accordion'),
+  require('./alert'),
+  require('./badge'),
+  require('./button'),
+  require('./card'),
+  require('./carousel'),
+  require('./close-button'),
+  require('./container'),
+  require('./dropdown'),
+  require('./form'),
+  require('./grid'),
+  require('./image'),
+  require('./list-group'),
+  require('./modal'),
+  require('./navbar'),
+  require('./offcanvas'),
+  require('./overlay'),
+  require('./pagination'),
+  require('./progress-bar'),
+  require('./spinner'),
+  require('./stack'),
+  require('./table'),
+  require('./tabs'),
+  require('./toast'),
+];
+
+const rules = new Map();
+RULE_MODULES.forEach(rule => {
+  rule.components.forEach(component => {
+    rules.set(component, rule);
+  });
+});
+
+module.exports = rules;
@@ -0,0 +1,202 @@
+/**
+ * ListGroup → List.
+ *
+ *  - ListGroup: borde y esquinas redondeadas en `sx` como el list-group de
+ *    Bootstrap, salvo con `variant="flush"`. `numbered` → `component="ol"`
+ *    con numeración decimal; `horizontal` (o `horizontal="md"`) → fila
+ *    flex, responsive a partir del breakpoint.
+ *  - ListGroup.Item con `action` o `href` → ListItemButton (`component="a"`
+ *    si hay href); el resto → ListItem. Los elementos llevan `divider`
+ *    salvo el último, como los bordes entre elementos de Bootstrap.
+ *  - `active` → `selected` en ListItemButton; en ListItem (que no tiene
+ *    estado seleccionado) se pinta con el color primario.
+ *  - `disabled` → `disabled` en ListItemButton; en ListItem se atenúa.
+ *    Con un valor dinámico (`active={id === selectedId}`) se pasa la
+ *    expresión a `selected` o se aplica el estilo de forma condicional.
+ *  - `variant` (success, danger…) → `bgcolor`/`color` en `sx`.
+ *  - Un Item cuyo contenido es solo texto se envuelve en ListItemText.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  createElement,
+  childElements,
+  isBlankText,
+  childrenToExpression,
+  attributeExpression,
+} = require('../lib/jsx');
+const { mergeSxAttribute, appendConditionalSx, BREAKPOINT_MAP } = require('../lib/sx');
+
+const VARIANT_SX = {
+  primary: { bgcolor: 'primary.light', color: 'primary.contrastText' },
+  secondary: { bgcolor: 'secondary.light', color: 'secondary.contrastText' },
+  success: { bgcolor: 'success.light', color: 'success.contrastText' },
+  danger: { bgcolor: 'error.light', color: 'error.contrastText' },
+  warning: { bgcolor: 'warning.light', color: 'warning.contrastText' },
+  info: { bgcolor: 'info.light', color: 'info.contrastText' },
+  light: { bgcolor: 'grey.100', color: 'text.primary' },
+  dark: { bgcolor: 'grey.800', color: 'common.white' },
+};
+
+/**
+ * Lee una prop booleana y la elimina: true/false, o undefined si es
+ * dinámica (queda anotada con un TODO).
+ */
+function takeFlag(ctx, element, component, name) {
+  const { j } = ctx;
+  const attr = removeAttribute(element.openingElement, name);
+  if (!attr) return false;
+  const value = getLiteralValue(j, attr);
+  if (value === undefined) {
+    ctx.approximate(element, component, `${name} dinámico: se trata como activo`, { todo: true });
+  }
+  return value !== false;
+}
+
+/**
+ * Lee una prop booleana de estado (`active`, `disabled`) y la elimina:
+ * true/false si es literal o la expresión si es dinámica
+ * (`active={id === selectedId}`), que se traslada tal cual.
+ */
+function takeCondition(j, opening, name) {
+  const attr = removeAttribute(opening, name);
+  if (!attr) return false;
+  const value = getLiteralValue(j, attr);
+  return value === undefined ? attributeExpression(j, attr) : value !== false;
+}
+
+/**
+ * Aplica `sxObj` si `condition` es true o como estilo condicional si es una
+ * expresión. Los objetos que se fusionen después (variant, className) se
+ * anteponen, así que el condicional sigue teniendo prioridad.
+ */
+function applyConditionSx(j, opening, condition, sxObj) {
+  if (condition === true) {
+    mergeSxAttribute(j, opening, sxObj);
+  } else if (condition) {
+    appendConditionalSx(j, opening, condition, sxObj);
+  }
+}
+
+/**
+ * Sustituye un contenido de solo texto (o expresiones) por un ListItemText.
+ */
+function wrapText(ctx, item) {
+  const { j } = ctx;
+  const children = item.children || [];
+  const meaningful = children.filter(c => !isBlankText(c));
+  if (meaningful.length === 0) return;
+  if (!meaningful.every(c => c.type === 'JSXText' || c.type === 'JSXExpressionContainer')) return;
+  const primary = meaningful.length === 1
+    ? childrenToExpression(j, meaningful)
+    : j.jsxFragment(j.jsxOpeningFragment(), j.jsxClosingFragment(), children);
+  item.children = [createElement(j, ctx.useComponent('ListItemText'), { primary })];
+}
+
+/**
+ * ListGroup.Item → ListItem / ListItemButton. `divider` indica si lleva
+ * separador inferior.
+ */
+function transformItem(ctx, item, component, { divider = false } = {}) {
+  const { j } = ctx;
+  const opening = item.openingElement;
+  const href = getAttribute(opening, 'href');
+  const action = takeFlag(ctx, item, component, 'action') || Boolean(href);
+  const active = takeCondition(j, opening, 'active');
+  const as = removeAttribute(opening, 'as');
+  ctx.dropProp(item, component, 'eventKey', 'Enlazar selected/onClick con el estado de la lista', { todo: true });
+
+  if (as) {
+    setAttribute(j, opening, 'component', attributeExpression(j, as));
+  } else if (href) {
+    setAttribute(j, opening, 'component', 'a');
+  }
+  if (action) {
+    if (active) setAttribute(j, opening, 'selected', active);
+  } else {
+    applyConditionSx(j, opening, active, { bgcolor: 'primary.main', color: 'primary.contrastText' });
+    applyConditionSx(j, opening, takeCondition(j, opening, 'disabled'), { color: 'text.disabled', pointerEvents: 'none' });
+  }
+
+  const variantAttr = removeAttribute(opening, 'variant');
+  const variant = getLiteralValue(j, variantAttr);
+  if (VARIANT_SX[variant]) {
+    mergeSxAttribute(j, opening, VARIANT_SX[variant]);
+  } else if (variantAttr) {
+    ctx.approximate(item, component, 'variant dinámico o sin equivalente: añadir bgcolor/color en sx', { todo: true });
+  }
+  if (divider && !getAttribute(opening, 'divider')) {
+    setAttribute(j, opening, 'divider', true);
+  }
+
+  wrapText(ctx, item);
+  ctx.convert(item, component, action ? 'ListItemButton' : 'ListItem');
+}
+
+/**
+ * `horizontal` → sx de fila; con breakpoint, columna por debajo de él.
+ */
+function horizontalSx(ctx, element, component) {
+  const { j } = ctx;
+  const attr = removeAttribute(element.openingElement, 'horizontal');
+  if (!attr) return null;
+  const value = getLiteralValue(j, attr);
+  if (value === false) return null;
+  if (value === true) return { display: 'flex', flexDirection: 'row' };
+  if (BREAKPOINT_MAP[value]) {
+    return { display: 'flex', flexDirection: { xs: 'column', [BREAKPOINT_MAP[value]]: 'row' } };
+  }
+  ctx.approximate(element, component, 'horizontal dinámico: ajustar flexDirection en sx', { todo: true });
+  return null;
+}
+
+function transformListGroup(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  if (component === 'ListGroup.Item') {
+    transformItem(ctx, element, component);
+    return;
+  }
+
+  const opening = element.openingElement;
+  const variantAttr = removeAttribute(opening, 'variant');
+  const flush = getLiteralValue(j, variantAttr) === 'flush';
+  if (variantAttr && !flush) {
+    ctx.approximate(element, component, 'variant dinámico: revisar el borde de la lista', { todo: true });
+  }
+  const numbered = takeFlag(ctx, element, component, 'numbered');
+  const horizontal = horizontalSx(ctx, element, component);
+  const as = removeAttribute(opening, 'as');
+  ['activeKey', 'defaultActiveKey', 'onSelect'].forEach(name => {
+    ctx.dropProp(element, component, name, 'Enlazar selected/onClick de cada elemento con un estado', { todo: true });
+  });
+
+  if (as) {
+    setAttribute(j, opening, 'component', attributeExpression(j, as));
+  } else if (numbered) {
+    setAttribute(j, opening, 'component', 'ol');
+  }
+  const sx = { py: 0 };
+  if (!flush) Object.assign(sx, { border: 1, borderColor: 'divider', borderRadius: 1.5 });
+  if (numbered) {
+    Object.assign(sx, { listStyleType: 'decimal', pl: 4, '& > li': { display: 'list-item' } });
+  }
+  if (horizontal) Object.assign(sx, horizontal);
+  mergeSxAttribute(j, opening, sx);
+
+  // Los elementos generados con map() se repiten: siempre llevan separador
+  const direct = childElements(element);
+  const last = direct[direct.length - 1];
+  ctx.ownDescendants(path, 'ListGroup.Item').forEach(item => {
+    transformItem(ctx, item, 'ListGroup.Item', { divider: !horizontal && item !== last });
+  });
+  ctx.convert(element, component);
+}
+
+module.exports = {
+  components: ['ListGroup', 'ListGroup.Item'],
+  transform: transformListGroup,
+};
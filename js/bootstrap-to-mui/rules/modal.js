@@ -0,0 +1,82 @@
+/**
+ * Modal → Dialog.
+ *
+ *  - `show`→`open`, `onHide`→`onClose`, `fullscreen`→`fullScreen`,
+ *    `keyboard={false}`→`disableEscapeKeyDown`.
+ *  - `size` (sm/lg/xl) → `maxWidth` + `fullWidth`.
+ *  - `centered` se elimina: Dialog ya está centrado.
+ *  - Modal.Header → DialogTitle. Un Modal.Title dentro del Header se
+ *    desenvuelve para no anidar dos DialogTitle; `closeButton` se elimina.
+ *  - Modal.Body → DialogContent, Modal.Footer → DialogActions.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+} = require('../lib/jsx');
+
+const RENAMED_PROPS = { show: 'open', onHide: 'onClose', fullscreen: 'fullScreen' };
+const SIZE_MAP = { sm: 'xs', lg: 'md', xl: 'lg' };
+
+function transformDialog(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+
+  Object.entries(RENAMED_PROPS).forEach(([from, to]) => {
+    const attr = getAttribute(opening, from);
+    if (attr) attr.name = j.jsxIdentifier(to);
+  });
+
+  const size = getLiteralValue(j, getAttribute(opening, 'size'));
+  if (SIZE_MAP[size]) {
+    removeAttribute(opening, 'size');
+    setAttribute(j, opening, 'maxWidth', SIZE_MAP[size]);
+    setAttribute(j, opening, 'fullWidth', true);
+  } else {
+    ctx.dropProp(element, component, 'size', 'size dinámico o sin equivalente en MUI', { todo: true });
+  }
+  const keyboard = getLiteralValue(j, getAttribute(opening, 'keyboard'));
+  if (keyboard === false) {
+    removeAttribute(opening, 'keyboard');
+    setAttribute(j, opening, 'disableEscapeKeyDown', true);
+  } else {
+    ctx.dropProp(element, component, 'keyboard', 'Solo se traduce keyboard={false}', {
+      todo: keyboard === undefined,
+    });
+  }
+  ctx.dropProp(element, component, 'centered', 'Dialog ya está centrado');
+  if (getAttribute(opening, 'backdrop')) {
+    ctx.dropProp(element, component, 'backdrop', 'Usar onClose con reason "backdropClick" o hideBackdrop', { todo: true });
+  }
+  ctx.convert(element, component);
+}
+
+function transformHeader(ctx, element, component) {
+  ctx.dropProp(element, component, 'closeButton', 'DialogTitle no incluye botón de cierre; añadir un IconButton', { todo: true });
+  element.children = (element.children || []).reduce((children, child) => {
+    if (child.type === 'JSXElement' && ctx.resolve(child) === 'Modal.Title') {
+      ctx.consume(child);
+      return children.concat(child.children || []);
+    }
+    return children.concat(child);
+  }, []);
+  ctx.convert(element, component);
+}
+
+function transformModal(path, ctx, component) {
+  const element = path.node;
+  if (component === 'Modal') {
+    transformDialog(ctx, element, component);
+  } else if (component === 'Modal.Header') {
+    transformHeader(ctx, element, component);
+  } else {
+    ctx.convert(element, component);
+  }
+}
+
+module.exports = {
+  components: ['Modal', 'Modal.Header', 'Modal.Title', 'Modal.Body', 'Modal.Footer'],
+  transform: transformModal,
+};
@@ -0,0 +1,340 @@
+/**
+ * Navbar → AppBar + Toolbar.
+ *
+ *  - El contenido se envuelve en un Toolbar (si no lo tiene ya). Si la única
+ *    hija es un Container, el Toolbar va dentro de él, como en los ejemplos
+ *    de MUI.
+ *  - `fixed="top|bottom"` → `position="fixed"`, `sticky="top"` →
+ *    `position="sticky"`; por defecto `position="static"`, que es como se
+ *    comporta una Navbar de Bootstrap.
+ *  - `bg` pasa a `color` cuando hay equivalente; `variant` (color del
+ *    texto) se elimina porque AppBar calcula el contraste.
+ *  - Navbar.Brand → Typography variant="h6"; con `href` se renderiza como
+ *    enlace (`component="a"`). Solo se convierten las que están dentro de
+ *    una Navbar.
+ *  - Navbar.Toggle + Navbar.Collapse → IconButton que abre un Drawer con una
+ *    copia del contenido. `expand="lg"` se traduce al breakpoint `lg` de
+ *    MUI: por encima se muestra el contenido en línea y por debajo el botón.
+ *    El estado abierto/cerrado se declara con useState en el componente, o
+ *    se enlaza con `expanded`/`onToggle` si la Navbar ya era controlada.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  createElement,
+  childElements,
+  isBlankText,
+  attributeExpression,
+  cloneNode,
+  insertSiblingsAfter,
+} = require('../lib/jsx');
+const { mergeSxAttribute, BREAKPOINT_MAP } = require('../lib/sx');
+const { addStateHook, insideCallback, keepInCallback } = require('../lib/hooks');
+
+const COLOR_MAP = {
+  primary: 'primary',
+  secondary: 'secondary',
+  light: 'default',
+  transparent: 'transparent',
+};
+
+const DRAWER_WIDTH = 250;
+
+/**
+ * Breakpoint a partir del cual la Navbar se muestra expandida: `true` si
+ * nunca se colapsa (el valor por defecto de react-bootstrap) y `false` si
+ * siempre está colapsada.
+ */
+function readExpand(ctx, element, component) {
+  const { j } = ctx;
+  const attr = removeAttribute(element.openingElement, 'expand');
+  if (!attr) return true;
+  const expand = getLiteralValue(j, attr);
+  if (expand === true || expand === false) return expand;
+  if (BREAKPOINT_MAP[expand]) {
+    if (expand === 'xxl') {
+      ctx.approximate(element, component, 'expand="xxl" se aproxima con el breakpoint xl de MUI');
+    }
+    return BREAKPOINT_MAP[expand];
+  }
+  ctx.approximate(element, component, 'expand dinámico: se usa el breakpoint lg', { todo: true });
+  return 'lg';
+}
+
+/**
+ * Descendientes de la Navbar con un nombre canónico dado.
+ */
+function findInside(ctx, path, component) {
+  const { j } = ctx;
+  return j(path)
+    .find(j.JSXElement)
+    .filter(child => ctx.resolve(child.node) === component)
+    .paths();
+}
+
+/**
+ * Estado del Drawer: `expanded`/`onToggle` si la Navbar era controlada; si
+ * no, un useState nuevo. Devuelve `{ open, set(value) }` con nodos AST, o
+ * null si no hay dónde declarar el estado.
+ */
+function drawerState(ctx, path, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const expanded = removeAttribute(opening, 'expanded');
+  const onToggle = removeAttribute(opening, 'onToggle');
+  if (expanded && onToggle) {
+    return {
+      open: attributeExpression(j, expanded),
+      set: value => j.callExpression(attributeExpression(j, onToggle), [value]),
+    };
+  }
+  if (expanded || onToggle) {
+    ctx.approximate(element, component, 'expanded y onToggle deben ir juntos; se usa un estado local', { todo: true });
+  }
+  const state = addStateHook(ctx, path, 'navOpen', j.booleanLiteral(false));
+  if (!state) return null;
+  return {
+    open: j.identifier(state.value),
+    set: value => j.callExpression(j.identifier(state.setter), [value]),
+  };
+}
+
+/**
+ * Indica si la Navbar necesitará un useState propio para el Drawer: se
+ * colapsa, tiene Toggle o Collapse y no es controlada.
+ */
+function needsDrawerState(ctx, path) {
+  const { j } = ctx;
+  const opening = path.node.openingElement;
+  const expand = getAttribute(opening, 'expand');
+  if (!expand || getLiteralValue(j, expand) === true) return false;
+  if (getAttribute(opening, 'expanded') && getAttribute(opening, 'onToggle')) return false;
+  return findInside(ctx, path, 'Navbar.Toggle').length + findInside(ctx, path, 'Navbar.Collapse').length > 0;
+}
+
+function transformToggle(ctx, toggle, state, breakpoint) {
+  const { j } = ctx;
+  const opening = toggle.openingElement;
+  ctx.dropProp(toggle, 'Navbar.Toggle', 'onClick', 'El botón abre el Drawer de la navegación', { todo: true });
+  setAttribute(j, opening, 'onClick', j.arrowFunctionExpression([], state.set(j.booleanLiteral(true))));
+  if (breakpoint !== false) {
+    mergeSxAttribute(j, opening, { display: { [breakpoint]: 'none' } });
+  }
+  if (!(toggle.children || []).some(c => !isBlankText(c))) {
+    toggle.children = [createElement(j, ctx.useComponent('MenuIcon', '@mui/icons-material/Menu'))];
+    opening.selfClosing = false;
+    toggle.closingElement = j.jsxClosingElement(j.jsxIdentifier('IconButton'));
+  }
+  ctx.convert(toggle, 'Navbar.Toggle');
+}
+
+// Elementos cuyo clic cierra el Drawer: enlaces y opciones de los Menu de
+// los NavDropdown (el Menu está en un portal, pero el evento de React sube
+// igualmente hasta el Box)
+const CLOSE_ON_CLICK = 'a, [role="menuitem"]';
+
+/**
+ * Drawer con el contenido del Navbar.Collapse. Al pulsar un enlace o una
+ * opción de menú se cierra, como el `collapseOnSelect` de Bootstrap; el
+ * botón de un NavDropdown lo deja abierto para que su Menu tenga dónde
+ * anclarse.
+ */
+function buildDrawer(ctx, children, state, breakpoint) {
+  const { j } = ctx;
+  const close = j.arrowFunctionExpression([], state.set(j.booleanLiteral(false)));
+  const event = j.identifier('event');
+  const closeOnSelect = j.arrowFunctionExpression(
+    [event],
+    j.logicalExpression(
+      '&&',
+      j.callExpression(
+        j.memberExpression(j.memberExpression(event, j.identifier('target')), j.identifier('closest')),
+        [j.stringLiteral(CLOSE_ON_CLICK)]
+      ),
+      state.set(j.booleanLiteral(false))
+    )
+  );
+  const content = createElement(
+    j,
+    ctx.useComponent('Box'),
+    { onClick: closeOnSelect, sx: { width: DRAWER_WIDTH, p: 2 } },
+    children
+  );
+  const drawerProps = { open: state.open, onClose: close };
+  if (breakpoint !== false) {
+    drawerProps.sx = { display: { [breakpoint]: 'none' } };
+  }
+  return createElement(j, ctx.useComponent('Drawer'), drawerProps, [
+    j.jsxText('\n'),
+    content,
+    j.jsxText('\n'),
+  ]);
+}
+
+/**
+ * Navbar.Collapse → Box en línea a partir del breakpoint + Drawer para
+ * pantallas pequeñas. Con `expand={false}` solo queda el Drawer.
+ */
+function transformCollapse(ctx, collapsePath, state, breakpoint) {
+  const { j } = ctx;
+  const collapse = collapsePath.node;
+  const inlineSx = { display: 'flex', flexGrow: 1, alignItems: 'center' };
+
+  if (!state || breakpoint === true) {
+    mergeSxAttribute(j, collapse.openingElement, inlineSx);
+    ctx.convert(collapse, 'Navbar.Collapse');
+    return;
+  }
+  if (breakpoint === false) {
+    const drawer = buildDrawer(ctx, collapse.children || [], state, breakpoint);
+    ctx.report.converted(collapse, 'Navbar.Collapse', 'Drawer');
+    collapsePath.replace(drawer);
+    return;
+  }
+
+  // El original se queda en línea; la copia va al Drawer
+  const copies = cloneNode(collapse.children || []);
+  childElements({ children: copies })
+    .filter(child => ctx.resolve(child) === 'Nav')
+    .forEach(nav => {
+      ctx.annotator.snapshot(nav);
+      mergeSxAttribute(j, nav.openingElement, {
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'flex-start',
+      });
+    });
+  const drawer = buildDrawer(ctx, copies, state, breakpoint);
+  mergeSxAttribute(j, collapse.openingElement, {
+    ...inlineSx,
+    display: { xs: 'none', [breakpoint]: 'flex' },
+  });
+  ctx.convert(collapse, 'Navbar.Collapse');
+  insertSiblingsAfter(j, collapsePath, [drawer]);
+  const drawerPath = j(collapsePath.parent)
+    .find(j.JSXElement)
+    .filter(child => child.node === drawer)
+    .paths()[0];
+  if (drawerPath) {
+    ctx.transformSubtree(drawerPath);
+  }
+}
+
+function transformBrand(ctx, element) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  if (getAttribute(opening, 'href') && !getAttribute(opening, 'component')) {
+    setAttribute(j, opening, 'component', 'a');
+  }
+  ctx.convert(element, 'Navbar.Brand');
+  if (getLiteralValue(j, getAttribute(opening, 'component')) === 'a') {
+    mergeSxAttribute(j, opening, { color: 'inherit', textDecoration: 'none' });
+  }
+}
+
+/**
+ * Elemento cuyos hijos se envuelven en el Toolbar: la propia Navbar o su
+ * Container si es el único hijo.
+ */
+function toolbarHost(ctx, element) {
+  const meaningful = (element.children || []).filter(c => !isBlankText(c));
+  if (meaningful.length === 1 && meaningful[0].type === 'JSXElement' && ctx.resolve(meaningful[0]) === 'Container') {
+    return meaningful[0];
+  }
+  return element;
+}
+
+function transformAppBar(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+
+  const fixed = getLiteralValue(j, removeAttribute(opening, 'fixed'));
+  const sticky = getLiteralValue(j, removeAttribute(opening, 'sticky'));
+  if (fixed) {
+    setAttribute(j, opening, 'position', 'fixed');
+    if (fixed === 'bottom') {
+      mergeSxAttribute(j, opening, { top: 'auto', bottom: 0 });
+    }
+  } else if (sticky) {
+    setAttribute(j, opening, 'position', 'sticky');
+  }
+
+  const bg = getLiteralValue(j, getAttribute(opening, 'bg'));
+  if (COLOR_MAP[bg]) {
+    removeAttribute(opening, 'bg');
+    setAttribute(j, opening, 'color', COLOR_MAP[bg]);
+  } else if (bg === 'dark') {
+    removeAttribute(opening, 'bg');
+    mergeSxAttribute(j, opening, { bgcolor: 'grey.900' });
+  } else {
+    ctx.dropProp(element, component, 'bg', 'bg dinámico o sin equivalente en MUI', { todo: true });
+  }
+  ctx.dropProp(element, component, 'variant', 'AppBar calcula el color del texto a partir del fondo');
+  ctx.dropProp(element, component, 'collapseOnSelect', 'El Drawer se cierra al pulsar cualquier enlace');
+
+  const breakpoint = readExpand(ctx, element, component);
+  findInside(ctx, path, 'Navbar.Brand').forEach(brand => transformBrand(ctx, brand.node));
+  const toggles = findInside(ctx, path, 'Navbar.Toggle');
+  const collapses = findInside(ctx, path, 'Navbar.Collapse');
+  let state = null;
+  if (breakpoint !== true && (toggles.length || collapses.length)) {
+    state = drawerState(ctx, path, component);
+    if (!state) {
+      ctx.approximate(
+        element,
+        component,
+        'No hay un componente de función donde declarar el estado del Drawer; el menú se muestra siempre desplegado',
+        { todo: true }
+      );
+    }
+  }
+  toggles.forEach(toggle => {
+    if (state) {
+      transformToggle(ctx, toggle.node, state, breakpoint);
+    } else {
+      ctx.report.droppedProp(toggle.node, 'Navbar.Toggle', 'Navbar.Toggle', 'La Navbar no se colapsa');
+      ctx.consume(toggle.node);
+      j(toggle).remove();
+    }
+  });
+  collapses.forEach(collapse => transformCollapse(ctx, collapse, state, breakpoint));
+
+  const host = toolbarHost(ctx, element);
+  const hasToolbar = (host.children || []).some(
+    c =>
+      c.type === 'JSXElement' &&
+      c.openingElement.name.type === 'JSXIdentifier' &&
+      c.openingElement.name.name === 'Toolbar'
+  );
+  if (!hasToolbar) {
+    host.children = [
+      createElement(j, ctx.useComponent('Toolbar'), {}, host.children || []),
+    ];
+  }
+  ctx.convert(element, component);
+}
+
+function transformNavbar(path, ctx, component) {
+  if (component === 'Navbar') {
+    if (needsDrawerState(ctx, path) && insideCallback(ctx.j, path)) {
+      keepInCallback(ctx, path, component, ['Navbar']);
+      return;
+    }
+    transformAppBar(path, ctx, component);
+    return;
+  }
+  // Brand, Toggle y Collapse solo tienen sentido dentro de una Navbar, y esa
+  // regla ya los ha tratado
+  ctx.report.unmapped(path.node, component);
+  ctx.todo(path.node, `${component} fuera de una Navbar no se migra`);
+}
+
+module.exports = {
+  components: ['Navbar', 'Navbar.Brand', 'Navbar.Toggle', 'Navbar.Collapse'],
+  transform: transformNavbar,
+};
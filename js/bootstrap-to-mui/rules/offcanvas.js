@@ -0,0 +1,209 @@
+/**
+ * Offcanvas → Drawer.
+ *
+ *  - `show`→`open`, `onHide`→`onClose`; `placement` (start/end/top/bottom)
+ *    → `anchor` (left/right/top/bottom).
+ *  - `backdrop={false}` → `ModalProps={{ hideBackdrop: true }}`;
+ *    `backdrop="static"` filtra el `reason` "backdropClick" en onClose.
+ *    `scroll` → `disableScrollLock`; con `backdrop={false}` y `scroll` la
+ *    página sigue siendo usable, así que se usa `variant="persistent"`.
+ *  - `keyboard`, `enforceFocus`, `autoFocus` y `restoreFocus` a `false` →
+ *    las props `disable*` equivalentes en ModalProps.
+ *  - Offcanvas.Header → Box flex con un IconButton de cierre (CloseIcon)
+ *    que llama a onHide si tenía `closeButton`; Offcanvas.Title →
+ *    Typography; Offcanvas.Body → Box con scroll propio.
+ *  - El panel mantiene el tamaño de Bootstrap: 400px de ancho a los lados
+ *    y 30vh de alto arriba o abajo.
+ */
+
+const {
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  createElement,
+  isBlankText,
+  attributeExpression,
+  valueToNode,
+  invoke,
+  cloneNode,
+} = require('../lib/jsx');
+const { mergeSxAttribute } = require('../lib/sx');
+
+const ANCHOR_MAP = { start: 'left', end: 'right', top: 'top', bottom: 'bottom' };
+
+const PAPER_SIZE = {
+  left: { width: 400, maxWidth: '100%' },
+  right: { width: 400, maxWidth: '100%' },
+  top: { height: '30vh' },
+  bottom: { height: '30vh' },
+};
+
+// Props de react-bootstrap que solo se traducen con `{false}`
+const DISABLE_PROPS = {
+  keyboard: 'disableEscapeKeyDown',
+  enforceFocus: 'disableEnforceFocus',
+  autoFocus: 'disableAutoFocus',
+  restoreFocus: 'disableRestoreFocus',
+};
+
+const TRANSITION_CALLBACKS = ['onEnter', 'onEntering', 'onEntered', 'onExit', 'onExiting', 'onExited'];
+
+/**
+ * `placement` → `anchor`. Un valor dinámico se traduce en tiempo de
+ * ejecución: `{ start: 'left', end: 'right' }[placement] || placement`.
+ */
+function applyAnchor(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const attr = removeAttribute(opening, 'placement');
+  if (!attr) return 'left';
+  const placement = getLiteralValue(j, attr);
+  if (ANCHOR_MAP[placement]) {
+    setAttribute(j, opening, 'anchor', ANCHOR_MAP[placement]);
+    return ANCHOR_MAP[placement];
+  }
+  const expression = attributeExpression(j, attr);
+  setAttribute(
+    j,
+    opening,
+    'anchor',
+    j.logicalExpression(
+      '||',
+      j.memberExpression(valueToNode(j, { start: 'left', end: 'right' }), cloneNode(expression), true),
+      expression
+    )
+  );
+  ctx.approximate(element, component, 'placement dinámico: revisar el tamaño del panel');
+  return null;
+}
+
+/**
+ * onClose del Drawer a partir de onHide. Con `backdrop="static"` se ignora
+ * el clic fuera del panel.
+ */
+function closeHandler(j, onHide, staticBackdrop) {
+  if (!staticBackdrop) return onHide;
+  const event = j.identifier('event');
+  const reason = j.identifier('reason');
+  return j.arrowFunctionExpression(
+    [event, reason],
+    j.blockStatement([
+      j.ifStatement(
+        j.binaryExpression('!==', reason, j.stringLiteral('backdropClick')),
+        j.blockStatement([j.expressionStatement(invoke(j, cloneNode(onHide), [event]))])
+      ),
+    ])
+  );
+}
+
+function transformHeader(ctx, header, component, onHide) {
+  const { j } = ctx;
+  const closeAttr = removeAttribute(header.openingElement, 'closeButton');
+  const closeButton = getLiteralValue(j, closeAttr);
+  ctx.dropProp(header, component, 'closeLabel', 'Usar aria-label en el IconButton');
+  ctx.dropProp(header, component, 'closeVariant', 'El color del IconButton se controla con color/sx');
+  if (closeAttr && closeButton !== false) {
+    if (closeButton === undefined) {
+      ctx.approximate(header, component, 'closeButton dinámico: el botón de cierre se muestra siempre', { todo: true });
+    }
+    if (!onHide) {
+      ctx.approximate(header, component, 'Botón de cierre sin onHide: añadir su onClick', { todo: true });
+    }
+    const props = { 'aria-label': 'close' };
+    if (onHide) props.onClick = cloneNode(onHide);
+    const button = createElement(j, ctx.useComponent('IconButton'), props, [
+      createElement(j, ctx.useComponent('CloseIcon', '@mui/icons-material/Close')),
+    ]);
+    // Antes del espacio en blanco final, con la indentación de los hijos
+    const children = header.children || [];
+    const last = children[children.length - 1];
+    if (last && isBlankText(last)) {
+      const indent = children.length > 1 && isBlankText(children[0]) ? children[0].value : last.value;
+      children.splice(children.length - 1, 0, j.jsxText(indent), button);
+    } else {
+      children.push(button);
+    }
+    header.children = children;
+    if (header.openingElement.selfClosing) {
+      header.openingElement.selfClosing = false;
+      header.closingElement = j.jsxClosingElement(j.jsxIdentifier('Offcanvas'));
+    }
+  }
+  ctx.convert(header, component);
+}
+
+function convertOffcanvas(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+
+  const show = removeAttribute(opening, 'show');
+  setAttribute(j, opening, 'open', show ? attributeExpression(j, show) : false);
+  const onHide = attributeExpression(j, removeAttribute(opening, 'onHide'));
+
+  const modalProps = {};
+  const backdropAttr = removeAttribute(opening, 'backdrop');
+  const backdrop = backdropAttr ? getLiteralValue(j, backdropAttr) : true;
+  if (backdrop === undefined) {
+    ctx.approximate(element, component, 'backdrop dinámico: usar ModalProps.hideBackdrop', { todo: true });
+  }
+  const scroll = getLiteralValue(j, removeAttribute(opening, 'scroll'));
+  if (backdrop === false && scroll === true) {
+    setAttribute(j, opening, 'variant', 'persistent');
+  } else {
+    if (backdrop === false) modalProps.hideBackdrop = true;
+    if (scroll === true) modalProps.disableScrollLock = true;
+  }
+  Object.entries(DISABLE_PROPS).forEach(([from, to]) => {
+    const attr = removeAttribute(opening, from);
+    if (attr && getLiteralValue(j, attr) === false) {
+      modalProps[to] = true;
+    } else if (attr && getLiteralValue(j, attr) === undefined) {
+      ctx.approximate(element, component, `${from} dinámico: usar ModalProps.${to}`, { todo: true });
+    }
+  });
+  if (Object.keys(modalProps).length > 0) {
+    setAttribute(j, opening, 'ModalProps', modalProps);
+  }
+  if (onHide) {
+    setAttribute(j, opening, 'onClose', closeHandler(j, onHide, backdrop === 'static'));
+  } else {
+    ctx.approximate(element, component, 'Offcanvas sin onHide: el Drawer no se puede cerrar', { todo: true });
+  }
+
+  const slideProps = {};
+  TRANSITION_CALLBACKS.forEach(name => {
+    const attr = removeAttribute(opening, name);
+    if (attr) slideProps[name] = attributeExpression(j, attr);
+  });
+  if (Object.keys(slideProps).length > 0) {
+    setAttribute(j, opening, 'SlideProps', slideProps);
+  }
+  ctx.dropProp(element, component, 'onShow', 'Usar SlideProps.onEnter', { todo: true });
+  ctx.dropProp(element, component, 'responsive', 'El Drawer es siempre temporal; para mostrarlo en línea desde un breakpoint usar variant="permanent" con sx.display', { todo: true });
+  ctx.dropProp(element, component, 'renderStaticNode', 'Sin equivalente en Drawer');
+
+  const anchor = applyAnchor(ctx, element, component);
+  if (anchor) {
+    mergeSxAttribute(j, opening, { '& .MuiDrawer-paper': PAPER_SIZE[anchor] });
+  }
+
+  ctx.ownDescendants(path, 'Offcanvas.Header').forEach(header => {
+    transformHeader(ctx, header, 'Offcanvas.Header', onHide);
+  });
+  ctx.convert(element, component);
+}
+
+function transformOffcanvas(path, ctx, component) {
+  if (component === 'Offcanvas') {
+    convertOffcanvas(path, ctx, component);
+  } else {
+    // Header fuera de un Offcanvas: no hay onHide al que enlazar el cierre
+    transformHeader(ctx, path.node, component, null);
+  }
+}
+
+module.exports = {
+  components: ['Offcanvas', 'Offcanvas.Header'],
+  transform: transformOffcanvas,
+};
@@ -0,0 +1,514 @@
+/**
+ * OverlayTrigger + Tooltip / Popover → Tooltip o Popover de MUI.
+ *
+ * En react-bootstrap el OverlayTrigger envuelve al elemento que dispara el
+ * overlay y recibe el Tooltip o Popover en la prop `overlay`, escrito en
+ * línea, en una constante (`overlay={popover}`) o en una función
+ * (`overlay={renderTooltip}` con `(props) => <Tooltip {...props}>`). Las
+ * constantes y funciones que solo se usan como overlay se eliminan.
+ *
+ *  - Con un Tooltip el OverlayTrigger pasa a ser el Tooltip de MUI, que
+ *    también envuelve al elemento: el contenido va en `title` y se
+ *    conservan `placement` (`top` por defecto, como en Bootstrap), `delay`
+ *    (→ enterDelay/leaveDelay), `trigger` (→ disableHoverListener /
+ *    disableFocusListener) y `show`/`onToggle` (→ open/onOpen/onClose).
+ *  - Con un Popover se añade un estado con el elemento ancla
+ *      const [popoverAnchor, setPopoverAnchor] = useState(null);
+ *    el elemento que lo dispara lo guarda en su onClick (o en
+ *    onMouseEnter/onFocus según `trigger`) y a continuación se genera el
+ *    Popover con anchorEl/open/onClose; `placement` pasa a
+ *    anchorOrigin/transformOrigin. Popover.Header y Popover.Body → bloques
+ *    Typography con el relleno de Bootstrap.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  isBlankText,
+  childrenToExpression,
+  attributeExpression,
+  invoke,
+  returnedElement,
+  cloneNode,
+  insertSiblingsAfter,
+} = require('../lib/jsx');
+const { mergeSxAttribute } = require('../lib/sx');
+const { addStateHook, insideCallback, keepInCallback } = require('../lib/hooks');
+
+const DEFAULT_TRIGGERS = ['hover', 'focus'];
+
+// Evento que abre y evento que cierra el Popover para cada `trigger`
+const TRIGGER_EVENTS = {
+  click: ['onClick', null],
+  hover: ['onMouseEnter', 'onMouseLeave'],
+  focus: ['onFocus', 'onBlur'],
+};
+
+// Props de posicionamiento de Popper que MUI resuelve por su cuenta
+const IGNORED_TRIGGER_PROPS = ['flip', 'popperConfig', 'container', 'target'];
+const IGNORED_OVERLAY_PROPS = ['placement', 'arrowProps', 'popper', 'show', 'hasDoneInitialMeasure', 'body', 'bsPrefix'];
+
+/**
+ * anchorOrigin/transformOrigin de un Popover a partir de `placement`
+ * (`right`, `top-start`…), o null si no es reconocible.
+ */
+function popoverOrigins(placement) {
+  const m = typeof placement === 'string' && placement.match(/^(top|bottom|left|right)(?:-(start|end))?$/);
+  if (!m) return null;
+  const [, side, align] = m;
+  if (side === 'top' || side === 'bottom') {
+    const horizontal = { start: 'left', end: 'right' }[align] || 'center';
+    return {
+      anchorOrigin: { vertical: side, horizontal },
+      transformOrigin: { vertical: side === 'top' ? 'bottom' : 'top', horizontal },
+    };
+  }
+  const vertical = { start: 'top', end: 'bottom' }[align] || 'center';
+  return {
+    anchorOrigin: { vertical, horizontal: side },
+    transformOrigin: { vertical, horizontal: side === 'left' ? 'right' : 'left' },
+  };
+}
+
+/**
+ * Lista de `trigger` (`"click"`, `{['hover', 'focus']}`), la de Bootstrap si
+ * no hay, o null si es dinámica.
+ */
+function readTriggers(j, attr) {
+  if (!attr) return DEFAULT_TRIGGERS;
+  const value = getLiteralValue(j, attr);
+  if (typeof value === 'string') return [value];
+  const expression = attributeExpression(j, attr);
+  if (expression.type === 'ArrayExpression' && expression.elements.every(e => e && j.Literal.check(e))) {
+    return expression.elements.map(e => e.value);
+  }
+  return null;
+}
+
+/**
+ * `delay` → `{ enter, leave }` (nodos), o null si es dinámico.
+ */
+function readDelay(j, attr) {
+  const expression = attributeExpression(j, attr);
+  if (j.Literal.check(expression) && typeof expression.value === 'number') {
+    return { enter: expression, leave: cloneNode(expression) };
+  }
+  if (expression.type !== 'ObjectExpression') return null;
+  const delay = {};
+  for (const property of expression.properties) {
+    const key = property.key && (property.key.name || property.key.value);
+    if (key !== 'show' && key !== 'hide') return null;
+    delay[key === 'show' ? 'enter' : 'leave'] = property.value;
+  }
+  return delay;
+}
+
+/**
+ * Nombre de la constante o función que define `element` (`const popover =
+ * <Popover>…` o `const renderTooltip = props => <Tooltip>…`), o null.
+ */
+function definitionName(path) {
+  for (let current = path.parent; current; current = current.parent) {
+    const node = current.node;
+    if (node.type === 'VariableDeclarator') {
+      return node.id.type === 'Identifier' ? node.id.name : null;
+    }
+    if (node.type === 'FunctionDeclaration') return node.id ? node.id.name : null;
+    if (node.type === 'JSXElement' || node.type === 'JSXAttribute' || node.type === 'CallExpression') return null;
+  }
+  return null;
+}
+
+/**
+ * Indica si el Tooltip/Popover de `path` está definido aparte para usarse
+ * en el `overlay` de un OverlayTrigger; lo convierte la regla de este.
+ */
+function isOverlayDefinition(ctx, path) {
+  const { j, root } = ctx;
+  const name = definitionName(path);
+  if (!name) return false;
+  return root
+    .find(j.JSXAttribute, { name: { name: 'overlay' } })
+    .filter(attr => {
+      const expression = attributeExpression(j, attr.node);
+      return expression && expression.type === 'Identifier' && expression.name === name;
+    })
+    .size() > 0;
+}
+
+/**
+ * Usos de un identificador distintos de su declaración. Con `exceptOverlay`
+ * no cuentan los `overlay={name}` de otros OverlayTrigger.
+ */
+function referenceCount(ctx, binding, { exceptOverlay = false } = {}) {
+  const { j, root } = ctx;
+  return root
+    .find(j.Identifier, { name: binding.node.name })
+    .filter(path => {
+      const parent = path.parent.node;
+      if (path.node === binding.node) return false;
+      if ((parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression') && parent.property === path.node && !parent.computed) {
+        return false;
+      }
+      if (exceptOverlay && parent.type === 'JSXExpressionContainer') {
+        const attr = path.parent.parent.node;
+        if (attr.type === 'JSXAttribute' && attr.name.name === 'overlay') return false;
+      }
+      return !((parent.type === 'Property' || parent.type === 'ObjectProperty') && parent.key === path.node && !parent.computed && !parent.shorthand);
+    })
+    .size();
+}
+
+/**
+ * Elemento del `overlay`. Devuelve `{ element, param, binding, shared }`:
+ * `param` es el nombre del parámetro de la función de render (sus
+ * `{...props}` se descartan) y `binding` la ruta del identificador
+ * declarado, si el overlay está definido aparte. Si otros OverlayTrigger
+ * usan la misma definición (`shared`) se trabaja sobre una copia; si no, se
+ * mueve el original para que recast conserve su código.
+ */
+function overlayDefinition(ctx, path, expression) {
+  if (!expression) return null;
+  if (expression.type === 'JSXElement') return { element: expression, param: null, binding: null };
+  const inlineElement = returnedElement(expression);
+  if (inlineElement) {
+    const param = expression.params[0];
+    return { element: inlineElement, param: param && param.type === 'Identifier' ? param.name : null, binding: null };
+  }
+  if (expression.type !== 'Identifier') return null;
+  const scope = path.scope && path.scope.lookup(expression.name);
+  const binding = scope && scope.getBindings()[expression.name][0];
+  if (!binding) return null;
+  const declaration = binding.parent.node;
+  let fn = null;
+  let element = null;
+  if (declaration.type === 'VariableDeclarator' && declaration.id === binding.node && declaration.init) {
+    if (declaration.init.type === 'JSXElement') {
+      element = declaration.init;
+    } else {
+      fn = declaration.init;
+      element = returnedElement(fn);
+    }
+  } else if (declaration.type === 'FunctionDeclaration') {
+    fn = { ...declaration, type: 'FunctionExpression' };
+    element = returnedElement(fn);
+  }
+  if (!element) return null;
+  const param = fn && fn.params[0];
+  // El `overlay` de este OverlayTrigger ya se ha quitado: cualquier otro uso es ajeno
+  const shared = referenceCount(ctx, binding) > 0;
+  return {
+    element: shared ? cloneNode(element) : element,
+    param: param && param.type === 'Identifier' ? param.name : null,
+    binding,
+    shared,
+  };
+}
+
+/**
+ * Quita del overlay el `{...props}` que pasaba la función de render.
+ */
+function dropRenderProps(ctx, overlay, param) {
+  const { j } = ctx;
+  const opening = overlay.openingElement;
+  opening.attributes = opening.attributes.filter(
+    a => !(param && a.type === 'JSXSpreadAttribute' && a.argument.type === 'Identifier' && a.argument.name === param)
+  );
+  return !param || j(overlay).find(j.Identifier, { name: param }).size() === 0;
+}
+
+/**
+ * Único elemento hijo del OverlayTrigger, o null (texto, varios elementos o
+ * una función de render `{({ ref, ...props }) => …}`).
+ */
+function triggerChild(element) {
+  const meaningful = (element.children || []).filter(c => !isBlankText(c));
+  return meaningful.length === 1 && meaningful[0].type === 'JSXElement' ? meaningful[0] : null;
+}
+
+/**
+ * OverlayTrigger + Tooltip → Tooltip de MUI alrededor del mismo hijo.
+ */
+function convertTooltip(ctx, path, tooltip) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const component = 'OverlayTrigger';
+
+  const title = childrenToExpression(j, tooltip.children || []);
+  if (!title) {
+    ctx.approximate(element, component, 'Tooltip sin contenido: completar title', { todo: true });
+  }
+  setAttribute(j, opening, 'title', title || '');
+  const id = getAttribute(tooltip.openingElement, 'id');
+  if (id) setAttribute(j, opening, 'id', attributeExpression(j, id));
+  ['className', 'style'].forEach(name => {
+    if (getAttribute(tooltip.openingElement, name)) {
+      ctx.report.droppedProp(element, 'Tooltip', name, 'Usar slotProps.tooltip del Tooltip');
+    }
+  });
+
+  const placementAttr = removeAttribute(opening, 'placement');
+  const placement = placementAttr ? getLiteralValue(j, placementAttr) : 'top';
+  if (typeof placement === 'string' && placement.startsWith('auto')) {
+    ctx.approximate(element, component, 'placement="auto" sin equivalente: el Tooltip se coloca debajo y Popper lo voltea si no cabe');
+  } else if (placementAttr && typeof placement !== 'string') {
+    setAttribute(j, opening, 'placement', attributeExpression(j, placementAttr));
+  } else {
+    setAttribute(j, opening, 'placement', placement);
+  }
+  // Los tooltips de Bootstrap llevan flecha
+  setAttribute(j, opening, 'arrow', true);
+
+  const delayAttr = removeAttribute(opening, 'delay');
+  if (delayAttr) {
+    const delay = readDelay(j, delayAttr);
+    if (delay) {
+      if (delay.enter) setAttribute(j, opening, 'enterDelay', delay.enter);
+      if (delay.leave) setAttribute(j, opening, 'leaveDelay', delay.leave);
+    } else {
+      ctx.approximate(element, component, 'delay dinámico: usar enterDelay y leaveDelay', { todo: true });
+    }
+  }
+
+  const triggers = readTriggers(j, removeAttribute(opening, 'trigger'));
+  if (!triggers) {
+    ctx.approximate(element, component, 'trigger dinámico: usar disableHoverListener/disableFocusListener', { todo: true });
+  } else {
+    if (!triggers.includes('hover')) setAttribute(j, opening, 'disableHoverListener', true);
+    if (!triggers.includes('focus')) setAttribute(j, opening, 'disableFocusListener', true);
+    if (triggers.includes('click')) {
+      ctx.approximate(
+        element,
+        component,
+        'Tooltip al hacer clic: controlar open/onClose con un estado y un ClickAwayListener',
+        { todo: true }
+      );
+    }
+  }
+
+  const show = attributeExpression(j, removeAttribute(opening, 'show'));
+  const onToggle = attributeExpression(j, removeAttribute(opening, 'onToggle'));
+  if (show) setAttribute(j, opening, 'open', show);
+  if (onToggle) {
+    setAttribute(j, opening, 'onOpen', j.arrowFunctionExpression([], j.callExpression(onToggle, [j.booleanLiteral(true)])));
+    setAttribute(j, opening, 'onClose', j.arrowFunctionExpression([], j.callExpression(cloneNode(onToggle), [j.booleanLiteral(false)])));
+  }
+  ctx.dropProp(element, component, 'defaultShow', 'El Tooltip no controlado empieza cerrado: usar open con un estado', { todo: true });
+  ctx.dropProp(element, component, 'rootClose', 'El Tooltip se cierra solo al salir del elemento');
+  IGNORED_TRIGGER_PROPS.forEach(name => {
+    ctx.dropProp(element, component, name, 'El Tooltip de MUI posiciona su Popper por su cuenta');
+  });
+
+  ctx.convert(element, component, 'Tooltip');
+  // El contenido de `title` no estaba en el recorrido principal
+  ctx.transformSubtree(path);
+}
+
+/**
+ * Manejador que guarda el ancla (o la borra) y llama al que ya tenía el
+ * elemento: `event => { setPopoverAnchor(event.currentTarget); onClick(event); }`.
+ */
+function anchorHandler(j, setter, value, existing) {
+  const event = j.identifier('event');
+  const update = j.callExpression(j.identifier(setter), [value]);
+  if (!existing) return j.arrowFunctionExpression(j.NullLiteral.check(value) ? [] : [event], update);
+  return j.arrowFunctionExpression(
+    [event],
+    j.blockStatement([j.expressionStatement(update), j.expressionStatement(invoke(j, existing, [event]))])
+  );
+}
+
+/**
+ * Popover.Header / Popover.Body → Typography; `as` → `component`.
+ */
+function convertPart(ctx, part, component) {
+  const { j } = ctx;
+  const as = removeAttribute(part.openingElement, 'as');
+  if (as) setAttribute(j, part.openingElement, 'component', attributeExpression(j, as));
+  ctx.convert(part, component);
+}
+
+/**
+ * OverlayTrigger + Popover → el hijo con los manejadores que guardan el
+ * ancla y, a continuación, el Popover de MUI.
+ */
+function convertPopover(ctx, path, popover, child) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const component = 'OverlayTrigger';
+  const popoverOpening = popover.openingElement;
+
+  IGNORED_OVERLAY_PROPS.forEach(name => removeAttribute(popoverOpening, name));
+  ctx.dropProp(element, component, 'show', 'El Popover se abre con el estado generado', { todo: true });
+  ctx.dropProp(element, component, 'onToggle', 'El Popover se abre con el estado generado', { todo: true });
+  ctx.dropProp(element, component, 'defaultShow', 'El Popover se abre con el estado generado', { todo: true });
+  ctx.dropProp(element, component, 'delay', 'El Popover de MUI se abre y cierra sin retardo');
+  ctx.dropProp(element, component, 'rootClose', 'El Popover se cierra al hacer clic fuera (onClose)');
+  IGNORED_TRIGGER_PROPS.forEach(name => {
+    ctx.dropProp(element, component, name, 'El Popover se coloca con anchorOrigin/transformOrigin');
+  });
+
+  const placementAttr = removeAttribute(opening, 'placement');
+  const placement = placementAttr ? getLiteralValue(j, placementAttr) : 'top';
+  const origins = popoverOrigins(placement);
+  if (origins) {
+    setAttribute(j, popoverOpening, 'anchorOrigin', origins.anchorOrigin);
+    setAttribute(j, popoverOpening, 'transformOrigin', origins.transformOrigin);
+  } else {
+    ctx.approximate(element, component, 'placement dinámico o "auto": ajustar anchorOrigin y transformOrigin', { todo: true });
+  }
+
+  const triggers = readTriggers(j, removeAttribute(opening, 'trigger'));
+  if (!triggers) {
+    ctx.approximate(element, component, 'trigger dinámico: el Popover se abre al hacer clic', { todo: true });
+  }
+  const events = triggers || ['click'];
+
+  const state = addStateHook(ctx, path, 'popoverAnchor', j.nullLiteral());
+  if (state) {
+    const anchor = j.identifier(state.value);
+    const childOpening = child.openingElement;
+    events.forEach(trigger => {
+      const [openEvent, closeEvent] = TRIGGER_EVENTS[trigger] || [];
+      if (!openEvent) return;
+      const opened = j.memberExpression(j.identifier('event'), j.identifier('currentTarget'));
+      const existingOpen = attributeExpression(j, getAttribute(childOpening, openEvent));
+      setAttribute(j, childOpening, openEvent, anchorHandler(j, state.setter, opened, existingOpen));
+      if (closeEvent) {
+        const existingClose = attributeExpression(j, getAttribute(childOpening, closeEvent));
+        setAttribute(j, childOpening, closeEvent, anchorHandler(j, state.setter, j.nullLiteral(), existingClose));
+      }
+    });
+    setAttribute(j, popoverOpening, 'open', j.callExpression(j.identifier('Boolean'), [anchor]));
+    setAttribute(j, popoverOpening, 'anchorEl', cloneNode(anchor));
+    setAttribute(
+      j,
+      popoverOpening,
+      'onClose',
+      j.arrowFunctionExpression([], j.callExpression(j.identifier(state.setter), [j.nullLiteral()]))
+    );
+  } else {
+    setAttribute(j, popoverOpening, 'open', false);
+    ctx.approximate(
+      popover,
+      'Popover',
+      'No hay un componente de función donde declarar el estado del Popover; añadir anchorEl/open/onClose',
+      { todo: true }
+    );
+  }
+  // Sin clic, el Popover no debe tapar al elemento que lo abre al pasar el ratón
+  if (!events.includes('click')) {
+    mergeSxAttribute(j, popoverOpening, { pointerEvents: 'none' });
+    setAttribute(j, popoverOpening, 'disableRestoreFocus', true);
+  }
+
+  j(popover)
+    .find(j.JSXElement)
+    .forEach(part => {
+      const name = ctx.resolve(part.node);
+      if (name === 'Popover.Header' || name === 'Popover.Body') convertPart(ctx, part.node, name);
+    });
+  ctx.consume(element);
+  ctx.report.converted(element, component, 'Fragment');
+  ctx.convert(popover, 'Popover');
+  path.replace(child);
+  insertSiblingsAfter(j, path, [popover]);
+
+  // El resto del contenido del Popover no estaba en el recorrido principal
+  ctx.root
+    .find(j.JSXElement)
+    .filter(candidate => candidate.node === popover)
+    .forEach(popoverPath => ctx.transformSubtree(popoverPath));
+}
+
+function convertTrigger(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const overlayAttr = removeAttribute(element.openingElement, 'overlay');
+  const definition = overlayDefinition(ctx, path, attributeExpression(j, overlayAttr));
+  const kind = definition && ctx.resolve(definition.element);
+  const child = triggerChild(element);
+  if (!child || (kind !== 'Tooltip' && kind !== 'Popover')) {
+    if (overlayAttr) {
+      element.openingElement.attributes.push(overlayAttr);
+      // El Tooltip/Popover en línea se queda de react-bootstrap con su OverlayTrigger
+      j(overlayAttr).find(j.JSXElement).forEach(overlayPath => ctx.consume(overlayPath.node));
+    }
+    ctx.report.unmapped(element, component);
+    ctx.todo(
+      element,
+      child
+        ? 'overlay no reconocido: crear el Tooltip o Popover de MUI a mano'
+        : 'OverlayTrigger sin un único elemento hijo: envolverlo en un Tooltip o Popover de MUI a mano'
+    );
+    return;
+  }
+  if (kind === 'Popover' && insideCallback(j, path)) {
+    element.openingElement.attributes.push(overlayAttr);
+    keepInCallback(ctx, path, component, ['Popover', 'Tooltip']);
+    // El Popover definido fuera del callback sigue siendo el de react-bootstrap
+    ctx.consume(definition.element);
+    j(definition.element)
+      .find(j.JSXElement)
+      .filter(part => /^Popover\./.test(ctx.resolve(part.node) || ''))
+      .forEach(part => ctx.consume(part.node));
+    return;
+  }
+
+  const overlay = definition.element;
+  ctx.consume(overlay);
+  if (overlay.extra && overlay.extra.parenthesized) {
+    overlay.extra = { ...overlay.extra, parenthesized: false };
+  }
+  if (!dropRenderProps(ctx, overlay, definition.param)) {
+    ctx.approximate(element, component, `El overlay usa las props de "${definition.param}": revisarlo`, { todo: true });
+  }
+  if (kind === 'Tooltip') {
+    convertTooltip(ctx, path, overlay);
+  } else {
+    convertPopover(ctx, path, overlay, child);
+  }
+
+  // La definición desaparece con su último OverlayTrigger
+  if (definition.binding && !definition.shared) {
+    j(definition.binding.parent).remove();
+  } else if (definition.binding && referenceCount(ctx, definition.binding, { exceptOverlay: true }) > 0) {
+    ctx.approximate(
+      definition.binding.parent.node,
+      kind,
+      `"${definition.binding.node.name}" se usa fuera de un OverlayTrigger: convertirlo a mano`,
+      { todo: true }
+    );
+  }
+}
+
+function transformOverlay(path, ctx, component) {
+  if (component === 'OverlayTrigger') {
+    convertTrigger(path, ctx, component);
+    return;
+  }
+  // Definido aparte para un OverlayTrigger: lo convierte su regla
+  if ((component === 'Tooltip' || component === 'Popover') && isOverlayDefinition(ctx, path)) return;
+  if (component === 'Popover.Header' || component === 'Popover.Body') {
+    convertPart(ctx, path.node, component);
+    return;
+  }
+  ctx.convert(path.node, component);
+  ctx.approximate(
+    path.node,
+    component,
+    component === 'Tooltip'
+      ? 'Tooltip de MUI envuelve al elemento que lo dispara (title/placement): revisar cómo se muestra'
+      : 'Popover fuera de un OverlayTrigger: añadir anchorEl/open/onClose',
+    { todo: true }
+  );
+}
+
+module.exports = {
+  components: ['OverlayTrigger', 'Tooltip', 'Popover', 'Popover.Header', 'Popover.Body'],
+  transform: transformOverlay,
+};
@@ -0,0 +1,352 @@
+/**
+ * Pagination → Pagination (count/page/onChange) o PaginationItem.
+ *
+ * El Pagination de react-bootstrap se compone a mano con hijos
+ * Pagination.First/Prev/Item/Ellipsis/Next/Last; el de MUI genera los
+ * botones a partir de `count` y `page`. Se distinguen dos casos:
+ *
+ *  - El patrón habitual de recorrer las páginas:
+ *      <Pagination>
+ *        <Pagination.Prev />
+ *        {pages.map(n => (
+ *          <Pagination.Item key={n} active={n === page} onClick={() => go(n)}>{n}</Pagination.Item>
+ *        ))}
+ *        <Pagination.Next />
+ *      </Pagination>
+ *    → <Pagination count={pages.length} page={page} onChange={(event, value) => go(value)} />
+ *    `count` sale de `Array.from({ length: N }, (_, i) => i + 1)` o de
+ *    `pages.length`; `page` de la comparación de `active`, y `onChange` del
+ *    onClick del Item. También se reconoce el recorrido por índice
+ *    (`(_, i) => <Pagination.Item active={i + 1 === page} …>`). Un Array.from
+ *    cuyas páginas no van de 1 a N se trata como estructura propia. Sin
+ *    First/Last se omiten esos botones (`showFirstButton`/`showLastButton`)
+ *    y sin Prev/Next se ocultan (`hidePrevButton`/`hideNextButton`).
+ *  - Cualquier otra estructura (Items escritos a mano, un array `{items}`
+ *    construido en un bucle…) se conserva: Pagination pasa a un Box flex y
+ *    cada hijo a un PaginationItem con su `type`.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  childElements,
+  isBlankText,
+  childrenToExpression,
+  attributeExpression,
+  cloneNode,
+  returnedElement,
+} = require('../lib/jsx');
+const { mergeSxAttribute } = require('../lib/sx');
+
+// Subcomponente → `type` de PaginationItem
+const ITEM_TYPES = {
+  'Pagination.First': 'first',
+  'Pagination.Prev': 'previous',
+  'Pagination.Item': 'page',
+  'Pagination.Ellipsis': 'start-ellipsis',
+  'Pagination.Next': 'next',
+  'Pagination.Last': 'last',
+};
+
+const SIZE_MAP = { sm: 'small', lg: 'large' };
+
+/**
+ * Sustituye en una copia de `node` los identificadores `from` por `to`
+ * (sin tocar propiedades `a.from` ni claves `{ from: … }`).
+ */
+function renameIdentifier(j, node, from, to) {
+  const copy = cloneNode(node);
+  const wrapper = j.expressionStatement(copy.type === 'BlockStatement' ? j.arrowFunctionExpression([], copy) : copy);
+  j(wrapper)
+    .find(j.Identifier, { name: from })
+    .filter(path => {
+      const parent = path.parent.node;
+      if ((parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression') && parent.property === path.node && !parent.computed) {
+        return false;
+      }
+      return !((parent.type === 'Property' || parent.type === 'ObjectProperty') && parent.key === path.node && !parent.computed);
+    })
+    .forEach(path => {
+      path.node.name = to;
+    });
+  return copy.type === 'BlockStatement' ? wrapper.expression.body : wrapper.expression;
+}
+
+/**
+ * Indica si `node` es `name + 1` (o `1 + name`).
+ */
+function isPlusOne(node, name) {
+  if (!node || node.type !== 'BinaryExpression' || node.operator !== '+') return false;
+  const isName = side => side.type === 'Identifier' && side.name === name;
+  const isOne = side => (side.type === 'NumericLiteral' || side.type === 'Literal') && side.value === 1;
+  return (isName(node.left) && isOne(node.right)) || (isOne(node.left) && isName(node.right));
+}
+
+/**
+ * Sustituye en una copia de `node` la página calculada a partir del índice
+ * (`index + 1`) por `value`, y el resto de usos del índice por `value - 1`.
+ */
+function replaceIndexPage(j, node, index) {
+  const copy = cloneNode(node);
+  const wrapper = j.expressionStatement(copy.type === 'BlockStatement' ? j.arrowFunctionExpression([], copy) : copy);
+  j(wrapper)
+    .find(j.BinaryExpression)
+    .filter(path => isPlusOne(path.node, index))
+    .forEach(path => path.replace(j.identifier('value')));
+  j(wrapper)
+    .find(j.Identifier, { name: index })
+    .filter(path => {
+      const parent = path.parent.node;
+      if ((parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression') && parent.property === path.node && !parent.computed) {
+        return false;
+      }
+      return !((parent.type === 'Property' || parent.type === 'ObjectProperty') && parent.key === path.node && !parent.computed);
+    })
+    .forEach(path => path.replace(j.binaryExpression('-', j.identifier('value'), j.numericLiteral(1))));
+  return copy.type === 'BlockStatement' ? wrapper.expression.body : wrapper.expression;
+}
+
+/**
+ * Reconoce `{pages.map(n => <Pagination.Item active={n === page} …>)}` y
+ * `{pages.map((_, i) => <Pagination.Item active={i + 1 === page} …>)}`.
+ * Devuelve `{ list, param, index, item }` o null.
+ */
+function matchPageLoop(ctx, container) {
+  const { j } = ctx;
+  const call = container.expression;
+  if (
+    !call ||
+    call.type !== 'CallExpression' ||
+    call.callee.type !== 'MemberExpression' ||
+    call.callee.computed ||
+    call.callee.property.name !== 'map'
+  ) {
+    return null;
+  }
+  const callback = call.arguments[0];
+  const item = returnedElement(callback);
+  if (!item || ctx.resolve(item) !== 'Pagination.Item') return null;
+  const [param, index] = callback.params;
+  const name = node => (node && node.type === 'Identifier' ? node.name : null);
+  return { list: call.callee.object, param: name(param), index: name(index), item };
+}
+
+/**
+ * Página actual a partir de `active={n === page}` (o `page === n`);
+ * `isPage` reconoce la página del recorrido (`n` o `i + 1`).
+ */
+function currentPage(j, item, isPage) {
+  const active = attributeExpression(j, getAttribute(item.openingElement, 'active'));
+  if (!active || active.type !== 'BinaryExpression' || !['===', '=='].includes(active.operator)) return null;
+  if (isPage(active.left)) return active.right;
+  if (isPage(active.right)) return active.left;
+  return null;
+}
+
+/**
+ * Indica si la función de Array.from genera las páginas de 1 a N:
+ * `(_, i) => i + 1`.
+ */
+function countsFromOne(mapper) {
+  if (!mapper || !['ArrowFunctionExpression', 'FunctionExpression'].includes(mapper.type)) return false;
+  const index = mapper.params[1];
+  if (!index || index.type !== 'Identifier') return false;
+  let body = mapper.body;
+  if (body.type === 'BlockStatement') {
+    const [statement] = body.body;
+    body = body.body.length === 1 && statement.type === 'ReturnStatement' ? statement.argument : null;
+  }
+  return isPlusOne(body, index.name);
+}
+
+/**
+ * `count` a partir de la lista recorrida. Devuelve `{ count, exact }`, o
+ * null si es un Array.from cuyas páginas no van de 1 a N. Con `byIndex`
+ * las páginas son `i + 1`, así que van de 1 a la longitud de la lista sea
+ * cual sea su contenido.
+ */
+function pageCount(j, list, byIndex) {
+  const isArrayFrom =
+    list.type === 'CallExpression' &&
+    list.callee.type === 'MemberExpression' &&
+    list.callee.object.type === 'Identifier' &&
+    list.callee.object.name === 'Array' &&
+    list.callee.property.name === 'from' &&
+    list.arguments[0] &&
+    list.arguments[0].type === 'ObjectExpression';
+  if (isArrayFrom) {
+    const length = list.arguments[0].properties.find(
+      p => p.key && (p.key.name === 'length' || p.key.value === 'length')
+    );
+    if (length) {
+      return byIndex || countsFromOne(list.arguments[1]) ? { count: length.value, exact: true } : null;
+    }
+  }
+  return { count: j.memberExpression(cloneNode(list), j.identifier('length')), exact: byIndex };
+}
+
+/**
+ * `onChange` de Pagination a partir del onClick del Item: la variable de
+ * la página (o `i + 1` si se recorre por índice) pasa a ser `value`.
+ */
+function changeHandler(j, onClick, loop, byIndex) {
+  const event = j.identifier('event');
+  const value = j.identifier('value');
+  if (onClick.type === 'ArrowFunctionExpression' || onClick.type === 'FunctionExpression') {
+    let body = byIndex
+      ? replaceIndexPage(j, onClick.body, loop.index)
+      : renameIdentifier(j, onClick.body, loop.param, 'value');
+    const eventParam = onClick.params[0];
+    if (eventParam && eventParam.type === 'Identifier') {
+      body = renameIdentifier(j, body, eventParam.name, 'event');
+    }
+    return { handler: j.arrowFunctionExpression([event, value], body), exact: onClick.params.length <= 1 };
+  }
+  return {
+    handler: j.arrowFunctionExpression([event, value], j.callExpression(cloneNode(onClick), [event])),
+    exact: false,
+  };
+}
+
+/**
+ * Convierte el patrón de recorrido de páginas. Devuelve false si los hijos
+ * no siguen ese patrón.
+ */
+function convertPageLoop(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const children = (element.children || []).filter(c => !isBlankText(c));
+  const loops = children.filter(c => c.type === 'JSXExpressionContainer');
+  const parts = children.filter(c => c.type === 'JSXElement').map(c => ctx.resolve(c));
+  if (loops.length !== 1 || children.length !== loops.length + parts.length) return false;
+  if (parts.some(part => !ITEM_TYPES[part] || part === 'Pagination.Item')) return false;
+  const loop = matchPageLoop(ctx, loops[0]);
+  if (!loop) return false;
+  const isParam = node => Boolean(loop.param) && node.type === 'Identifier' && node.name === loop.param;
+  let byIndex = false;
+  let page = currentPage(j, loop.item, isParam);
+  if (!page && loop.index) {
+    byIndex = true;
+    page = currentPage(j, loop.item, node => isPlusOne(node, loop.index));
+  }
+  if (!page) return false;
+
+  const pages = pageCount(j, loop.list, byIndex);
+  if (!pages) {
+    ctx.approximate(
+      element,
+      component,
+      'Las páginas de Array.from no van de 1 a length: se conservan como PaginationItem',
+      { todo: true }
+    );
+    return false;
+  }
+  const { count, exact } = pages;
+  setAttribute(j, opening, 'count', count);
+  setAttribute(j, opening, 'page', cloneNode(page));
+  if (!exact) {
+    ctx.approximate(element, component, 'count se deduce de la longitud de la lista: comprobar que las páginas van de 1 a count', { todo: true });
+  }
+  const onClick = attributeExpression(j, getAttribute(loop.item.openingElement, 'onClick'));
+  if (onClick) {
+    const change = changeHandler(j, onClick, loop, byIndex);
+    setAttribute(j, opening, 'onChange', change.handler);
+    if (!change.exact) {
+      ctx.approximate(element, component, 'onChange generado a partir del onClick de Pagination.Item: revisar sus argumentos', { todo: true });
+    }
+  } else {
+    ctx.approximate(element, component, 'Pagination.Item sin onClick: añadir onChange', { todo: true });
+  }
+  if (parts.includes('Pagination.First')) setAttribute(j, opening, 'showFirstButton', true);
+  if (parts.includes('Pagination.Last')) setAttribute(j, opening, 'showLastButton', true);
+  if (!parts.includes('Pagination.Prev')) setAttribute(j, opening, 'hidePrevButton', true);
+  if (!parts.includes('Pagination.Next')) setAttribute(j, opening, 'hideNextButton', true);
+  if (parts.some(part => part !== 'Pagination.Ellipsis')) {
+    ctx.approximate(element, component, 'First/Prev/Next/Last los genera Pagination: sus onClick se sustituyen por onChange');
+  }
+
+  // Los hijos originales dejan de existir
+  j(element)
+    .find(j.JSXElement)
+    .forEach(path => ctx.consume(path.node));
+  element.children = [];
+  opening.selfClosing = true;
+  element.closingElement = null;
+  ctx.convert(element, component);
+  return true;
+}
+
+/**
+ * Pagination.* → PaginationItem con su `type`.
+ */
+function convertItem(ctx, item, component) {
+  const { j } = ctx;
+  const opening = item.openingElement;
+  const type = ITEM_TYPES[component];
+  if (type !== 'page') {
+    setAttribute(j, opening, 'type', type);
+  }
+  const active = removeAttribute(opening, 'active');
+  if (active) {
+    active.name = j.jsxIdentifier('selected');
+    opening.attributes.push(active);
+  }
+  if (getAttribute(opening, 'href') && !getAttribute(opening, 'as')) {
+    setAttribute(j, opening, 'component', 'a');
+  }
+  const as = removeAttribute(opening, 'as');
+  if (as) {
+    setAttribute(j, opening, 'component', attributeExpression(j, as));
+  }
+  ctx.dropProp(item, component, 'activeLabel', 'PaginationItem marca la página actual con aria-current');
+  ctx.dropProp(item, component, 'linkStyle', 'Usar sx en el PaginationItem');
+  ctx.dropProp(item, component, 'linkClassName', 'Usar className en el PaginationItem');
+
+  // PaginationItem no renderiza children: el texto de la página va en `page`
+  const content = childrenToExpression(j, item.children || []);
+  if (type === 'page' && content) {
+    setAttribute(j, opening, 'page', content);
+  } else if (content) {
+    ctx.approximate(item, component, `PaginationItem type="${type}" usa su propio icono: se pierde el contenido`, { todo: true });
+  }
+  item.children = [];
+  opening.selfClosing = true;
+  item.closingElement = null;
+  ctx.convert(item, component);
+}
+
+function transformPagination(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  if (component !== 'Pagination') {
+    convertItem(ctx, element, component);
+    return;
+  }
+
+  const opening = element.openingElement;
+  const sizeAttr = removeAttribute(opening, 'size');
+  const size = SIZE_MAP[getLiteralValue(j, sizeAttr)];
+  if (sizeAttr && !size) {
+    ctx.approximate(element, component, 'size dinámico: usar small/medium/large', { todo: true });
+  }
+  if (size) setAttribute(j, opening, 'size', size);
+  if (convertPageLoop(ctx, element, component)) return;
+
+  // Estructura propia: se conserva con PaginationItem, que lleva el tamaño
+  removeAttribute(opening, 'size');
+  if (size) {
+    childElements(element).forEach(child => {
+      if (ITEM_TYPES[ctx.resolve(child)]) setAttribute(j, child.openingElement, 'size', size);
+    });
+  }
+  setAttribute(j, opening, 'component', 'nav');
+  mergeSxAttribute(j, opening, { display: 'flex', flexWrap: 'wrap', gap: 0.5 });
+  ctx.convert(element, component, 'Box');
+}
+
+module.exports = {
+  components: Object.keys(ITEM_TYPES).concat('Pagination'),
+  transform: transformPagination,
+};
@@ -0,0 +1,240 @@
+/**
+ * ProgressBar → LinearProgress.
+ *
+ *  - `now`/`min`/`max` → `value` en 0–100 con `variant="determinate"`. Si
+ *    min y max son 0 y 100 (los valores por defecto) `now` pasa tal cual;
+ *    si son literales se calcula el valor y si no se genera la expresión
+ *    `((now - min) * 100) / (max - min)`, o `(now * 100) / max` con min 0.
+ *  - `variant` (success, danger…) → `color`.
+ *  - `animated` con la barra llena (o sin `now`) → `variant="indeterminate"`,
+ *    el uso habitual de «cargando»; en otro caso las rayas se pierden, como
+ *    con `striped`. Ambas se anotan en el informe aunque sean dinámicas.
+ *  - `label` → LinearProgress dentro de un Box flex con un Typography al
+ *    lado (el LinearProgressWithLabel de la documentación de MUI); con
+ *    `visuallyHidden` pasa a `aria-valuetext`.
+ *  - Barras apiladas (`<ProgressBar>` con ProgressBar hijos) → Box flex con
+ *    un segmento por barra, cada uno con su ancho en `sx` y un
+ *    LinearProgress lleno. Se marca con un TODO porque los segmentos no
+ *    comparten esquinas ni etiqueta.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  createElement,
+  childElements,
+  isBlankText,
+  attributeExpression,
+  cloneNode,
+} = require('../lib/jsx');
+const { mergeSxAttribute } = require('../lib/sx');
+
+const COLOR_MAP = {
+  primary: 'primary',
+  secondary: 'secondary',
+  success: 'success',
+  danger: 'error',
+  warning: 'warning',
+  info: 'info',
+  light: 'inherit',
+  dark: 'inherit',
+};
+
+/**
+ * Valor 0–100 a partir de now/min/max (nodos AST o null). Devuelve un
+ * número si todo es literal, un nodo si no, o null si no hay `now`.
+ */
+function percentValue(j, now, min, max) {
+  if (!now) return null;
+  const literal = node => (node && j.Literal.check(node) && typeof node.value === 'number' ? node.value : undefined);
+  const lo = min ? literal(min) : 0;
+  const hi = max ? literal(max) : 100;
+  const value = literal(now);
+  if (lo === 0 && hi === 100) return value === undefined ? now : value;
+  if (value !== undefined && lo !== undefined && hi !== undefined) {
+    return Math.round(((value - lo) * 100 / (hi - lo)) * 100) / 100;
+  }
+  // Con min 0 se omiten las restas; con max 100 queda `now` (arriba)
+  if (lo === 0) {
+    return j.binaryExpression('/', j.binaryExpression('*', now, j.numericLiteral(100)), max);
+  }
+  const minNode = min || j.numericLiteral(0);
+  const maxNode = max || j.numericLiteral(100);
+  return j.binaryExpression(
+    '/',
+    j.binaryExpression('*', j.binaryExpression('-', now, cloneNode(minNode)), j.numericLiteral(100)),
+    j.binaryExpression('-', maxNode, minNode)
+  );
+}
+
+/**
+ * Lee y elimina las props de una barra. Devuelve `{ value, color, label,
+ * hiddenLabel, animated }`.
+ */
+function readBar(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const now = attributeExpression(j, removeAttribute(opening, 'now'));
+  const min = attributeExpression(j, removeAttribute(opening, 'min'));
+  const max = attributeExpression(j, removeAttribute(opening, 'max'));
+  const value = percentValue(j, now, min, max);
+
+  const variantAttr = removeAttribute(opening, 'variant');
+  const variant = getLiteralValue(j, variantAttr);
+  if (variantAttr && !COLOR_MAP[variant]) {
+    ctx.approximate(element, component, 'variant dinámico o sin equivalente: añadir color', { todo: true });
+  }
+  ctx.dropProp(element, component, 'striped', 'LinearProgress no tiene barras rayadas');
+  // `animated` literal se traduce en applyBar; el dinámico se pierde
+  const animatedAttr = getAttribute(opening, 'animated');
+  const animated = getLiteralValue(j, animatedAttr);
+  if (animatedAttr && typeof animated !== 'boolean') {
+    ctx.dropProp(element, component, 'animated', 'animated dinámico: LinearProgress no tiene barras rayadas');
+  } else {
+    removeAttribute(opening, 'animated');
+  }
+  const label = attributeExpression(j, removeAttribute(opening, 'label'));
+  const hiddenLabel = getLiteralValue(j, removeAttribute(opening, 'visuallyHidden'));
+  ctx.dropProp(element, component, 'isChild', 'Solo se usa en barras apiladas');
+  return {
+    value,
+    color: COLOR_MAP[variant],
+    label,
+    hiddenLabel: Boolean(hiddenLabel),
+    animated: Boolean(animated),
+  };
+}
+
+/**
+ * Aplica value/variant/color a un LinearProgress.
+ */
+function applyBar(ctx, element, component, bar) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const full = bar.value === null || bar.value === 100;
+  if (bar.animated && full) {
+    setAttribute(j, opening, 'variant', 'indeterminate');
+  } else {
+    setAttribute(j, opening, 'variant', 'determinate');
+    setAttribute(j, opening, 'value', bar.value === null ? 0 : bar.value);
+  }
+  if (bar.color && bar.color !== 'primary') {
+    setAttribute(j, opening, 'color', bar.color);
+  }
+  if (bar.animated && !full) {
+    ctx.approximate(element, component, 'animated con un valor: LinearProgress no anima la barra determinada');
+  }
+  ctx.convert(element, component);
+}
+
+/**
+ * Barra con etiqueta visible: Box flex con el LinearProgress y un
+ * Typography. El className y el style de la barra pasan al Box.
+ */
+function wrapWithLabel(ctx, path, label) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const moved = ['className', 'style']
+    .map(name => removeAttribute(opening, name))
+    .filter(Boolean);
+  const Box = ctx.useComponent('Box');
+  const text = createElement(
+    j,
+    ctx.useComponent('Typography'),
+    { variant: 'body2', color: 'text.secondary' },
+    [j.Literal.check(label) && typeof label.value === 'string' ? j.jsxText(label.value) : j.jsxExpressionContainer(label)]
+  );
+  const wrapper = createElement(j, Box, { sx: { display: 'flex', alignItems: 'center' } }, [
+    j.jsxText('\n'),
+    createElement(j, Box, { sx: { flexGrow: 1, mr: 1 } }, [element]),
+    j.jsxText('\n'),
+    text,
+    j.jsxText('\n'),
+  ]);
+  wrapper.openingElement.attributes.push(...moved);
+  // Para que el className movido pase a sx
+  ctx.markConverted(wrapper);
+  if (element.extra && element.extra.parenthesized) {
+    element.extra = { ...element.extra, parenthesized: false };
+  }
+  path.replace(wrapper);
+}
+
+/**
+ * `${now}%` como valor de `width` en sx.
+ */
+function widthValue(j, value) {
+  if (typeof value === 'number') return `${value}%`;
+  return j.templateLiteral(
+    [j.templateElement({ raw: '', cooked: '' }, false), j.templateElement({ raw: '%', cooked: '%' }, true)],
+    [value]
+  );
+}
+
+/**
+ * ProgressBar con ProgressBar hijos → Box flex con un segmento por barra.
+ */
+function transformStacked(ctx, element, component, bars) {
+  const { j } = ctx;
+  ctx.approximate(
+    element,
+    component,
+    'Barras apiladas compuestas con un Box por segmento: revisar alturas, esquinas y etiquetas',
+    { todo: true }
+  );
+  const Box = ctx.useComponent('Box');
+  // Se reutiliza la indentación original. recast reimprime el Box entero:
+  // la de cada barra se toma relativa a su columna y el texto final se
+  // conserva tal cual para que el cierre quede donde estaba
+  const original = element.children || [];
+  const column = element.loc ? element.loc.start.column : 0;
+  const before = original[original.indexOf(bars[0]) - 1];
+  const match = before && isBlankText(before) && /\n([ \t]*)$/.exec(before.value);
+  const separator = match ? `\n${match[1].slice(column)}` : '\n  ';
+  const last = original[original.length - 1];
+  const closing = last && isBlankText(last) ? last : j.jsxText('\n');
+  const children = [];
+  bars.forEach(child => {
+    const bar = readBar(ctx, child, component);
+    if (bar.label) {
+      ctx.report.droppedProp(child, component, 'label', 'Los segmentos apilados no muestran etiqueta');
+    }
+    const key = removeAttribute(child.openingElement, 'key');
+    applyBar(ctx, child, component, { ...bar, value: 100, animated: false });
+    const segmentProps = { sx: { width: widthValue(j, bar.value === null ? 0 : bar.value) } };
+    const segment = createElement(j, Box, segmentProps, [child]);
+    if (key) segment.openingElement.attributes.unshift(cloneNode(key));
+    children.push(j.jsxText(separator), segment);
+  });
+  element.children = [...children, closing];
+  mergeSxAttribute(j, element.openingElement, { display: 'flex', width: '100%' });
+  ctx.convert(element, component, 'Box');
+}
+
+function transformProgressBar(path, ctx, component) {
+  const element = path.node;
+  const bars = childElements(element).filter(child => ctx.resolve(child) === 'ProgressBar');
+  if (bars.length > 0) {
+    ['now', 'min', 'max', 'label', 'variant', 'striped', 'animated'].forEach(name => {
+      ctx.dropProp(element, component, name, 'En barras apiladas cada hijo lleva su valor');
+    });
+    transformStacked(ctx, element, component, bars);
+    return;
+  }
+  const bar = readBar(ctx, element, component);
+  if (bar.label && bar.hiddenLabel) {
+    setAttribute(ctx.j, element.openingElement, 'aria-valuetext', bar.label);
+  }
+  applyBar(ctx, element, component, bar);
+  if (bar.label && !bar.hiddenLabel) {
+    wrapWithLabel(ctx, path, bar.label);
+  }
+}
+
+module.exports = {
+  components: ['ProgressBar'],
+  transform: transformProgressBar,
+};
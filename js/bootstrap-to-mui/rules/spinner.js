@@ -0,0 +1,47 @@
+/**
+ * Spinner → CircularProgress.
+ *
+ * `variant` pasa a `color` y `size="sm"` a un tamaño en píxeles. `animation`
+ * (border/grow) no tiene equivalente y se elimina.
+ */
+
+const { getAttribute, getLiteralValue, removeAttribute, setAttribute } = require('../lib/jsx');
+
+const COLOR_MAP = {
+  primary: 'primary',
+  secondary: 'secondary',
+  success: 'success',
+  danger: 'error',
+  warning: 'warning',
+  info: 'info',
+  light: 'inherit',
+  dark: 'inherit',
+};
+
+function transformSpinner(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+
+  ctx.dropProp(element, component, 'animation', 'CircularProgress no tiene animación "grow"');
+  const variant = getLiteralValue(j, getAttribute(opening, 'variant'));
+  if (COLOR_MAP[variant]) {
+    removeAttribute(opening, 'variant');
+    setAttribute(j, opening, 'color', COLOR_MAP[variant]);
+  } else {
+    ctx.dropProp(element, component, 'variant', 'variant dinámico o sin equivalente en MUI', { todo: true });
+  }
+  const sizeAttr = getAttribute(opening, 'size');
+  if (getLiteralValue(j, sizeAttr) === 'sm') {
+    setAttribute(j, opening, 'size', 16);
+    ctx.approximate(element, component, 'size="sm" se aproxima con size={16}');
+  } else {
+    ctx.dropProp(element, component, 'size', 'size dinámico o sin equivalente en MUI');
+  }
+  ctx.convert(element, component);
+}
+
+module.exports = {
+  components: ['Spinner'],
+  transform: transformSpinner,
+};
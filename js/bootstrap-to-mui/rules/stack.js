@@ -0,0 +1,52 @@
+/**
+ * Stack → Stack de MUI.
+ *
+ *  - `direction="horizontal"` → `direction="row"` con los elementos
+ *    centrados en vertical, como .hstack; sin dirección (o "vertical") se
+ *    queda en la columna por defecto de MUI.
+ *  - `gap` (espaciador 0–5 de Bootstrap) → `spacing` en la escala de MUI.
+ */
+
+const { getLiteralValue, removeAttribute, setAttribute, attributeExpression } = require('../lib/jsx');
+const { mergeSxAttribute } = require('../lib/sx');
+
+function transformStack(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+
+  const directionAttr = removeAttribute(opening, 'direction');
+  const direction = getLiteralValue(j, directionAttr);
+  if (direction === 'horizontal') {
+    setAttribute(j, opening, 'direction', 'row');
+    mergeSxAttribute(j, opening, { alignItems: 'center' });
+  } else if (directionAttr && direction !== 'vertical') {
+    // `direction={dir}`: se traduce en tiempo de ejecución
+    setAttribute(
+      j,
+      opening,
+      'direction',
+      j.conditionalExpression(
+        j.binaryExpression('===', attributeExpression(j, directionAttr), j.stringLiteral('horizontal')),
+        j.stringLiteral('row'),
+        j.stringLiteral('column')
+      )
+    );
+    ctx.approximate(element, component, 'direction dinámico: en horizontal Bootstrap centra los elementos en vertical');
+  }
+
+  const gapAttr = removeAttribute(opening, 'gap');
+  const gap = getLiteralValue(j, gapAttr);
+  if (typeof gap === 'number' && ctx.spacing(gap) !== undefined) {
+    setAttribute(j, opening, 'spacing', ctx.spacing(gap));
+  } else if (gapAttr) {
+    setAttribute(j, opening, 'spacing', attributeExpression(j, gapAttr));
+    ctx.approximate(element, component, 'gap dinámico: la escala de spacing de MUI (8px) no coincide con la de Bootstrap', { todo: true });
+  }
+  ctx.convert(element, component);
+}
+
+module.exports = {
+  components: ['Stack'],
+  transform: transformStack,
+};
@@ -0,0 +1,202 @@
+/**
+ * Table → Table de MUI con sus partes.
+ *
+ *  - Los thead/tbody/tfoot/tr/th/td nativos de la tabla (no los de una
+ *    tabla anidada) pasan a TableHead/TableBody/TableFooter/TableRow/
+ *    TableCell. Un th fuera de thead lleva `component="th"`, porque
+ *    TableCell solo genera th en la cabecera.
+ *  - `size="sm"` → `size="small"`; `hover` (también dinámico) → `hover` en
+ *    las filas que no son de cabecera.
+ *  - `striped` (y `striped="columns"`), `bordered`, `borderless` y
+ *    `variant="dark"` → selectores en `sx` (`& tbody tr:nth-of-type(odd)`…).
+ *  - `responsive` → la tabla se envuelve en un TableContainer; con
+ *    `--table-paper` el contenedor usa `component={Paper}`.
+ */
+
+const {
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  createElement,
+  elementName,
+  attributeExpression,
+  cloneNode,
+} = require('../lib/jsx');
+const { mergeSxAttribute } = require('../lib/sx');
+
+const PARTS = {
+  thead: 'TableHead',
+  tbody: 'TableBody',
+  tfoot: 'TableFooter',
+  tr: 'TableRow',
+  th: 'TableCell',
+  td: 'TableCell',
+};
+
+const SECTIONS = ['thead', 'tbody', 'tfoot'];
+
+const CELLS = '& th, & td';
+
+/**
+ * Fusión en profundidad de objetos sx planos (los selectores comunes se
+ * combinan en lugar de sustituirse).
+ */
+function mergeSx(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && target[key] && typeof target[key] === 'object') {
+      mergeSx(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * sx de la tabla a partir de striped/bordered/borderless/variant. Lee y
+ * elimina esas props.
+ */
+function tableSx(ctx, element, component) {
+  const { j } = ctx;
+  const opening = element.openingElement;
+  const sx = {};
+  const flag = name => {
+    const attr = removeAttribute(opening, name);
+    const value = getLiteralValue(j, attr);
+    if (attr && value === undefined) {
+      ctx.approximate(element, component, `${name} dinámico: se trata como activo`, { todo: true });
+    }
+    return attr ? value === undefined || value : false;
+  };
+
+  const variantAttr = removeAttribute(opening, 'variant');
+  const dark = getLiteralValue(j, variantAttr) === 'dark';
+  if (variantAttr && !dark) {
+    ctx.approximate(element, component, 'variant dinámico o sin equivalente: ajustar colores en sx', { todo: true });
+  }
+  const striped = flag('striped');
+  const bordered = flag('bordered');
+  const borderless = flag('borderless');
+
+  // `border` va antes que `borderColor`: el atajo restablece el color
+  if (bordered) {
+    mergeSx(sx, { [CELLS]: { border: 1, borderColor: 'divider' } });
+  }
+  if (dark) {
+    mergeSx(sx, { bgcolor: 'grey.900', [CELLS]: { color: 'common.white', borderColor: 'grey.700' } });
+  }
+  // action.hover no se ve sobre fondo oscuro
+  const stripe = { bgcolor: dark ? 'rgba(255, 255, 255, 0.05)' : 'action.hover' };
+  if (striped === 'columns') {
+    mergeSx(sx, { '& tr > :nth-of-type(even)': stripe });
+  } else if (striped) {
+    mergeSx(sx, { '& tbody tr:nth-of-type(odd)': stripe });
+  }
+  if (borderless) {
+    mergeSx(sx, { [CELLS]: { borderBottom: 0 } });
+  }
+  mergeSxAttribute(j, opening, sx);
+}
+
+/**
+ * Elementos nativos de la tabla de `path` con la sección (thead/tbody/
+ * tfoot) en la que están, sin entrar en tablas anidadas.
+ */
+function tableParts(ctx, path) {
+  const { j } = ctx;
+  const parts = [];
+  j(path)
+    .find(j.JSXElement)
+    .forEach(child => {
+      const tag = elementName(child.node);
+      if (!PARTS[tag]) return;
+      let section = null;
+      for (let current = child.parent; current && current.node !== path.node; current = current.parent) {
+        const node = current.node;
+        if (node.type !== 'JSXElement') continue;
+        const name = elementName(node);
+        if (name === 'table' || ctx.resolve(node) === 'Table') return;
+        if (!section && SECTIONS.includes(name)) section = name;
+      }
+      parts.push({ element: child.node, tag, section });
+    });
+  return parts;
+}
+
+/**
+ * `responsive` → TableContainer alrededor de la tabla. La `key` pasa al
+ * contenedor.
+ */
+function wrapInContainer(ctx, path, component, responsive) {
+  const { j } = ctx;
+  const element = path.node;
+  if (typeof responsive === 'string') {
+    ctx.approximate(
+      element,
+      component,
+      `responsive="${responsive}": el TableContainer desplaza la tabla en todos los tamaños de pantalla`
+    );
+  }
+  const props = {};
+  const paper = ctx.options.tablePaper;
+  if (paper === true || paper === 'true') {
+    props.component = j.identifier(ctx.useComponent('Paper'));
+  }
+  const container = createElement(j, ctx.useComponent('TableContainer'), props, [
+    j.jsxText('\n'),
+    element,
+    j.jsxText('\n'),
+  ]);
+  const key = removeAttribute(element.openingElement, 'key');
+  if (key) container.openingElement.attributes.unshift(cloneNode(key));
+  ctx.report.converted(element, component, 'TableContainer');
+  if (element.extra && element.extra.parenthesized) {
+    element.extra = { ...element.extra, parenthesized: false };
+  }
+  path.replace(container);
+}
+
+function transformTable(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+
+  const sizeAttr = removeAttribute(opening, 'size');
+  const size = getLiteralValue(j, sizeAttr);
+  if (size === 'sm') {
+    setAttribute(j, opening, 'size', 'small');
+  } else if (sizeAttr) {
+    ctx.approximate(element, component, 'size dinámico: usar size="small" o "medium"', { todo: true });
+  }
+  // Un hover dinámico se pasa tal cual a cada fila
+  const hoverAttr = removeAttribute(opening, 'hover');
+  const hoverValue = getLiteralValue(j, hoverAttr);
+  const hover = hoverValue === undefined ? attributeExpression(j, hoverAttr) : hoverValue;
+  tableSx(ctx, element, component);
+  const responsiveAttr = removeAttribute(opening, 'responsive');
+  const responsive = responsiveAttr ? getLiteralValue(j, responsiveAttr) : false;
+  if (responsiveAttr && responsive === undefined) {
+    ctx.approximate(element, component, 'responsive dinámico: se envuelve siempre en TableContainer', { todo: true });
+  }
+
+  tableParts(ctx, path).forEach(({ element: part, tag, section }) => {
+    const partOpening = part.openingElement;
+    if (tag === 'tr' && hover && section !== 'thead') {
+      setAttribute(j, partOpening, 'hover', hover === true ? true : cloneNode(hover));
+    }
+    if (tag === 'th' && section !== 'thead') {
+      setAttribute(j, partOpening, 'component', 'th');
+    }
+    ctx.convert(part, tag, PARTS[tag]);
+  });
+  ctx.convert(element, component);
+
+  if (responsive !== false) {
+    wrapInContainer(ctx, path, component, responsive);
+  }
+}
+
+module.exports = {
+  components: ['Table'],
+  transform: transformTable,
+};
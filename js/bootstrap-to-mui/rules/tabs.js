@@ -0,0 +1,355 @@
+/**
+ * Tabs/Tab y Tab.Container → Tabs de MUI con estado controlado.
+ *
+ * El Tab de react-bootstrap lleva la cabecera (`title`) y el contenido
+ * (children); el de MUI es solo la cabecera. La regla genera:
+ *  - `<Tabs value onChange>` con un `<Tab value label />` por pestaña.
+ *  - Un panel por pestaña a continuación de Tabs:
+ *      <Box role="tabpanel" hidden={activeTab !== 'home'}>…</Box>
+ *    que, como en Bootstrap, mantiene montado el contenido oculto
+ *    (`mountOnEnter`/`unmountOnExit` lo renderizan solo si está activo).
+ *  - `activeKey` + `onSelect` → `value` + `onChange`; con
+ *    `defaultActiveKey` (o sin él: la primera pestaña) se declara un
+ *    useState en el componente.
+ * En Tab.Container el Nav pasa a Tabs, cada Nav.Link con `eventKey` a un Tab
+ * y Tab.Content/Tab.Pane a los paneles.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  createElement,
+  childElements,
+  isBlankText,
+  childrenToExpression,
+  attributeExpression,
+  cloneNode,
+  insertSiblingsAfter,
+} = require('../lib/jsx');
+const { addStateHook, insideCallback, keepInCallback } = require('../lib/hooks');
+
+/**
+ * Si `onSelect` es una función en línea (`k => setTab(k)`) que se puede
+ * incorporar al onChange tal cual: parámetros simples y sin `this` ni
+ * `arguments` propios.
+ */
+function isInlineHandler(j, handler) {
+  if (!handler || (handler.type !== 'ArrowFunctionExpression' && handler.type !== 'FunctionExpression')) return false;
+  if (handler.generator || handler.params.length > 2 || handler.params.some(p => p.type !== 'Identifier')) return false;
+  if (handler.type === 'ArrowFunctionExpression') return true;
+  return j(handler.body).find(j.ThisExpression).size() === 0 &&
+    j(handler.body).find(j.Identifier, { name: 'arguments' }).size() === 0;
+}
+
+/**
+ * onChange de Tabs: `(event, key) => …` que ejecuta `update(key)` (si hay
+ * estado) y avisa a onSelect. Un manejador en línea se incorpora conservando
+ * los nombres de sus parámetros; cualquier otro se llama con
+ * `onSelect(key, event)`. Devuelve null si no hay nada que hacer.
+ */
+function changeHandler(j, onSelect, update) {
+  const inline = isInlineHandler(j, onSelect);
+  const [keyParam, eventParam] = inline ? onSelect.params : [];
+  const key = j.identifier(keyParam ? keyParam.name : 'key');
+  const event = j.identifier(eventParam ? eventParam.name : 'event');
+  let statements = [];
+  if (inline) {
+    // Copias sin posición: recast reimprime las sentencias en el bloque nuevo
+    const body = cloneNode(onSelect.body);
+    statements = body.type === 'BlockStatement' ? body.body : [j.expressionStatement(body)];
+  } else if (onSelect) {
+    statements = [j.expressionStatement(j.callExpression(onSelect, [key, event]))];
+  }
+  if (update) statements.unshift(j.expressionStatement(update(key)));
+  if (statements.length === 0) return null;
+
+  const single = statements.length === 1 && statements[0].type === 'ExpressionStatement';
+  const body = single ? statements[0].expression : j.blockStatement(statements);
+  if (body.extra && body.extra.parenthesized && body.type !== 'ObjectExpression') {
+    body.extra = { ...body.extra, parenthesized: false };
+  }
+  const handler = j.arrowFunctionExpression([event, key], body);
+  handler.async = Boolean(inline && onSelect.async);
+  return handler;
+}
+
+/**
+ * `value`/`onChange` de Tabs a partir de activeKey/defaultActiveKey/onSelect.
+ * `firstKey` es el valor inicial cuando no hay defaultActiveKey.
+ */
+function tabState(ctx, path, component, firstKey) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const activeKey = attributeExpression(j, removeAttribute(opening, 'activeKey'));
+  const defaultKey = attributeExpression(j, removeAttribute(opening, 'defaultActiveKey'));
+  const onSelect = attributeExpression(j, removeAttribute(opening, 'onSelect'));
+
+  if (activeKey) {
+    if (!onSelect) {
+      ctx.approximate(element, component, 'activeKey sin onSelect: las pestañas no cambian', { todo: true });
+    }
+    return {
+      value: activeKey,
+      onChange: changeHandler(j, onSelect, null),
+    };
+  }
+  const initial = defaultKey || firstKey || j.nullLiteral();
+  const state = addStateHook(ctx, path, 'activeTab', initial);
+  if (!state) {
+    ctx.approximate(
+      element,
+      component,
+      'No hay un componente de función donde declarar la pestaña activa; añadir value/onChange',
+      { todo: true }
+    );
+    return { value: initial, onChange: null };
+  }
+  return {
+    value: j.identifier(state.value),
+    onChange: changeHandler(j, onSelect, key => j.callExpression(j.identifier(state.setter), [key])),
+  };
+}
+
+/**
+ * Panel de una pestaña: Box oculto mientras no esté activa o, con
+ * `unmount`, renderizado solo cuando lo está.
+ */
+function buildPanel(ctx, state, key, children, { attrs = {}, unmount = false } = {}) {
+  const { j } = ctx;
+  const Box = ctx.useComponent('Box');
+  const props = { role: 'tabpanel', ...attrs };
+  if (!unmount) {
+    props.hidden = j.binaryExpression('!==', cloneNode(state.value), cloneNode(key));
+  }
+  const panel = createElement(j, Box, props, children);
+  // Para que el className del panel pase a sx como en el resto de elementos
+  ctx.markConverted(panel);
+  if (!unmount) return panel;
+  return j.jsxExpressionContainer(
+    j.logicalExpression('&&', j.binaryExpression('===', cloneNode(state.value), cloneNode(key)), panel)
+  );
+}
+
+/**
+ * Quita mountOnEnter/unmountOnExit; devuelve true si alguna estaba activa.
+ */
+function removeMountProps(opening) {
+  const mountOnEnter = removeAttribute(opening, 'mountOnEnter');
+  const unmountOnExit = removeAttribute(opening, 'unmountOnExit');
+  return Boolean(mountOnEnter || unmountOnExit);
+}
+
+function applyState(ctx, opening, state) {
+  const { j } = ctx;
+  setAttribute(j, opening, 'value', state.value);
+  if (state.onChange) {
+    setAttribute(j, opening, 'onChange', state.onChange);
+  }
+}
+
+/**
+ * `<Tabs>` con hijos `<Tab>`: cada Tab pierde sus children, que pasan a un
+ * panel hermano de Tabs.
+ */
+function transformTabs(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const tabs = childElements(element).filter(child => ctx.resolve(child) === 'Tab');
+  const firstKey = tabs.length && attributeExpression(j, getAttribute(tabs[0].openingElement, 'eventKey'));
+  const tabsId = getLiteralValue(j, getAttribute(opening, 'id'));
+
+  const fill = removeAttribute(opening, 'fill') || removeAttribute(opening, 'justify');
+  if (fill && getLiteralValue(j, fill) !== false) {
+    setAttribute(j, opening, 'variant', 'fullWidth');
+  }
+  const variant = getLiteralValue(j, getAttribute(opening, 'variant'));
+  if (variant !== 'fullWidth') {
+    ctx.dropProp(element, component, 'variant', 'Tabs de MUI solo tiene el estilo subrayado (sin pills)');
+  }
+  const unmount = removeMountProps(opening);
+  ctx.dropProp(element, component, 'transition', 'Los paneles no tienen transición');
+
+  const state = tabState(ctx, path, component, firstKey);
+  applyState(ctx, opening, state);
+
+  const panels = [];
+  tabs.forEach(tab => {
+    const tabOpening = tab.openingElement;
+    const key = attributeExpression(j, removeAttribute(tabOpening, 'eventKey'));
+    if (!key) {
+      ctx.approximate(tab, 'Tab', 'Tab sin eventKey: añadir value al Tab y al panel', { todo: true });
+    }
+    const title = removeAttribute(tabOpening, 'title');
+    if (title) {
+      title.name = j.jsxIdentifier('label');
+      tabOpening.attributes.push(title);
+    }
+    if (key) {
+      setAttribute(j, tabOpening, 'value', key);
+    }
+    // className del Tab de Bootstrap es el del panel; tabClassName el de la cabecera
+    const paneClass = removeAttribute(tabOpening, 'className');
+    const tabClass = removeAttribute(tabOpening, 'tabClassName');
+    if (tabClass) {
+      tabClass.name = j.jsxIdentifier('className');
+      tabOpening.attributes.push(tabClass);
+    }
+    ctx.dropProp(tab, 'Tab', 'tabAttrs', 'Pasar esos atributos directamente al Tab', { todo: true });
+
+    const attrs = {};
+    if (paneClass) attrs.className = attributeExpression(j, paneClass);
+    const keyValue = key && j.Literal.check(key) ? key.value : undefined;
+    if (typeof tabsId === 'string' && typeof keyValue === 'string') {
+      setAttribute(j, tabOpening, 'id', `${tabsId}-tab-${keyValue}`);
+      setAttribute(j, tabOpening, 'aria-controls', `${tabsId}-tabpane-${keyValue}`);
+      attrs.id = `${tabsId}-tabpane-${keyValue}`;
+      attrs['aria-labelledby'] = `${tabsId}-tab-${keyValue}`;
+    }
+    const content = (tab.children || []).some(c => !isBlankText(c)) ? tab.children : [];
+    if (key) {
+      panels.push(buildPanel(ctx, state, key, content, { attrs, unmount }));
+    }
+    tab.children = [];
+    tabOpening.selfClosing = true;
+    tab.closingElement = null;
+    ctx.convert(tab, 'Tab');
+  });
+
+  ctx.convert(element, component);
+  insertSiblingsAfter(j, path, panels);
+}
+
+/**
+ * Elimina un envoltorio (Nav.Item) dejando sus hijos en su lugar.
+ */
+function unwrap(parent, wrapper) {
+  const index = parent.children.indexOf(wrapper);
+  const inner = (wrapper.children || []).filter(c => !isBlankText(c));
+  parent.children.splice(index, 1, ...inner);
+}
+
+/**
+ * Nav dentro de Tab.Container → Tabs; los Nav.Link con eventKey → Tab.
+ */
+function navToTabs(ctx, nav, state) {
+  const { j } = ctx;
+  const opening = nav.openingElement;
+  childElements(nav)
+    .filter(child => ctx.resolve(child) === 'Nav.Item')
+    .forEach(item => {
+      ctx.markConverted(item);
+      unwrap(nav, item);
+    });
+  const className = getLiteralValue(j, getAttribute(opening, 'className'));
+  if (typeof className === 'string' && /(^|\s)flex-column(\s|$)/.test(className)) {
+    setAttribute(j, opening, 'orientation', 'vertical');
+    const rest = className.split(/\s+/).filter(c => c && c !== 'flex-column').join(' ');
+    if (rest) {
+      setAttribute(j, opening, 'className', rest);
+    } else {
+      removeAttribute(opening, 'className');
+    }
+  }
+  ctx.dropProp(nav, 'Nav', 'variant', 'Tabs de MUI solo tiene el estilo subrayado (sin pills)');
+  ctx.dropProp(nav, 'Nav', 'as', 'Tabs no admite otro elemento raíz');
+  applyState(ctx, opening, state);
+  childElements(nav)
+    .filter(child => ctx.resolve(child) === 'Nav.Link')
+    .forEach(link => {
+      const linkOpening = link.openingElement;
+      const key = attributeExpression(j, removeAttribute(linkOpening, 'eventKey'));
+      if (!key) {
+        ctx.approximate(link, 'Nav.Link', 'Nav.Link sin eventKey dentro de Tabs', { todo: true });
+        return;
+      }
+      setAttribute(j, linkOpening, 'value', key);
+      const label = childrenToExpression(j, link.children || []);
+      if (label) {
+        setAttribute(j, linkOpening, 'label', label);
+      }
+      link.children = [];
+      linkOpening.selfClosing = true;
+      link.closingElement = null;
+      ctx.convert(link, 'Nav.Link', 'Tab');
+    });
+  ctx.convert(nav, 'Nav', 'Tabs');
+}
+
+function transformContainer(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const descendants = j(path).find(j.JSXElement);
+  const nav = descendants.filter(p => ctx.resolve(p.node) === 'Nav').nodes()[0];
+  const panes = descendants.filter(p => ctx.resolve(p.node) === 'Tab.Pane').nodes();
+  const firstKey = panes.length && attributeExpression(j, getAttribute(panes[0].openingElement, 'eventKey'));
+  const unmount = removeMountProps(element.openingElement);
+  ctx.dropProp(element, component, 'transition', 'Los paneles no tienen transición');
+  const state = tabState(ctx, path, component, firstKey);
+
+  if (nav) {
+    navToTabs(ctx, nav, state);
+  } else {
+    ctx.approximate(element, component, 'Tab.Container sin Nav: crear los Tabs a mano', { todo: true });
+  }
+  panes.forEach(pane => {
+    const opening = pane.openingElement;
+    const key = attributeExpression(j, removeAttribute(opening, 'eventKey'));
+    ctx.dropProp(pane, 'Tab.Pane', 'transition', 'Los paneles no tienen transición');
+    if (!key) {
+      ctx.convert(pane, 'Tab.Pane');
+      ctx.approximate(pane, 'Tab.Pane', 'Tab.Pane sin eventKey: no se enlaza con la pestaña activa', { todo: true });
+      return;
+    }
+    setAttribute(j, opening, 'role', 'tabpanel');
+    if (unmount) {
+      ctx.approximate(pane, 'Tab.Pane', 'mountOnEnter/unmountOnExit: renderizar el panel solo cuando está activo');
+    }
+    setAttribute(j, opening, 'hidden', j.binaryExpression('!==', cloneNode(state.value), key));
+    ctx.convert(pane, 'Tab.Pane');
+  });
+
+  // Tab.Container no renderiza nada propio
+  const children = (element.children || []).filter(c => !isBlankText(c));
+  ctx.markConverted(element);
+  ctx.report.converted(element, component, 'Fragment');
+  path.replace(
+    children.length === 1 && children[0].type === 'JSXElement'
+      ? children[0]
+      : j.jsxFragment(j.jsxOpeningFragment(), j.jsxClosingFragment(), element.children || [])
+  );
+}
+
+function transformTab(path, ctx, component) {
+  const { j } = ctx;
+  const uncontrolled = !getAttribute(path.node.openingElement, 'activeKey');
+  if ((component === 'Tabs' || component === 'Tab.Container') && uncontrolled && insideCallback(j, path)) {
+    // El Nav de un Tab.Container depende de su contexto: se queda con él
+    keepInCallback(ctx, path, component, ['Tabs', 'Tab', 'Nav']);
+    return;
+  }
+  switch (component) {
+    case 'Tabs':
+      transformTabs(path, ctx, component);
+      break;
+    case 'Tab.Container':
+      transformContainer(path, ctx, component);
+      break;
+    case 'Tab.Pane':
+      ctx.convert(path.node, component);
+      ctx.approximate(path.node, component, 'Tab.Pane fuera de un Tab.Container no se enlaza con la pestaña activa', { todo: true });
+      break;
+    default:
+      // Un Tab suelto (fuera de Tabs) no tiene dónde poner el contenido
+      ctx.report.unmapped(path.node, component);
+      ctx.todo(path.node, 'Tab fuera de Tabs no se migra');
+  }
+}
+
+module.exports = {
+  components: ['Tabs', 'Tab', 'Tab.Container', 'Tab.Pane'],
+  transform: transformTab,
+};
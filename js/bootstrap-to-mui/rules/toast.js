@@ -0,0 +1,213 @@
+/**
+ * Toast / ToastContainer → Snackbar con un Alert dentro.
+ *
+ *  - `show` → `open` (en react-bootstrap vale true por defecto).
+ *  - `autohide` + `delay` → `autoHideDuration` (5000 ms si no hay delay).
+ *    El `onClose` del Snackbar solo llama al del Toast cuando vence el
+ *    tiempo: react-bootstrap no cierra el Toast al hacer clic fuera ni con
+ *    Escape.
+ *  - El contenido se envuelve en un Alert: Toast.Header → AlertTitle y los
+ *    hijos de Toast.Body pasan directamente al Alert. El botón de cierre
+ *    del Header (`closeButton`, activo por defecto) es el `onClose` del
+ *    Alert.
+ *  - `bg` → `severity` del Alert con `variant="filled"`.
+ *  - ToastContainer desaparece: su `position` pasa al `anchorOrigin` de cada
+ *    Snackbar, que ya es fijo en la ventana.
+ */
+
+const {
+  getAttribute,
+  getLiteralValue,
+  removeAttribute,
+  setAttribute,
+  createElement,
+  isBlankText,
+  attributeExpression,
+  invoke,
+  cloneNode,
+} = require('../lib/jsx');
+const { SEVERITY_MAP } = require('./alert');
+
+const DEFAULT_DELAY = 5000;
+
+const HORIZONTAL = { start: 'left', center: 'center', end: 'right' };
+const VERTICAL = { top: 'top', middle: 'top', bottom: 'bottom' };
+
+/**
+ * anchorOrigin equivalente a un `position` de ToastContainer
+ * (`top-end` → `{ vertical: 'top', horizontal: 'right' }`), o null.
+ */
+function anchorOrigin(position) {
+  const m = typeof position === 'string' && position.match(/^(top|middle|bottom)-(start|center|end)$/);
+  if (!m) return null;
+  return { vertical: VERTICAL[m[1]], horizontal: HORIZONTAL[m[2]] };
+}
+
+/**
+ * `(event, reason) => { if (reason === 'timeout') onClose(event); }`
+ */
+function timeoutHandler(j, onClose) {
+  const event = j.identifier('event');
+  const reason = j.identifier('reason');
+  return j.arrowFunctionExpression(
+    [event, reason],
+    j.blockStatement([
+      j.ifStatement(
+        j.binaryExpression('===', reason, j.stringLiteral('timeout')),
+        j.blockStatement([j.expressionStatement(invoke(j, cloneNode(onClose), [event]))])
+      ),
+    ])
+  );
+}
+
+/**
+ * Alert con el contenido del Toast. Devuelve el elemento generado.
+ */
+function buildAlert(ctx, toast, { onClose, bg }) {
+  const { j } = ctx;
+  const props = {};
+  const children = [];
+  let closeButton = false;
+
+  (toast.children || []).forEach(child => {
+    const part = child.type === 'JSXElement' ? ctx.resolve(child) : null;
+    if (part === 'Toast.Header') {
+      const closeAttr = removeAttribute(child.openingElement, 'closeButton');
+      const closeValue = getLiteralValue(j, closeAttr);
+      closeButton = !closeAttr || closeValue !== false;
+      if (closeAttr && closeValue === undefined) {
+        ctx.approximate(child, part, 'closeButton dinámico: el Alert muestra siempre el botón de cierre', { todo: true });
+      }
+      ctx.dropProp(child, part, 'closeLabel', 'Sin equivalente en AlertTitle');
+      ctx.dropProp(child, part, 'closeVariant', 'El color del botón de cierre sigue al del Alert');
+      ctx.convert(child, part);
+      children.push(child);
+    } else if (part === 'Toast.Body') {
+      // Sin atributos, el Body se sustituye por sus hijos
+      if ((child.openingElement.attributes || []).length === 0) {
+        ctx.consume(child);
+        children.push(...(child.children || []));
+      } else {
+        ctx.convert(child, part);
+        children.push(child);
+      }
+    } else {
+      children.push(child);
+    }
+  });
+
+  if (typeof bg === 'string' && SEVERITY_MAP[bg]) {
+    props.severity = SEVERITY_MAP[bg];
+    props.variant = 'filled';
+  } else {
+    props.severity = 'info';
+  }
+  if (closeButton && onClose) {
+    props.onClose = cloneNode(onClose);
+  } else if (closeButton) {
+    ctx.approximate(toast, 'Toast', 'Toast.Header con closeButton y sin onClose: el Alert no muestra el botón de cierre');
+  }
+  props.sx = { width: '100%' };
+
+  const meaningful = children.filter(c => !isBlankText(c));
+  return createElement(j, ctx.useComponent('Alert'), props, meaningful.length ? children : []);
+}
+
+/**
+ * Toast → Snackbar. `position` es el de su ToastContainer, si lo tiene.
+ */
+function convertToast(ctx, toast, component, position) {
+  const { j } = ctx;
+  const opening = toast.openingElement;
+
+  const show = removeAttribute(opening, 'show');
+  setAttribute(j, opening, 'open', show ? attributeExpression(j, show) : true);
+  const onClose = attributeExpression(j, removeAttribute(opening, 'onClose'));
+  const autohideAttr = removeAttribute(opening, 'autohide');
+  const autohide = autohideAttr ? getLiteralValue(j, autohideAttr) : false;
+  const delay = attributeExpression(j, removeAttribute(opening, 'delay'));
+  if (autohide === undefined) {
+    ctx.approximate(toast, component, 'autohide dinámico: revisar autoHideDuration', { todo: true });
+  }
+  if (autohide !== false) {
+    setAttribute(j, opening, 'autoHideDuration', delay || DEFAULT_DELAY);
+    if (onClose) {
+      setAttribute(j, opening, 'onClose', timeoutHandler(j, onClose));
+    } else {
+      ctx.approximate(toast, component, 'autohide sin onClose: el Snackbar no se cierra solo', { todo: true });
+    }
+  }
+
+  const bgAttr = removeAttribute(opening, 'bg');
+  const bg = getLiteralValue(j, bgAttr);
+  if (bgAttr && !SEVERITY_MAP[bg]) {
+    ctx.approximate(toast, component, 'bg dinámico o sin equivalente: revisar la severity del Alert', { todo: true });
+  }
+  ctx.dropProp(toast, component, 'animation', 'Snackbar usa su propia transición (TransitionComponent)');
+  ctx.dropProp(toast, component, 'transition', 'Snackbar usa su propia transición (TransitionComponent)');
+
+  const origin = anchorOrigin(position);
+  if (origin) {
+    setAttribute(j, opening, 'anchorOrigin', origin);
+  } else if (position === undefined) {
+    ctx.approximate(toast, component, 'Toast sin ToastContainer: el Snackbar aparece fijo abajo a la izquierda');
+  }
+
+  const alert = buildAlert(ctx, toast, { onClose, bg });
+  toast.children = [j.jsxText('\n'), alert, j.jsxText('\n')];
+  opening.selfClosing = false;
+  toast.closingElement = toast.closingElement || j.jsxClosingElement(j.jsxIdentifier('Toast'));
+  ctx.convert(toast, component);
+}
+
+function transformContainer(path, ctx, component) {
+  const { j } = ctx;
+  const element = path.node;
+  const opening = element.openingElement;
+  const positionAttr = getAttribute(opening, 'position');
+  const position = getLiteralValue(j, positionAttr);
+  if (positionAttr && !anchorOrigin(position)) {
+    ctx.approximate(element, component, 'position dinámico o desconocido: añadir anchorOrigin a cada Snackbar', { todo: true });
+  } else if (/^middle-/.test(position)) {
+    ctx.approximate(element, component, 'Snackbar no se centra en vertical: se coloca arriba', { todo: true });
+  }
+  const containerPosition = getLiteralValue(j, getAttribute(opening, 'containerPosition'));
+  if (containerPosition && containerPosition !== 'fixed') {
+    ctx.approximate(element, component, 'Snackbar siempre es fijo en la ventana (containerPosition)', { todo: true });
+  }
+
+  const toasts = ctx.ownDescendants(path, 'Toast');
+  // Sin position el contenedor no está posicionado, igual que un Toast suelto
+  toasts.forEach(toast => convertToast(ctx, toast, 'Toast', positionAttr ? position || null : undefined));
+  if (toasts.length > 1) {
+    ctx.approximate(element, component, 'Los Snackbar no se apilan: colocarlos a mano o usar una cola de notificaciones', { todo: true });
+  }
+
+  // ToastContainer solo posiciona: se sustituye por su contenido
+  const children = (element.children || []).filter(c => !isBlankText(c));
+  (opening.attributes || []).forEach(attr => {
+    if (attr.type === 'JSXAttribute' && !['position', 'containerPosition'].includes(attr.name.name)) {
+      ctx.report.droppedProp(element, component, attr.name.name, 'ToastContainer se elimina; los Snackbar se posicionan solos');
+    }
+  });
+  ctx.markConverted(element);
+  ctx.report.converted(element, component, 'Fragment');
+  path.replace(
+    children.length === 1 && children[0].type === 'JSXElement'
+      ? children[0]
+      : j.jsxFragment(j.jsxOpeningFragment(), j.jsxClosingFragment(), element.children || [])
+  );
+}
+
+function transformToast(path, ctx, component) {
+  if (component === 'ToastContainer') {
+    transformContainer(path, ctx, component);
+  } else {
+    convertToast(ctx, path.node, component);
+  }
+}
+
+module.exports = {
+  components: ['Toast', 'ToastContainer'],
+  transform: transformToast,
+};
@@ -0,0 +1,195 @@
+/**
+ * Carrusel generado por el codemod bootstrap-to-mui a partir del Carousel de
+ * react-bootstrap, que no tiene equivalente en MUI. Se genera una sola vez:
+ * se puede modificar libremente, el codemod no lo sobrescribe.
+ *
+ * Acepta las props de react-bootstrap que se usan habitualmente:
+ * `activeIndex`/`defaultActiveIndex`/`onSelect(index, event)`, `interval`
+ * (null para no avanzar solo; cada Carousel.Item puede llevar el suyo),
+ * `indicators`, `controls`, `keyboard`, `pause` ("hover" o false), `wrap`,
+ * `touch`, `variant="dark"` y `prevLabel`/`nextLabel`.
+ */
+import * as React from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import MobileStepper from '@mui/material/MobileStepper';
+import KeyboardArrowLeft from '@mui/icons-material/KeyboardArrowLeft';
+import KeyboardArrowRight from '@mui/icons-material/KeyboardArrowRight';
+
+// Desplazamiento horizontal mínimo (px) para considerar un gesto de pase
+const SWIPE_THRESHOLD = 40;
+
+function sxList(sx) {
+  if (!sx) return [];
+  return Array.isArray(sx) ? sx : [sx];
+}
+
+function CarouselItem({ children, interval, sx, ...props }) {
+  return (
+    <Box
+      sx={[
+        { position: 'relative', flex: '0 0 100%', '& > img': { display: 'block', width: '100%' } },
+        ...sxList(sx),
+      ]}
+      {...props}
+    >
+      {children}
+    </Box>
+  );
+}
+
+function CarouselCaption({ children, sx, ...props }) {
+  return (
+    <Box
+      sx={[
+        { position: 'absolute', left: '15%', right: '15%', bottom: 20, py: 2.5, color: 'common.white', textAlign: 'center' },
+        ...sxList(sx),
+      ]}
+      {...props}
+    >
+      {children}
+    </Box>
+  );
+}
+
+export default function Carousel({
+  children,
+  activeIndex,
+  defaultActiveIndex = 0,
+  onSelect,
+  interval = 5000,
+  indicators = true,
+  controls = true,
+  keyboard = true,
+  pause = 'hover',
+  wrap = true,
+  touch = true,
+  variant,
+  prevLabel = 'Previous',
+  nextLabel = 'Next',
+  sx,
+  ...props
+}) {
+  const items = React.Children.toArray(children).filter(React.isValidElement);
+  const count = items.length;
+  const controlled = activeIndex !== undefined && activeIndex !== null;
+  const [uncontrolledIndex, setUncontrolledIndex] = React.useState(defaultActiveIndex);
+  const index = controlled ? activeIndex : uncontrolledIndex;
+  const [paused, setPaused] = React.useState(false);
+  const touchStart = React.useRef(null);
+
+  const select = React.useCallback(
+    (next, event) => {
+      if (count === 0) return;
+      const target = wrap ? (next + count) % count : Math.min(Math.max(next, 0), count - 1);
+      if (target === index) return;
+      if (!controlled) setUncontrolledIndex(target);
+      if (onSelect) onSelect(target, event);
+    },
+    [count, wrap, index, controlled, onSelect]
+  );
+
+  // Avance automático; el `interval` de la diapositiva actual tiene prioridad
+  const current = items[index];
+  const delay = current && current.props.interval !== undefined ? current.props.interval : interval;
+  React.useEffect(() => {
+    if (delay === null || delay === undefined || paused || count < 2) return undefined;
+    if (!wrap && index === count - 1) return undefined;
+    const timer = setTimeout(() => select(index + 1), delay);
+    return () => clearTimeout(timer);
+  }, [delay, paused, count, wrap, index, select]);
+
+  const handleKeyDown = event => {
+    if (!keyboard) return;
+    if (event.key === 'ArrowLeft') {
+      event.preventDefault();
+      select(index - 1, event);
+    } else if (event.key === 'ArrowRight') {
+      event.preventDefault();
+      select(index + 1, event);
+    }
+  };
+
+  const handleTouchStart = event => {
+    if (touch) touchStart.current = event.touches[0].clientX;
+  };
+
+  const handleTouchEnd = event => {
+    if (touchStart.current === null) return;
+    const delta = event.changedTouches[0].clientX - touchStart.current;
+    touchStart.current = null;
+    if (Math.abs(delta) > SWIPE_THRESHOLD) select(delta < 0 ? index + 1 : index - 1, event);
+  };
+
+  const pauseProps = pause === 'hover'
+    ? { onMouseEnter: () => setPaused(true), onMouseLeave: () => setPaused(false) }
+    : {};
+  const color = variant === 'dark' ? 'common.black' : 'inherit';
+
+  return (
+    <Box
+      role="region"
+      aria-roledescription="carousel"
+      tabIndex={keyboard ? 0 : undefined}
+      onKeyDown={handleKeyDown}
+      onTouchStart={handleTouchStart}
+      onTouchEnd={handleTouchEnd}
+      {...pauseProps}
+      sx={[{ position: 'relative', overflow: 'hidden' }, ...sxList(sx)]}
+      {...props}
+    >
+      <Box
+        sx={{
+          display: 'flex',
+          transform: `translateX(-${index * 100}%)`,
+          transition: 'transform 0.6s ease-in-out',
+          '@media (prefers-reduced-motion: reduce)': { transition: 'none' },
+        }}
+      >
+        {items.map((item, i) => React.cloneElement(item, { 'aria-hidden': i !== index }))}
+      </Box>
+      {(indicators || controls) && count > 1 && (
+        <MobileStepper
+          variant="dots"
+          steps={count}
+          position="static"
+          activeStep={index}
+          sx={{
+            bgcolor: 'transparent',
+            color,
+            '& .MuiMobileStepper-dots': { visibility: indicators ? 'visible' : 'hidden' },
+          }}
+          backButton={
+            controls ? (
+              <Button
+                size="small"
+                color="inherit"
+                aria-label={prevLabel}
+                onClick={event => select(index - 1, event)}
+                disabled={!wrap && index === 0}
+              >
+                <KeyboardArrowLeft />
+              </Button>
+            ) : null
+          }
+          nextButton={
+            controls ? (
+              <Button
+                size="small"
+                color="inherit"
+                aria-label={nextLabel}
+                onClick={event => select(index + 1, event)}
+                disabled={!wrap && index === count - 1}
+              >
+                <KeyboardArrowRight />
+              </Button>
+            ) : null
+          }
+        />
+      )}
+    </Box>
+  );
+}
+
+Carousel.Item = CarouselItem;
+Carousel.Caption = CarouselCaption;
@@ -0,0 +1,28 @@
+/**
+ * Traducción en tiempo de ejecución de los `variant` de react-bootstrap,
+ * generada por el codemod bootstrap-to-mui para los variant dinámicos
+ * (`variant={props.variant}`). Se genera una sola vez: se puede modificar
+ * libremente, el codemod no lo sobrescribe.
+ */
+
+// Las mismas tablas que aplica el codemod a los variant literales; las
+// rellena al generar este archivo
+const BUTTON_VARIANTS = __BUTTON_VARIANTS__;
+
+const ALERT_SEVERITIES = __ALERT_SEVERITIES__;
+
+/**
+ * Props `variant` y `color` del Button de MUI para un variant de
+ * react-bootstrap: `<Button {...bsVariantToMui(variant)}>`. Un variant
+ * vacío o desconocido se trata como `primary`, el de por defecto.
+ */
+export function bsVariantToMui(variant) {
+  return BUTTON_VARIANTS[variant] || BUTTON_VARIANTS.primary;
+}
+
+/**
+ * `severity` del Alert de MUI para un variant de react-bootstrap.
+ */
+export function bsVariantToSeverity(variant) {
+  return ALERT_SEVERITIES[variant] || ALERT_SEVERITIES.primary;
+}